@@ -4,17 +4,45 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Header from './components/Layout/Header';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import UnlockAccount from './components/Auth/UnlockAccount';
+import OidcCallback from './components/Auth/OidcCallback';
+import VerifyEmailBanner from './components/Layout/VerifyEmailBanner';
 import ClientDashboard from './components/Dashboard/ClientDashboard';
 import FreelancerDashboard from './components/Dashboard/FreelancerDashboard';
 import Home from './components/Home/Home';
+import Disputes from './components/Disputes/Disputes';
+import Sessions from './components/Account/Sessions';
+import TwoFactorSettings from './components/Account/TwoFactorSettings';
+import ApiKeys from './components/Account/ApiKeys';
+import Rates from './components/Account/Rates';
+import TwoFactorPrompt from './components/Account/TwoFactorPrompt';
+import AdminConsole from './components/Admin/AdminConsole';
+import Organizations from './components/Organizations/Organizations';
+import OrganizationDetail from './components/Organizations/OrganizationDetail';
+import AcceptInvitation from './components/Organizations/AcceptInvitation';
+import ProjectDetail from './components/Projects/ProjectDetail';
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated } = useAuth();
   return isAuthenticated ? children : <Navigate to="/login" />;
 };
 
+const AdminRoute = ({ children }) => {
+  const { isAuthenticated, isAdmin } = useAuth();
+  if (!isAuthenticated) {
+    return <Navigate to="/login" />;
+  }
+  return isAdmin ? children : <Navigate to="/dashboard" />;
+};
+
 const Dashboard = () => {
-  const { isClient } = useAuth();
+  const { isClient, isAdmin } = useAuth();
+  if (isAdmin) {
+    return <Disputes />;
+  }
   return isClient ? <ClientDashboard /> : <FreelancerDashboard />;
 };
 
@@ -24,10 +52,19 @@ function App() {
       <Router>
         <div className="min-h-screen bg-gray-50">
           <Header />
+          <VerifyEmailBanner />
+          <TwoFactorPrompt />
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/unlock-account" element={<UnlockAccount />} />
+            <Route path="/oidc/callback" element={<OidcCallback />} />
+            <Route path="/invitations" element={<AcceptInvitation />} />
+            <Route path="/projects/:id" element={<ProjectDetail />} />
             <Route 
               path="/dashboard" 
               element={
@@ -36,6 +73,70 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/two-factor"
+              element={
+                <ProtectedRoute>
+                  <TwoFactorSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/api-keys"
+              element={
+                <ProtectedRoute>
+                  <ApiKeys />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/rates"
+              element={
+                <ProtectedRoute>
+                  <Rates />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/disputes"
+              element={
+                <ProtectedRoute>
+                  <Disputes />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/organizations"
+              element={
+                <ProtectedRoute>
+                  <Organizations />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/organizations/:id"
+              element={
+                <ProtectedRoute>
+                  <OrganizationDetail />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin"
+              element={
+                <AdminRoute>
+                  <AdminConsole />
+                </AdminRoute>
+              }
+            />
           </Routes>
         </div>
       </Router>
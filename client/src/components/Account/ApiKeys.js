@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+import { Key, Plus, XCircle } from 'lucide-react';
+
+const EMPTY_FORM = { name: '', scopes: [], rateLimit: '', expiresInDays: '' };
+
+// Personal API keys for integrations. A new key is shown once, right after
+// it is created.
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [newKey, setNewKey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await api.get('/api-keys');
+      setApiKeys(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+    api.get('/api-keys/scopes')
+      .then(response => setOptions(response.data))
+      .catch(() => setError('Failed to load API key scopes'));
+  }, [fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    const scopes = form.scopes.includes(scope)
+      ? form.scopes.filter(s => s !== scope)
+      : [...form.scopes, scope];
+    setForm({ ...form, scopes });
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNewKey(null);
+    try {
+      const response = await api.post('/api-keys', {
+        name: form.name,
+        scopes: form.scopes,
+        rateLimit: form.rateLimit || undefined,
+        expiresInDays: form.expiresInDays || undefined
+      });
+      setNewKey(response.data.key);
+      setForm(EMPTY_FORM);
+      fetchApiKeys();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to create API key');
+    }
+  };
+
+  const revoke = async (apiKeyId) => {
+    setError('');
+    try {
+      await api.delete(`/api-keys/${apiKeyId}`);
+      fetchApiKeys();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-900">API Keys</h1>
+      <Link to="/sessions" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+        Signed-in devices
+      </Link>
+      <p className="text-gray-600 mt-4 mb-8">
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code>. A key can only use the scopes you give it,
+        and cannot move money or change your account.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+      {newKey && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded-md text-sm mb-4">
+          <p className="mb-1">Copy your new key now. It will not be shown again.</p>
+          <code className="break-all">{newKey}</code>
+        </div>
+      )}
+
+      {options && (
+        <form onSubmit={create} className="bg-white rounded-lg shadow p-4 mb-8 space-y-4">
+          <input
+            type="text"
+            required
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Key name, e.g. CMS integration"
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <div className="grid grid-cols-2 gap-2">
+            {options.scopes.map(scope => (
+              <label key={scope} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="mr-2"
+                />
+                {scope}
+              </label>
+            ))}
+          </div>
+          <div className="flex space-x-3">
+            <input
+              type="number"
+              min="1"
+              max={options.maxRateLimit}
+              value={form.rateLimit}
+              onChange={(e) => setForm({ ...form, rateLimit: e.target.value })}
+              placeholder={`Requests per minute (${options.defaultRateLimit})`}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              placeholder="Expires in days (never)"
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={form.scopes.length === 0}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : apiKeys.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">You have no API keys.</p>
+        ) : apiKeys.map((apiKey) => (
+          <div key={apiKey.id} className="p-4 flex justify-between items-center">
+            <div className="flex items-start">
+              <Key className="h-5 w-5 text-gray-400 mr-3 mt-1" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {apiKey.name}
+                  <span className="ml-2 text-xs text-gray-500">{apiKey.prefix}…</span>
+                  {apiKey.revokedAt && (
+                    <span className="ml-2 text-xs bg-red-100 text-red-800 px-2 py-1 rounded-full">revoked</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">{apiKey.scopes.join(', ')} · {apiKey.rateLimit}/min</p>
+                <p className="text-xs text-gray-500">
+                  created {new Date(apiKey.createdAt).toLocaleDateString()}
+                  {' · '}{apiKey.lastUsedAt ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'never used'}
+                  {apiKey.expiresAt && ` · expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                </p>
+              </div>
+            </div>
+            {!apiKey.revokedAt && (
+              <button
+                onClick={() => revoke(apiKey.id)}
+                className="inline-flex items-center text-sm text-red-600 hover:text-red-800"
+              >
+                <XCircle className="h-4 w-4 mr-1" />
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+import { Plus, XCircle } from 'lucide-react';
+
+const EMPTY_RATE = { sourceLanguage: '', targetLanguage: '', ratePerWord: '', minimumCharge: '' };
+
+// A freelancer's per-word rates by language pair. They are shown on the
+// public profile, prefill rate-based bids and feed clients' quotes.
+const Rates = () => {
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchRates = useCallback(async () => {
+    try {
+      const response = await api.get('/users/rates');
+      setRates(response.data.rates.map(rate => ({ ...rate, minimumCharge: rate.minimumCharge ?? '' })));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load rates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const updateRate = (index, field, value) => {
+    setRates(rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate)));
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    try {
+      const response = await api.put('/users/rates', { rates });
+      setMessage(response.data.message);
+      fetchRates();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save rates');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-900">Rates</h1>
+      <p className="text-gray-600 mt-4 mb-8">
+        Your price per source word for each language pair. Clients see these on your profile and in project
+        quotes, and they fill in your per-word bids.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded-md text-sm mb-4">
+          {message}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <form onSubmit={save} className="bg-white rounded-lg shadow p-4 space-y-3">
+          {rates.length === 0 && <p className="text-sm text-gray-500">You have no rates yet.</p>}
+          {rates.map((rate, index) => (
+            <div key={rate.id || index} className="flex items-center space-x-2">
+              <input
+                type="text"
+                required
+                value={rate.sourceLanguage}
+                onChange={(e) => updateRate(index, 'sourceLanguage', e.target.value)}
+                placeholder="From, e.g. English"
+                className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <input
+                type="text"
+                required
+                value={rate.targetLanguage}
+                onChange={(e) => updateRate(index, 'targetLanguage', e.target.value)}
+                placeholder="To, e.g. Spanish"
+                className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                required
+                min="0.01"
+                max="5"
+                step="0.001"
+                value={rate.ratePerWord}
+                onChange={(e) => updateRate(index, 'ratePerWord', e.target.value)}
+                placeholder="$ per word"
+                className="w-28 border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={rate.minimumCharge}
+                onChange={(e) => updateRate(index, 'minimumCharge', e.target.value)}
+                placeholder="Minimum $"
+                className="w-28 border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => setRates(rates.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800"
+                title="Remove"
+              >
+                <XCircle className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => setRates([...rates, EMPTY_RATE])}
+              className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-900"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add language pair
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+            >
+              Save rates
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Rates;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+import { Monitor, XCircle } from 'lucide-react';
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (sessionId) => {
+    setError('');
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      fetchSessions();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const revokeOthers = async () => {
+    setError('');
+    try {
+      await api.delete('/auth/sessions');
+      fetchSessions();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to revoke sessions');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Signed-in Devices</h1>
+          <Link to="/two-factor" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            Two-factor authentication
+          </Link>
+          <span className="text-gray-300 mx-2">·</span>
+          <Link to="/api-keys" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            API keys
+          </Link>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={revokeOthers}
+            className="px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Sign out other devices
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : sessions.map((session) => (
+          <div key={session.id} className="p-4 flex justify-between items-center">
+            <div className="flex items-start">
+              <Monitor className="h-5 w-5 text-gray-400 mr-3 mt-1" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {session.userAgent || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">this device</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ipAddress || 'Unknown IP'} · signed in {new Date(session.createdAt).toLocaleDateString()} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => revoke(session.id)}
+                className="inline-flex items-center text-sm text-red-600 hover:text-red-800"
+              >
+                <XCircle className="h-4 w-4 mr-1" />
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api, { setTwoFactorPrompt } from '../../utils/api';
+import { ShieldCheck } from 'lucide-react';
+
+// Asks for a 2FA code when the server wants a fresh confirmation before a
+// sensitive action. api.js retries the original request once this resolves.
+const TwoFactorPrompt = () => {
+  const [open, setOpen] = useState(false);
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const pending = useRef(null);
+
+  useEffect(() => {
+    setTwoFactorPrompt(() => new Promise((resolve, reject) => {
+      pending.current = { resolve, reject };
+      setCode('');
+      setError('');
+      setUseRecovery(false);
+      setOpen(true);
+    }));
+    return () => setTwoFactorPrompt(null);
+  }, []);
+
+  const close = () => {
+    setOpen(false);
+    pending.current = null;
+  };
+
+  const handleCancel = () => {
+    pending.current?.reject(new Error('Two-factor confirmation cancelled'));
+    close();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    setError('');
+
+    try {
+      await api.post('/auth/2fa/verify', useRecovery ? { recoveryCode: code } : { code });
+      pending.current?.resolve();
+      close();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Verification failed');
+    }
+
+    setVerifying(false);
+  };
+
+  if (!open) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 px-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm">
+        <div className="flex items-center mb-4">
+          <ShieldCheck className="h-6 w-6 text-primary-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Confirm it's you</h2>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {useRecovery
+            ? 'Enter one of your recovery codes to continue.'
+            : 'Enter the 6-digit code from your authenticator app to continue.'}
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+            {error}
+          </div>
+        )}
+
+        <input
+          type="text"
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+        />
+
+        <button
+          type="button"
+          onClick={() => { setUseRecovery(!useRecovery); setCode(''); }}
+          className="mt-2 text-xs text-primary-600 hover:text-primary-500"
+        >
+          {useRecovery ? 'Use authenticator app instead' : 'Use a recovery code'}
+        </button>
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <button
+            type="button"
+            onClick={handleCancel}
+            className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={verifying}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {verifying ? 'Verifying...' : 'Confirm'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorPrompt;
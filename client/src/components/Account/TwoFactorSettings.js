@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+const primaryButton = 'px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50';
+const secondaryButton = 'px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+// Accounts that sign in through a provider have no password to confirm
+const signInAgainNote = 'Your account has no password, so this only works shortly after signing in. '
+  + 'If you are asked to, sign out and sign in again with your provider first.';
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div>
+    <h2 className="text-lg font-semibold text-gray-900 mb-2">Save your recovery codes</h2>
+    <p className="text-sm text-gray-600 mb-4">
+      Each code signs you in once if you lose your authenticator. Keep them somewhere safe;
+      they will not be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-md p-4 font-mono text-sm mb-4">
+      {codes.map(code => <span key={code}>{code}</span>)}
+    </div>
+    <button onClick={onDone} className={primaryButton}>I have saved these codes</button>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/2fa/status');
+      setStatus(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load two-factor status');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+    try {
+      await request();
+      setPassword('');
+      setCode('');
+      setRegenerateCode('');
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Something went wrong');
+    }
+    setBusy(false);
+  };
+
+  const startSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.post('/auth/2fa/setup', { password });
+      setSetup(response.data);
+    });
+  };
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.post('/auth/2fa/enable', { code });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      updateUser({ twoFactorEnabledAt: new Date().toISOString() });
+      fetchStatus();
+    });
+  };
+
+  const regenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.post('/auth/2fa/recovery-codes', { code: regenerateCode });
+      setRecoveryCodes(response.data.recoveryCodes);
+      fetchStatus();
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.post('/auth/2fa/disable', { password, code });
+      updateUser({ twoFactorEnabledAt: null });
+      fetchStatus();
+    });
+  };
+
+  const renderBody = () => {
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={enable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app such as Google Authenticator or 1Password,
+            then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="h-48 w-48" />
+          <p className="text-xs text-gray-500">
+            Can't scan it? Enter this key instead: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            className={inputClassName}
+          />
+          <div className="flex space-x-2">
+            <button type="submit" disabled={busy} className={primaryButton}>Turn on</button>
+            <button type="button" onClick={() => setSetup(null)} className={secondaryButton}>Cancel</button>
+          </div>
+        </form>
+      );
+    }
+
+    if (!status) {
+      return <p className="text-sm text-gray-500">Loading...</p>;
+    }
+
+    if (!status.enabled) {
+      return (
+        <form onSubmit={startSetup} className="space-y-4">
+          <p className="flex items-center text-sm text-gray-600">
+            <ShieldOff className="h-5 w-5 text-gray-400 mr-2" />
+            Two-factor authentication is off. Turn it on to require a code from your phone when
+            you sign in, release escrow or change payout details.
+          </p>
+          {status.hasPassword ? (
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm your password"
+              className={inputClassName}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">{signInAgainNote}</p>
+          )}
+          <button type="submit" disabled={busy} className={primaryButton}>Set up two-factor authentication</button>
+        </form>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        <p className="flex items-center text-sm text-gray-600">
+          <ShieldCheck className="h-5 w-5 text-green-500 mr-2" />
+          Two-factor authentication is on since {new Date(status.enabledAt).toLocaleDateString()}.
+          {' '}{status.recoveryCodesRemaining} recovery codes left.
+        </p>
+
+        <form onSubmit={regenerate} className="space-y-2">
+          <h3 className="text-sm font-medium text-gray-900">New recovery codes</h3>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              required
+              value={regenerateCode}
+              onChange={(e) => setRegenerateCode(e.target.value)}
+              placeholder="Authenticator code"
+              className={inputClassName}
+            />
+            <button type="submit" disabled={busy} className={secondaryButton}>Generate</button>
+          </div>
+        </form>
+
+        <form onSubmit={disable} className="space-y-2">
+          <h3 className="text-sm font-medium text-gray-900">Turn off two-factor authentication</h3>
+          {status.hasPassword ? (
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className={inputClassName}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">{signInAgainNote}</p>
+          )}
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authenticator code"
+              className={inputClassName}
+            />
+            <button type="submit" disabled={busy} className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">
+              Turn off
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Two-factor Authentication</h1>
+        <Link to="/sessions" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          Signed-in devices
+        </Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-6">
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import AdminUsers from './AdminUsers';
+import AdminContent from './AdminContent';
+import AdminPayments from './AdminPayments';
+import LedgerCheck from './LedgerCheck';
+import AuditLog from './AuditLog';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'projects', label: 'Projects' },
+  { id: 'reviews', label: 'Reviews' },
+  { id: 'bids', label: 'Bids' },
+  { id: 'payments', label: 'Payments' },
+  { id: 'ledger', label: 'Ledger' },
+  { id: 'audit', label: 'Audit log' }
+];
+
+// Moderation console: user management, content moderation and escrow
+const AdminConsole = () => {
+  const [tab, setTab] = useState('users');
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Admin</h1>
+        <Link to="/disputes" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          Open disputes
+        </Link>
+      </div>
+
+      <div className="border-b border-gray-200 mb-6">
+        <nav className="-mb-px flex space-x-8">
+          {TABS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                tab === id
+                  ? 'border-primary-600 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {tab === 'users' && <AdminUsers />}
+      {['projects', 'reviews', 'bids'].includes(tab) && <AdminContent key={tab} type={tab} />}
+      {tab === 'payments' && <AdminPayments />}
+      {tab === 'ledger' && <LedgerCheck />}
+      {tab === 'audit' && <AuditLog />}
+    </div>
+  );
+};
+
+export default AdminConsole;
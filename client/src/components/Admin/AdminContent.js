@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+import { Eye, EyeOff } from 'lucide-react';
+
+// What each moderated content type looks like and which fields an admin
+// may edit
+const CONTENT_TYPES = {
+  projects: {
+    fields: [
+      { name: 'title', label: 'Title' },
+      { name: 'description', label: 'Description', multiline: true }
+    ],
+    title: project => project.title,
+    details: project => `${project.status.toLowerCase()} · by ${project.client.name} · ${project._count.bids} bids`,
+    body: project => project.description
+  },
+  reviews: {
+    fields: [
+      { name: 'comment', label: 'Comment', multiline: true }
+    ],
+    title: review => `${review.rating}/5 from ${review.reviewer.name} for ${review.reviewee.name}`,
+    details: review => `on ${review.project.title}`,
+    body: review => review.comment
+  },
+  bids: {
+    fields: [
+      { name: 'bidAmount', label: 'Amount', type: 'number' },
+      { name: 'estimatedTime', label: 'Estimated time' }
+    ],
+    title: bid => `$${bid.bidAmount} from ${bid.freelancer.name}`,
+    details: bid => `${bid.status.toLowerCase()} · on ${bid.project.title} · ${bid.estimatedTime}`,
+    body: () => null
+  }
+};
+
+const AdminContent = ({ type }) => {
+  const config = CONTENT_TYPES[type];
+  const [items, setItems] = useState([]);
+  const [hidden, setHidden] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState({});
+
+  const fetchItems = useCallback(async () => {
+    try {
+      const response = await api.get(`/admin/${type}${hidden ? `?hidden=${hidden}` : ''}`);
+      setItems(response.data[type]);
+    } catch (error) {
+      setError(error.response?.data?.error || `Failed to load ${type}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [type, hidden]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const handleError = (error) => {
+    setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Request failed');
+  };
+
+  const update = async (item, data) => {
+    setError('');
+    try {
+      await api.put(`/admin/${type}/${item.id}`, data);
+      setEditing(null);
+      fetchItems();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const startEditing = (item) => {
+    setEditing(item.id);
+    setFormData({
+      ...Object.fromEntries(config.fields.map(({ name }) => [name, item[name] ?? ''])),
+      hiddenReason: ''
+    });
+  };
+
+  const cancelProject = async (project) => {
+    setError('');
+    try {
+      await api.post(`/admin/projects/${project.id}/cancel`, { reason: formData.hiddenReason });
+      setEditing(null);
+      fetchItems();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const saveEdits = (item) => {
+    const edits = Object.fromEntries(config.fields
+      .filter(({ name }) => String(formData[name]) !== String(item[name] ?? ''))
+      .map(({ name }) => [name, formData[name]]));
+    update(item, edits);
+  };
+
+  return (
+    <div>
+      <div className="flex justify-end mb-4">
+        <select
+          value={hidden}
+          onChange={(e) => setHidden(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All</option>
+          <option value="false">Visible</option>
+          <option value="true">Hidden</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : items.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">Nothing to show.</p>
+        ) : items.map((item) => (
+          <div key={item.id} className={`p-4 ${item.hiddenAt ? 'bg-gray-50' : ''}`}>
+            <div className="flex justify-between items-start">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">{config.title(item)}</p>
+                <p className="text-xs text-gray-500">{config.details(item)}</p>
+                {config.body(item) && (
+                  <p className="text-sm text-gray-700 mt-1 line-clamp-2">{config.body(item)}</p>
+                )}
+                {item.hiddenAt && (
+                  <p className="flex items-center text-xs text-gray-500 mt-1">
+                    <EyeOff className="h-3 w-3 mr-1" />
+                    Hidden {new Date(item.hiddenAt).toLocaleDateString()}
+                    {item.hiddenReason && `: ${item.hiddenReason}`}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center space-x-3 ml-4">
+                {item.hiddenAt ? (
+                  <button
+                    onClick={() => update(item, { hidden: false })}
+                    className="flex items-center text-sm font-medium text-primary-600 hover:text-primary-900"
+                  >
+                    <Eye className="h-4 w-4 mr-1" />
+                    Unhide
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => (editing === item.id ? setEditing(null) : startEditing(item))}
+                    className="text-sm font-medium text-red-600 hover:text-red-800"
+                  >
+                    Moderate
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {editing === item.id && (
+              <div className="mt-3 space-y-3">
+                {config.fields.map(({ name, label, type: inputType, multiline }) => (
+                  <label key={name} className="block text-xs text-gray-500">
+                    {label}
+                    {multiline ? (
+                      <textarea
+                        rows={3}
+                        value={formData[name]}
+                        onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                        className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900"
+                      />
+                    ) : (
+                      <input
+                        type={inputType || 'text'}
+                        value={formData[name]}
+                        onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                        className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm text-gray-900"
+                      />
+                    )}
+                  </label>
+                ))}
+                <input
+                  type="text"
+                  value={formData.hiddenReason}
+                  onChange={(e) => setFormData({ ...formData, hiddenReason: e.target.value })}
+                  placeholder="Reason for hiding or cancelling"
+                  className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => saveEdits(item)}
+                    className="px-3 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+                  >
+                    Save changes
+                  </button>
+                  <button
+                    onClick={() => update(item, { hidden: true, hiddenReason: formData.hiddenReason })}
+                    className="px-3 py-2 text-sm font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700"
+                  >
+                    Hide
+                  </button>
+                  {type === 'projects' && ['POSTED', 'AWAITING_FUNDING'].includes(item.status) && (
+                    <button
+                      onClick={() => cancelProject(item)}
+                      disabled={!formData.hiddenReason.trim()}
+                      className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Cancel project
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AdminContent;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+
+const RESOLVABLE = {
+  AWAITING_FUNDING: ['CANCEL'],
+  FUNDED: ['RELEASE', 'REFUND'],
+  DISPUTED: ['RELEASE', 'REFUND']
+};
+
+const ACTION_LABELS = {
+  RELEASE: 'Release to freelancer',
+  REFUND: 'Refund client',
+  CANCEL: 'Cancel escrow'
+};
+
+// Force-resolve escrow without waiting for the parties
+const AdminPayments = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [status, setStatus] = useState('FUNDED');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [resolving, setResolving] = useState(null);
+  const [action, setAction] = useState('');
+  const [note, setNote] = useState('');
+
+  const fetchTransactions = useCallback(async () => {
+    try {
+      const response = await api.get(`/admin/transactions${status ? `?status=${status}` : ''}`);
+      setTransactions(response.data.transactions);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load payments');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const startResolving = (transaction) => {
+    setResolving(transaction.id);
+    setAction(RESOLVABLE[transaction.status][0]);
+    setNote('');
+    setError('');
+  };
+
+  const resolve = async (e, transaction) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.post(`/admin/transactions/${transaction.id}/resolve`, { action, note });
+      setResolving(null);
+      fetchTransactions();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to resolve payment');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-end mb-4">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="AWAITING_FUNDING">Awaiting funding</option>
+          <option value="FUNDED">Funded</option>
+          <option value="DISPUTED">Disputed</option>
+          <option value="RELEASED">Released</option>
+          <option value="REFUNDED">Refunded</option>
+          <option value="CANCELLED">Cancelled</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : transactions.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No payments.</p>
+        ) : transactions.map((transaction) => (
+          <div key={transaction.id} className="p-4">
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  ${transaction.amount} · {transaction.project.title}
+                  {transaction.milestone && ` · ${transaction.milestone.title}`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {transaction.client.name} → {transaction.freelancer.name}
+                  {' · '}{transaction.status.toLowerCase().replace('_', ' ')}
+                  {transaction.dispute?.status === 'OPEN' && ' · open dispute'}
+                </p>
+              </div>
+              {RESOLVABLE[transaction.status] && (
+                <button
+                  onClick={() => (resolving === transaction.id ? setResolving(null) : startResolving(transaction))}
+                  className="text-sm font-medium text-red-600 hover:text-red-800"
+                >
+                  Force-resolve
+                </button>
+              )}
+            </div>
+
+            {resolving === transaction.id && (
+              <form onSubmit={(e) => resolve(e, transaction)} className="mt-3 flex flex-wrap items-center gap-3">
+                <select
+                  value={action}
+                  onChange={(e) => setAction(e.target.value)}
+                  className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  {RESOLVABLE[transaction.status].map(option => (
+                    <option key={option} value={option}>{ACTION_LABELS[option]}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  required
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Why (kept in the project history)"
+                  className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <button
+                  type="submit"
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                >
+                  Confirm
+                </button>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPayments;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+import { Search } from 'lucide-react';
+
+const STATUS_COLORS = {
+  ACTIVE: 'bg-green-100 text-green-800',
+  SUSPENDED: 'bg-yellow-100 text-yellow-800',
+  BANNED: 'bg-red-100 text-red-800'
+};
+
+const AdminUsers = () => {
+  const [users, setUsers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [reason, setReason] = useState('');
+  const [suspendedUntil, setSuspendedUntil] = useState('');
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (query) params.set('search', query);
+      if (status) params.set('status', status);
+      const response = await api.get(`/admin/users?${params}`);
+      setUsers(response.data.users);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, status]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const startEditing = (userId) => {
+    setEditing(userId);
+    setReason('');
+    setSuspendedUntil('');
+    setError('');
+  };
+
+  const updateStatus = async (userId, nextStatus) => {
+    setError('');
+    try {
+      await api.put(`/admin/users/${userId}/status`, {
+        status: nextStatus,
+        ...(nextStatus !== 'ACTIVE' && { reason }),
+        ...(nextStatus === 'SUSPENDED' && suspendedUntil && { suspendedUntil: new Date(suspendedUntil).toISOString() })
+      });
+      setEditing(null);
+      fetchUsers();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update user');
+    }
+  };
+
+  return (
+    <div>
+      <form
+        className="flex space-x-3 mb-4"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setQuery(search.trim());
+        }}
+      >
+        <div className="relative flex-1">
+          <Search className="h-4 w-4 text-gray-400 absolute left-3 top-3" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name or email"
+            className="w-full pl-9 border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="ACTIVE">Active</option>
+          <option value="SUSPENDED">Suspended</option>
+          <option value="BANNED">Banned</option>
+        </select>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : users.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No users found.</p>
+        ) : users.map((user) => (
+          <div key={user.id} className="p-4">
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {user.name}
+                  <span className="ml-2 text-xs text-gray-500">{user.email}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {user.role.toLowerCase()} · joined {new Date(user.createdAt).toLocaleDateString()}
+                  {' · '}{user._count.clientProjects} projects · {user._count.bids} bids · {user._count.reviewsReceived} reviews
+                  {!user.emailVerifiedAt && ' · email not verified'}
+                </p>
+                {user.status !== 'ACTIVE' && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    {user.statusReason}
+                    {user.suspendedUntil && ` (until ${new Date(user.suspendedUntil).toLocaleString()})`}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center space-x-3">
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[user.status]}`}>
+                  {user.status.toLowerCase()}
+                </span>
+                {user.status === 'ACTIVE' ? (
+                  <button
+                    onClick={() => startEditing(editing === user.id ? null : user.id)}
+                    className="text-sm font-medium text-red-600 hover:text-red-800"
+                  >
+                    Moderate
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => updateStatus(user.id, 'ACTIVE')}
+                    className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                  >
+                    Reinstate
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {editing === user.id && (
+              <div className="mt-3 flex flex-wrap items-end gap-3">
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason (shown to the user)"
+                  className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <label className="text-xs text-gray-500">
+                  Suspend until (optional)
+                  <input
+                    type="datetime-local"
+                    value={suspendedUntil}
+                    onChange={(e) => setSuspendedUntil(e.target.value)}
+                    className="block border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </label>
+                <button
+                  onClick={() => updateStatus(user.id, 'SUSPENDED')}
+                  disabled={!reason.trim()}
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50"
+                >
+                  Suspend
+                </button>
+                <button
+                  onClick={() => updateStatus(user.id, 'BANNED')}
+                  disabled={!reason.trim()}
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                >
+                  Ban
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+import { Download } from 'lucide-react';
+
+const EMPTY_FILTERS = { action: '', entityType: '', entityId: '', actorId: '', from: '', to: '' };
+
+const ENTITY_TYPES = ['User', 'Session', 'Organization', 'Project', 'Bid', 'Delivery', 'Dispute', 'Review', 'Transaction', 'AuditLog'];
+
+// Query string for the applied filters; dates are sent as ISO timestamps
+const filterParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([name, value]) => {
+    if (!value) return;
+    params.set(name, ['from', 'to'].includes(name) ? new Date(value).toISOString() : value.trim());
+  });
+  return params;
+};
+
+// Read-only view of the audit trail with a CSV export of the current filters
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const params = filterParams(applied);
+      params.set('page', page);
+      const response = await api.get(`/admin/audit-logs?${params}`);
+      setEntries(response.data.entries);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setError('');
+    setPage(1);
+    setApplied(filters);
+  };
+
+  // The export needs the auth header, so it is fetched rather than linked
+  const exportCsv = async () => {
+    setError('');
+    try {
+      const params = filterParams(applied);
+      params.set('format', 'csv');
+      const response = await api.get(`/admin/audit-logs?${params}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to export the audit log');
+    }
+  };
+
+  const setFilter = (name) => (e) => setFilters({ ...filters, [name]: e.target.value });
+
+  return (
+    <div>
+      <form onSubmit={applyFilters} className="flex flex-wrap items-end gap-3 mb-4">
+        <input
+          type="text"
+          value={filters.action}
+          onChange={setFilter('action')}
+          placeholder="Action, e.g. auth. or transaction.release"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <select
+          value={filters.entityType}
+          onChange={setFilter('entityType')}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All entities</option>
+          {ENTITY_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.entityId}
+          onChange={setFilter('entityId')}
+          placeholder="Entity ID"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <input
+          type="text"
+          value={filters.actorId}
+          onChange={setFilter('actorId')}
+          placeholder="Actor ID"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <label className="text-xs text-gray-500">
+          From
+          <input
+            type="datetime-local"
+            value={filters.from}
+            onChange={setFilter('from')}
+            className="block border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="text-xs text-gray-500">
+          To
+          <input
+            type="datetime-local"
+            value={filters.to}
+            onChange={setFilter('to')}
+            className="block border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+        >
+          Filter
+        </button>
+        <button
+          type="button"
+          onClick={exportCsv}
+          className="flex items-center px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          <Download className="h-4 w-4 mr-1" />
+          CSV
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : entries.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No entries.</p>
+        ) : entries.map((entry) => (
+          <div key={entry.id} className="p-4">
+            <button
+              onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+              className="w-full text-left"
+            >
+              <p className="text-sm font-medium text-gray-900">
+                {entry.action}
+                <span className="ml-2 text-xs text-gray-500">
+                  {entry.entityType}{entry.entityId && ` ${entry.entityId}`}
+                </span>
+              </p>
+              <p className="text-xs text-gray-500">
+                {new Date(entry.createdAt).toLocaleString()}
+                {' · '}{entry.actor ? `${entry.actor.name} (${entry.actor.email})` : entry.actorRole?.toLowerCase() || 'anonymous'}
+                {entry.ip && ` · ${entry.ip}`}
+              </p>
+            </button>
+            {expanded === entry.id && (
+              <div className="mt-2 space-y-2 text-xs text-gray-700">
+                {entry.changes && (
+                  <pre className="bg-gray-50 rounded-md p-2 overflow-x-auto">{JSON.stringify(entry.changes, null, 2)}</pre>
+                )}
+                {entry.metadata && (
+                  <pre className="bg-gray-50 rounded-md p-2 overflow-x-auto">{JSON.stringify(entry.metadata, null, 2)}</pre>
+                )}
+                {entry.userAgent && <p className="text-gray-500">{entry.userAgent}</p>}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm text-gray-500">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="font-medium text-primary-600 hover:text-primary-900 disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="font-medium text-primary-600 hover:text-primary-900 disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import api from '../../utils/api';
+import { CheckCircle, AlertTriangle } from 'lucide-react';
+
+const LedgerCheck = () => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const runCheck = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/admin/ledger/check');
+      setResult(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to check the ledger');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm text-gray-600">
+          Verify that every journal entry, and the ledger as a whole, sums to zero.
+        </p>
+        <button
+          onClick={runCheck}
+          disabled={loading}
+          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          {loading ? 'Checking...' : 'Run check'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {result && (result.balanced ? (
+        <p className="flex items-center text-sm text-green-700">
+          <CheckCircle className="h-4 w-4 mr-2" />
+          Ledger is balanced
+        </p>
+      ) : (
+        <div className="text-sm text-red-700">
+          <p className="flex items-center mb-2">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            Ledger is out of balance by {result.totalCents} cents
+          </p>
+          <ul className="list-disc list-inside text-xs font-mono">
+            {result.unbalancedEntries.map(entry => (
+              <li key={entry.entryId}>entry {entry.entryId}: off by {entry.offByCents} cents</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LedgerCheck;
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import OidcButtons from './OidcButtons';
+import { Eye, EyeOff, Mail, Lock, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,9 +12,17 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const location = useLocation();
+  // Second step for accounts with two-factor authentication. OIDC sign-ins
+  // arrive here with the challenge already issued.
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
 
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
+  // e.g. "Password updated" after a reset
+  const notice = location.state?.message;
 
   const handleChange = (e) => {
     setFormData({
@@ -31,6 +40,8 @@ const Login = () => {
     
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     } else {
       setError(result.error);
     }
@@ -38,6 +49,102 @@ const Login = () => {
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecovery ? { recoveryCode: code } : { code }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+      return;
+    }
+
+    setError(result.error);
+    // The challenge only lasts a few minutes; start over once it has expired
+    if (result.code === 'CHALLENGE_EXPIRED') {
+      setChallengeToken(null);
+      setCode('');
+    }
+    setLoading(false);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <ShieldCheck className="mx-auto h-12 w-12 text-primary-600" />
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecovery
+                ? 'Enter one of your recovery codes.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-md">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="code" className="sr-only">
+                {useRecovery ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useRecovery ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 text-center tracking-widest focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm"
+                placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                className="font-medium text-primary-600 hover:text-primary-500"
+                onClick={() => { setUseRecovery(!useRecovery); setCode(''); }}
+              >
+                {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="text-gray-500 hover:text-gray-700"
+                onClick={() => { setChallengeToken(null); setCode(''); setError(''); }}
+              >
+                Start over
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -57,6 +164,12 @@ const Login = () => {
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {notice && !error && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md">
+              {notice}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-md">
               {error}
@@ -122,6 +235,15 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-right text-sm">
+            <Link
+              to="/forgot-password"
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -132,6 +254,8 @@ const Login = () => {
             </button>
           </div>
         </form>
+
+        <OidcButtons />
       </div>
     </div>
   );
@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import api, { getOidcLoginUrl } from '../../utils/api';
+
+// "Continue with ..." links for the configured OIDC providers
+const OidcButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    api.get('/auth/oidc/providers')
+      .then(response => setProviders(response.data))
+      .catch(() => setProviders([]));
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <div className="absolute inset-0 flex items-center">
+          <div className="w-full border-t border-gray-300" />
+        </div>
+        <div className="relative flex justify-center text-sm">
+          <span className="px-2 bg-gray-50 text-gray-500">or</span>
+        </div>
+      </div>
+
+      {providers.map(provider => (
+        <a
+          key={provider.id}
+          href={getOidcLoginUrl(provider.id)}
+          className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Continue with {provider.name}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default OidcButtons;
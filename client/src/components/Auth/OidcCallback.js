@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { LANGUAGES } from './Register';
+import { User, Users } from 'lucide-react';
+
+// Landing page after signing in with an OIDC provider. The API puts the
+// outcome in the URL fragment: a refresh token to exchange, a 2FA challenge,
+// a sign-up ticket for a first-time user, or an error.
+const OidcCallback = () => {
+  const navigate = useNavigate();
+  const { completeOidcLogin, completeOidcSignup } = useAuth();
+  const [params] = useState(() => new URLSearchParams(window.location.hash.slice(1)));
+  const [error, setError] = useState(params.get('error') || '');
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    name: params.get('name') || '',
+    email: params.get('email') || '',
+    role: 'CLIENT',
+    languages: []
+  });
+  const handled = useRef(false);
+
+  const signupTicket = params.get('signupTicket');
+
+  useEffect(() => {
+    if (handled.current) {
+      return;
+    }
+    handled.current = true;
+
+    // Keep tokens out of the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const refreshToken = params.get('refreshToken');
+    const challengeToken = params.get('challengeToken');
+
+    if (refreshToken) {
+      completeOidcLogin(refreshToken).then((result) => {
+        if (result.success) {
+          navigate('/dashboard');
+        } else {
+          setError(result.error);
+        }
+      });
+    } else if (challengeToken) {
+      navigate('/login', { state: { challengeToken } });
+    } else if (!signupTicket && !params.get('error')) {
+      setError('Sign-in failed');
+    }
+  }, [params, signupTicket, completeOidcLogin, navigate]);
+
+  const handleLanguageChange = (language) => {
+    setFormData({
+      ...formData,
+      languages: formData.languages.includes(language)
+        ? formData.languages.filter(lang => lang !== language)
+        : [...formData.languages, language]
+    });
+  };
+
+  const handleSignup = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.role === 'FREELANCER' && formData.languages.length === 0) {
+      setError('Please select at least one language you can translate');
+      return;
+    }
+
+    setLoading(true);
+    const result = await completeOidcSignup({
+      signupTicket,
+      role: formData.role,
+      name: formData.name,
+      languages: formData.languages,
+      ...(params.get('email') ? {} : { email: formData.email })
+    });
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  if (!signupTicket) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full bg-white rounded-lg shadow p-8 text-center">
+          {error ? (
+            <>
+              <p className="text-red-600 mb-6">{error}</p>
+              <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                Back to sign in
+              </Link>
+            </>
+          ) : (
+            <p className="text-gray-600">Signing you in...</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const roleOption = (role, Icon, title, subtitle) => (
+    <label className={`relative flex cursor-pointer rounded-lg border p-4 focus:outline-none ${
+      formData.role === role ? 'border-primary-600 ring-2 ring-primary-600' : 'border-gray-300'
+    }`}>
+      <input
+        type="radio"
+        name="role"
+        value={role}
+        className="sr-only"
+        checked={formData.role === role}
+        onChange={() => setFormData({ ...formData, role })}
+      />
+      <div className="flex flex-col items-center">
+        <Icon className="h-6 w-6 text-gray-600 mb-2" />
+        <span className="text-sm font-medium text-gray-900">{title}</span>
+        <span className="text-xs text-gray-500">{subtitle}</span>
+      </div>
+    </label>
+  );
+
+  const inputClassName = 'appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Finish creating your account
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Tell us how you will use TranslateHub.
+          </p>
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSignup}>
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <input
+              type="text"
+              required
+              minLength={2}
+              className={inputClassName}
+              placeholder="Full name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            />
+            <input
+              type="email"
+              required
+              disabled={!!params.get('email')}
+              className={`${inputClassName} disabled:bg-gray-100`}
+              placeholder="Email address"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            />
+
+            <div className="grid grid-cols-2 gap-3">
+              {roleOption('CLIENT', Users, 'Hire Translators', 'Post projects')}
+              {roleOption('FREELANCER', User, 'Work as Translator', 'Find projects')}
+            </div>
+
+            {formData.role === 'FREELANCER' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Languages you can translate to:
+                </label>
+                <div className="max-h-32 overflow-y-auto border border-gray-300 rounded-md p-2">
+                  <div className="grid grid-cols-2 gap-1">
+                    {LANGUAGES.map((language) => (
+                      <label key={language} className="flex items-center space-x-2 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={formData.languages.includes(language)}
+                          onChange={() => handleLanguageChange(language)}
+                          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span>{language}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Creating account...' : 'Create account'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import OidcButtons from './OidcButtons';
 import { Eye, EyeOff, Mail, Lock, User, Users } from 'lucide-react';
 
-const LANGUAGES = [
+export const LANGUAGES = [
   'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Russian',
   'Chinese', 'Japanese', 'Korean', 'Arabic', 'Hindi', 'Dutch',
   'Swedish', 'Norwegian', 'Danish', 'Finnish', 'Polish', 'Czech',
@@ -275,6 +276,8 @@ const Register = () => {
             </button>
           </div>
         </form>
+
+        <OidcButtons />
       </div>
     </div>
   );
@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../../utils/api';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is incomplete.');
+  // Tokens are single use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    api.post('/auth/unlock', { token })
+      .then((response) => {
+        setStatus('unlocked');
+        setMessage(response.data.message);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.error || 'Failed to unlock account');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow p-8 text-center">
+        {status === 'unlocking' && (
+          <p className="text-gray-600">Unlocking your account...</p>
+        )}
+
+        {status === 'unlocked' && (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Account unlocked</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Sign in
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Could not unlock your account</h2>
+            <p className="text-gray-600 mb-6">
+              {message} You can wait for the lock to expire or reset your password.
+            </p>
+            <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+              Reset password
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  const { isAuthenticated, updateUser } = useAuth();
+  // Tokens are single use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    api.post('/auth/verify-email', { token })
+      .then((response) => {
+        setStatus('verified');
+        if (isAuthenticated) {
+          updateUser({ emailVerifiedAt: response.data.emailVerifiedAt });
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setError(error.response?.data?.error || 'Failed to verify email');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow p-8 text-center">
+        {status === 'verifying' && (
+          <p className="text-gray-600">Verifying your email address...</p>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h2>
+            <p className="text-gray-600 mb-6">You can now post projects and place bids.</p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h2>
+            <p className="text-gray-600 mb-6">
+              {error} {isAuthenticated ? 'You can send a new link from the banner above.' : 'Sign in to request a new link.'}
+            </p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -2,11 +2,16 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import DeliveryReviewCard from '../Deliveries/DeliveryReviewCard';
+import EscrowPayments from '../Payments/EscrowPayments';
+import ProjectFiles from '../Projects/ProjectFiles';
+import DocumentStats from '../Projects/DocumentStats';
 import { Plus, FileText, Users, Clock, CheckCircle } from 'lucide-react';
 
 const ClientDashboard = () => {
   const { user } = useAuth();
   const [projects, setProjects] = useState([]);
+  const [pendingDeliveries, setPendingDeliveries] = useState([]);
   const [stats, setStats] = useState({
     total: 0,
     posted: 0,
@@ -17,9 +22,13 @@ const ClientDashboard = () => {
 
   const fetchProjects = useCallback(async () => {
     try {
-      const response = await api.get('/projects');
-      const userProjects = response.data.projects.filter(p => p.client.id === user.id);
+      const [response, deliveriesRes] = await Promise.all([
+        api.get('/projects/mine'),
+        api.get('/deliveries/pending')
+      ]);
+      const userProjects = response.data;
       setProjects(userProjects);
+      setPendingDeliveries(deliveriesRes.data);
       
       // Calculate stats
       const stats = {
@@ -34,7 +43,7 @@ const ClientDashboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [user.id]);
+  }, []);
 
   useEffect(() => {
     fetchProjects();
@@ -43,10 +52,12 @@ const ClientDashboard = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'POSTED': return 'bg-blue-100 text-blue-800';
+      case 'AWAITING_FUNDING': return 'bg-orange-100 text-orange-800';
       case 'IN_PROGRESS': return 'bg-yellow-100 text-yellow-800';
       case 'COMPLETED': return 'bg-green-100 text-green-800';
       case 'PAID': return 'bg-purple-100 text-purple-800';
       case 'CANCELLED': return 'bg-red-100 text-red-800';
+      case 'DISPUTED': return 'bg-red-100 text-red-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -132,6 +143,26 @@ const ClientDashboard = () => {
         </div>
       </div>
 
+      <EscrowPayments onChange={fetchProjects} />
+
+      {/* Pending Deliveries */}
+      {pendingDeliveries.length > 0 && (
+        <div className="bg-white rounded-lg shadow mb-8">
+          <div className="p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Deliveries Awaiting Review</h2>
+            <div className="space-y-4">
+              {pendingDeliveries.map((delivery) => (
+                <DeliveryReviewCard
+                  key={delivery.id}
+                  delivery={delivery}
+                  onReviewed={fetchProjects}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Recent Projects */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-6">
@@ -162,6 +193,9 @@ const ClientDashboard = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Languages
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Words
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Budget
                     </th>
@@ -184,14 +218,27 @@ const ClientDashboard = () => {
                           >
                             {project.title}
                           </Link>
+                          {project.organization && (
+                            <span className="ml-2 text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">
+                              {project.organization.name} · {project.role.toLowerCase()}
+                            </span>
+                          )}
                           <p className="text-sm text-gray-500 truncate max-w-xs">
                             {project.description}
                           </p>
+                          <ProjectFiles
+                            projectId={project.id}
+                            canManage={project.role !== 'VIEWER'}
+                            onChange={fetchProjects}
+                          />
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {project.sourceLanguage} → {project.targetLanguage}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {project.wordCount === null ? '—' : <DocumentStats project={project} />}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         ${project.budget}
                       </td>
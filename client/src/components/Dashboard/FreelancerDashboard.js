@@ -2,12 +2,20 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import SubmitDeliveryForm from '../Deliveries/SubmitDeliveryForm';
+import DeliveryHistory from '../Deliveries/DeliveryHistory';
+import ProjectFiles from '../Projects/ProjectFiles';
+import DocumentStats from '../Projects/DocumentStats';
+import PayoutSetup from '../Payouts/PayoutSetup';
+import OpenDisputeForm from '../Disputes/OpenDisputeForm';
 import { Search, FileText, Clock, CheckCircle, DollarSign, Star } from 'lucide-react';
 
 const FreelancerDashboard = () => {
   const { user } = useAuth();
   const [projects, setProjects] = useState([]);
   const [myBids, setMyBids] = useState([]);
+  const [pendingDeliveries, setPendingDeliveries] = useState([]);
+  const [transactions, setTransactions] = useState([]);
   const [stats, setStats] = useState({
     activeBids: 0,
     acceptedBids: 0,
@@ -18,9 +26,12 @@ const FreelancerDashboard = () => {
 
   const fetchData = useCallback(async () => {
     try {
-      const [projectsRes, bidsRes] = await Promise.all([
+      const [projectsRes, bidsRes, deliveriesRes, balanceRes, transactionsRes] = await Promise.all([
         api.get('/projects?status=POSTED'),
-        api.get('/bids/my-bids')
+        api.get('/bids/my-bids'),
+        api.get('/deliveries/pending'),
+        api.get('/ledger/balance'),
+        api.get('/transactions/my-transactions')
       ]);
 
       // Filter projects by user's languages
@@ -29,6 +40,8 @@ const FreelancerDashboard = () => {
       );
       setProjects(relevantProjects);
       setMyBids(bidsRes.data);
+      setPendingDeliveries(deliveriesRes.data);
+      setTransactions(transactionsRes.data);
 
       // Calculate stats
       const activeBids = bidsRes.data.filter(bid => bid.status === 'PENDING').length;
@@ -36,15 +49,12 @@ const FreelancerDashboard = () => {
       const completedProjects = bidsRes.data.filter(bid => 
         bid.project.status === 'COMPLETED' || bid.project.status === 'PAID'
       ).length;
-      const totalEarnings = bidsRes.data
-        .filter(bid => bid.project.status === 'PAID')
-        .reduce((sum, bid) => sum + bid.bidAmount, 0);
 
       setStats({
         activeBids,
         acceptedBids,
         completedProjects,
-        totalEarnings
+        totalEarnings: balanceRes.data.totalEarnings
       });
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -66,6 +76,24 @@ const FreelancerDashboard = () => {
     }
   };
 
+  const activeProjects = myBids.filter(bid =>
+    bid.status === 'ACCEPTED' && ['IN_PROGRESS', 'COMPLETED', 'DISPUTED'].includes(bid.project.status)
+  );
+  const fundedTransaction = (projectId, milestoneId = null) =>
+    transactions.find(transaction =>
+      transaction.project.id === projectId &&
+      (transaction.milestone?.id || null) === milestoneId &&
+      transaction.status === 'FUNDED'
+    );
+  const isAwaitingReview = (projectId) =>
+    pendingDeliveries.some(delivery => delivery.project.id === projectId);
+  // Funded milestones without a delivery awaiting review
+  const deliverableMilestones = (project) =>
+    project.milestones.filter(milestone =>
+      milestone.status === 'IN_PROGRESS' &&
+      !pendingDeliveries.some(delivery => delivery.milestone?.id === milestone.id)
+    );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -130,6 +158,8 @@ const FreelancerDashboard = () => {
         </div>
       </div>
 
+      <PayoutSetup />
+
       {/* Quick Actions */}
       <div className="bg-white rounded-lg shadow mb-8">
         <div className="p-6">
@@ -153,6 +183,88 @@ const FreelancerDashboard = () => {
         </div>
       </div>
 
+      {/* Active Projects */}
+      {activeProjects.length > 0 && (
+        <div className="bg-white rounded-lg shadow mb-8">
+          <div className="p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Active Projects</h2>
+            <div className="space-y-4">
+              {activeProjects.map((bid) => (
+                <div key={bid.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start">
+                    <Link
+                      to={`/projects/${bid.project.id}`}
+                      className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                    >
+                      {bid.project.title}
+                    </Link>
+                    <span className="text-sm text-gray-600">
+                      {bid.project.sourceLanguage} → {bid.project.targetLanguage}
+                    </span>
+                  </div>
+                  <DocumentStats project={bid.project} className="block mt-1 text-xs text-gray-500" />
+                  {bid.project.status === 'DISPUTED' ? (
+                    <p className="mt-2 text-sm text-red-600">
+                      Payment on hold while a <Link to="/disputes" className="underline">dispute</Link> is reviewed.
+                    </p>
+                  ) : bid.project.status === 'COMPLETED' ? (
+                    <p className="mt-2 text-sm text-green-700">Delivery accepted, awaiting payment release.</p>
+                  ) : bid.project.milestones.length > 0 ? (
+                    <>
+                      <ul className="mt-2 space-y-2">
+                        {bid.project.milestones.map((milestone) => (
+                          <li key={milestone.id} className="text-sm">
+                            <div className="flex justify-between">
+                              <span className="text-gray-900">
+                                {milestone.position}. {milestone.title}
+                                {milestone.dueDate && (
+                                  <span className="text-xs text-gray-500"> · due {new Date(milestone.dueDate).toLocaleDateString()}</span>
+                                )}
+                              </span>
+                              <span className="text-xs text-gray-500">{milestone.status.replace('_', ' ').toLowerCase()}</span>
+                            </div>
+                            {fundedTransaction(bid.project.id, milestone.id) && (
+                              <OpenDisputeForm
+                                transactionId={fundedTransaction(bid.project.id, milestone.id).id}
+                                onOpened={fetchData}
+                              />
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                      {deliverableMilestones(bid.project).length > 0 ? (
+                        <SubmitDeliveryForm
+                          key={deliverableMilestones(bid.project).map(milestone => milestone.id).join()}
+                          projectId={bid.project.id}
+                          milestones={deliverableMilestones(bid.project)}
+                          onSubmitted={fetchData}
+                        />
+                      ) : (
+                        <p className="mt-2 text-sm text-yellow-700">Waiting for the client to review or fund the next milestone.</p>
+                      )}
+                    </>
+                  ) : isAwaitingReview(bid.project.id) ? (
+                    <p className="mt-2 text-sm text-yellow-700">Delivery submitted, awaiting client review.</p>
+                  ) : (
+                    <SubmitDeliveryForm projectId={bid.project.id} onSubmitted={fetchData} />
+                  )}
+                  <p className="mt-2 text-xs text-gray-500">
+                    Revision rounds used: {bid.project.revisionsUsed} of {bid.project.revisionLimit}
+                  </p>
+                  <ProjectFiles projectId={bid.project.id} />
+                  <DeliveryHistory projectId={bid.project.id} />
+                  {bid.project.milestones.length === 0 && fundedTransaction(bid.project.id) && (
+                    <div className="mt-3">
+                      <OpenDisputeForm transactionId={fundedTransaction(bid.project.id).id} onOpened={fetchData} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Available Projects */}
         <div className="bg-white rounded-lg shadow">
@@ -186,6 +298,7 @@ const FreelancerDashboard = () => {
                     </p>
                     <div className="flex justify-between items-center text-xs text-gray-500">
                       <span>{project.sourceLanguage} → {project.targetLanguage}</span>
+                      <DocumentStats project={project} />
                       <span>{project._count?.bids || 0} bids</span>
                     </div>
                   </div>
@@ -233,9 +346,17 @@ const FreelancerDashboard = () => {
                       </span>
                     </div>
                     <div className="flex justify-between items-center text-sm text-gray-600">
-                      <span>Your bid: ${bid.bidAmount}</span>
+                      <span>
+                        Your bid: ${bid.bidAmount}
+                        {bid.ratePerWord && ` ($${bid.ratePerWord}/word × ${bid.wordCount.toLocaleString()}${bid.surcharges?.length ? ' + surcharges' : ''})`}
+                        {' '}(you receive ${bid.fees.freelancerNet})
+                      </span>
                       <span>Est. time: {bid.estimatedTime}</span>
                     </div>
+                    <DocumentStats project={bid.project} className="block mt-1 text-xs text-gray-500" />
+                    {bid.status === 'PENDING' && bid.project.shareFilesWithBidders && (
+                      <ProjectFiles projectId={bid.project.id} />
+                    )}
                   </div>
                 ))}
                 {myBids.length > 3 && (
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import api from '../../utils/api';
+import { ChevronDown, ChevronUp, Download } from 'lucide-react';
+
+const DeliveryHistory = ({ projectId }) => {
+  const [history, setHistory] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggle = async () => {
+    if (!open && !history) {
+      try {
+        const response = await api.get(`/deliveries/project/${projectId}`);
+        setHistory(response.data);
+      } catch (error) {
+        setError(error.response?.data?.error || 'Failed to load delivery history');
+      }
+    }
+    setOpen(!open);
+  };
+
+  const fileLinks = (files) => (
+    <div className="flex flex-wrap gap-3 mt-1">
+      {files.map((file, index) => (
+        <a
+          key={file.name}
+          href={file.url}
+          target="_blank"
+          rel="noreferrer"
+          className="inline-flex items-center text-xs text-primary-600 hover:text-primary-900"
+        >
+          <Download className="h-3 w-3 mr-1" />
+          File {index + 1}
+        </a>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={toggle}
+        className="inline-flex items-center text-xs font-medium text-gray-600 hover:text-gray-900"
+      >
+        {open ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+        Delivery history
+      </button>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      {open && history && (
+        <ol className="mt-2 space-y-3 border-l-2 border-gray-200 pl-4">
+          {history.deliveries.map((delivery) => (
+            <li key={delivery.id} className="text-sm">
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-900">Version {delivery.version}</span>
+                <span className="text-xs text-gray-500">
+                  {delivery.status.replace('_', ' ').toLowerCase()} · {new Date(delivery.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+              {delivery.milestone && (
+                <p className="text-xs text-gray-500">Milestone {delivery.milestone.position}: {delivery.milestone.title}</p>
+              )}
+              {delivery.notes && <p className="text-gray-600">{delivery.notes}</p>}
+              {fileLinks(delivery.files)}
+              {delivery.revisionRequest && (
+                <div className="mt-2 bg-yellow-50 rounded-md p-2">
+                  <p className="text-xs font-medium text-yellow-800">
+                    Revision round {delivery.revisionRequest.round} of {history.revisionLimit}
+                  </p>
+                  <p className="text-gray-700">{delivery.revisionRequest.comments}</p>
+                  {fileLinks(delivery.revisionRequest.files)}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryHistory;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+import DeliveryHistory from './DeliveryHistory';
+import { Download, CheckCircle, RotateCcw } from 'lucide-react';
+
+const DeliveryReviewCard = ({ delivery, onReviewed }) => {
+  const [comments, setComments] = useState('');
+  const [files, setFiles] = useState([]);
+  const [showRevision, setShowRevision] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { revisionLimit, revisionsUsed } = delivery.project;
+  const revisionsRemaining = revisionLimit - revisionsUsed;
+
+  const handleError = (error) => {
+    setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to review delivery');
+    setLoading(false);
+  };
+
+  const accept = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await api.put(`/deliveries/${delivery.id}/accept`);
+      onReviewed();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const requestRevision = async () => {
+    setLoading(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('comments', comments);
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      await api.put(`/deliveries/${delivery.id}/request-revision`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      onReviewed();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-start mb-2">
+        <Link
+          to={`/projects/${delivery.project.id}`}
+          className="text-sm font-medium text-primary-600 hover:text-primary-900"
+        >
+          {delivery.project.title}
+        </Link>
+        <span className="text-xs text-gray-500">
+          Version {delivery.version} by {delivery.freelancer.name} · {new Date(delivery.createdAt).toLocaleDateString()}
+        </span>
+      </div>
+      {delivery.milestone && (
+        <p className="text-xs text-gray-500 mb-2">
+          Milestone {delivery.milestone.position}: {delivery.milestone.title}
+        </p>
+      )}
+      {delivery.notes && (
+        <p className="text-sm text-gray-600 mb-2">{delivery.notes}</p>
+      )}
+      <div className="flex flex-wrap gap-3 mb-3">
+        {delivery.files.map((file, index) => (
+          <a
+            key={file.name}
+            href={file.url}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-900"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            File {index + 1}
+          </a>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Revision rounds used: {revisionsUsed} of {revisionLimit}
+      </p>
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-3">
+          {error}
+        </div>
+      )}
+      {showRevision && (
+        <div className="space-y-2 mb-3">
+          <textarea
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            rows={3}
+            placeholder="Describe what needs to change"
+            className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <input
+            type="file"
+            multiple
+            accept=".txt,.doc,.docx,.pdf,.rtf,.odt"
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="block w-full text-sm text-gray-600"
+          />
+        </div>
+      )}
+      <div className="flex gap-3">
+        <button
+          onClick={accept}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          <CheckCircle className="h-4 w-4 mr-2" />
+          Accept
+        </button>
+        <button
+          onClick={() => (showRevision ? requestRevision() : setShowRevision(true))}
+          disabled={loading || revisionsRemaining <= 0 || (showRevision && comments.trim().length < 5)}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RotateCcw className="h-4 w-4 mr-2" />
+          {showRevision ? 'Send Revision Request' : 'Request Revision'}
+        </button>
+      </div>
+      {delivery.version > 1 && (
+        <DeliveryHistory projectId={delivery.project.id} />
+      )}
+    </div>
+  );
+};
+
+export default DeliveryReviewCard;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import api from '../../utils/api';
+import { Upload } from 'lucide-react';
+
+const SubmitDeliveryForm = ({ projectId, milestones = [], onSubmitted }) => {
+  const [files, setFiles] = useState([]);
+  const [milestoneId, setMilestoneId] = useState(milestones[0]?.id || '');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('projectId', projectId);
+    if (milestoneId) {
+      formData.append('milestoneId', milestoneId);
+    }
+    formData.append('notes', notes);
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      await api.post('/deliveries', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setFiles([]);
+      setNotes('');
+      onSubmitted();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to submit delivery');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      {milestones.length > 0 && (
+        <select
+          value={milestoneId}
+          onChange={(e) => setMilestoneId(e.target.value)}
+          className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          {milestones.map((milestone) => (
+            <option key={milestone.id} value={milestone.id}>
+              Milestone {milestone.position}: {milestone.title}
+            </option>
+          ))}
+        </select>
+      )}
+      <input
+        type="file"
+        multiple
+        required
+        accept=".txt,.doc,.docx,.pdf,.rtf,.odt,.xlf,.xliff,.sdlxliff,.mqxliff"
+        onChange={(e) => setFiles(Array.from(e.target.files))}
+        className="block w-full text-sm text-gray-600"
+      />
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={2}
+        placeholder="Notes for the client (optional)"
+        className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+      />
+      <button
+        type="submit"
+        disabled={loading || files.length === 0}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Upload className="h-4 w-4 mr-2" />
+        {loading ? 'Submitting...' : 'Submit Delivery'}
+      </button>
+    </form>
+  );
+};
+
+export default SubmitDeliveryForm;
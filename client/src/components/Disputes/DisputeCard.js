@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { Download, Gavel } from 'lucide-react';
+
+const DisputeCard = ({ dispute, onChange }) => {
+  const { user } = useAuth();
+  const [statement, setStatement] = useState('');
+  const [files, setFiles] = useState([]);
+  const [resolution, setResolution] = useState('RELEASE');
+  const [releaseAmount, setReleaseAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const isAdmin = user.role === 'ADMIN';
+  const isOpen = dispute.status === 'OPEN';
+  const isChargeback = Boolean(dispute.stripeDisputeId);
+
+  const handleError = (error) => {
+    setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Request failed');
+    setLoading(false);
+  };
+
+  const submitEvidence = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('statement', statement);
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      await api.post(`/disputes/${dispute.id}/evidence`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setStatement('');
+      setFiles([]);
+      setLoading(false);
+      onChange();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const resolve = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await api.put(`/disputes/${dispute.id}/resolve`, {
+        resolution,
+        note,
+        ...(resolution === 'SPLIT' && { releaseAmount: parseFloat(releaseAmount) })
+      });
+      setLoading(false);
+      onChange();
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-start mb-2">
+        <Link
+          to={`/projects/${dispute.project.id}`}
+          className="text-sm font-medium text-primary-600 hover:text-primary-900"
+        >
+          {dispute.project.title}
+        </Link>
+        <div className="flex gap-2">
+          {isChargeback && (
+            <span className="px-2 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-800">
+              chargeback
+            </span>
+          )}
+          <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+            isOpen ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'
+          }`}>
+            {isOpen ? 'open' : `resolved${dispute.resolution ? `: ${dispute.resolution.toLowerCase()}` : ''}`}
+          </span>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Opened by {dispute.openedBy.name} ({dispute.openedBy.role.toLowerCase()}) on {new Date(dispute.createdAt).toLocaleDateString()} · Escrow ${dispute.transaction.amount}
+      </p>
+
+      <ol className="space-y-3 border-l-2 border-gray-200 pl-4 mb-3">
+        {dispute.evidence.map((item) => (
+          <li key={item.id} className="text-sm">
+            <p className="text-xs font-medium text-gray-700">
+              {item.submittedBy.name} · {new Date(item.createdAt).toLocaleString()}
+            </p>
+            <p className="text-gray-600">{item.statement}</p>
+            <div className="flex flex-wrap gap-3 mt-1">
+              {item.files.map((file, index) => (
+                <a
+                  key={file.name}
+                  href={file.url}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="inline-flex items-center text-xs text-primary-600 hover:text-primary-900"
+                >
+                  <Download className="h-3 w-3 mr-1" />
+                  File {index + 1}
+                </a>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {!isOpen && isChargeback && (
+        <p className="text-sm text-gray-600">{dispute.resolutionNote}</p>
+      )}
+
+      {!isOpen && !isChargeback && (
+        <p className="text-sm text-gray-600">
+          Released ${dispute.releaseAmount} to the freelancer, refunded ${dispute.refundAmount} to the client.
+          {dispute.resolutionNote && ` ${dispute.resolutionNote}`}
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-3">
+          {error}
+        </div>
+      )}
+
+      {isOpen && !isAdmin && (
+        <form onSubmit={submitEvidence} className="space-y-2">
+          <textarea
+            value={statement}
+            onChange={(e) => setStatement(e.target.value)}
+            rows={2}
+            placeholder="Add a statement"
+            className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <input
+            type="file"
+            multiple
+            accept=".txt,.doc,.docx,.pdf,.rtf,.odt,.png,.jpg,.jpeg"
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="block w-full text-sm text-gray-600"
+          />
+          <button
+            type="submit"
+            disabled={loading || statement.trim().length < 5}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Submit Evidence
+          </button>
+        </form>
+      )}
+
+      {isOpen && isAdmin && isChargeback && (
+        <p className="text-sm text-gray-600">
+          Settled by the card issuer through Stripe. The escrow stays held until Stripe reports the outcome.
+        </p>
+      )}
+
+      {isOpen && isAdmin && !isChargeback && (
+        <form onSubmit={resolve} className="space-y-2">
+          <div className="flex flex-wrap gap-3">
+            <select
+              value={resolution}
+              onChange={(e) => setResolution(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="RELEASE">Release to freelancer</option>
+              <option value="REFUND">Refund client</option>
+              <option value="SPLIT">Split</option>
+            </select>
+            {resolution === 'SPLIT' && (
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                max={dispute.transaction.amount}
+                value={releaseAmount}
+                onChange={(e) => setReleaseAmount(e.target.value)}
+                placeholder="Amount to freelancer"
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+            )}
+          </div>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            placeholder="Resolution note shared with both parties"
+            className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={loading || (resolution === 'SPLIT' && !releaseAmount)}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Gavel className="h-4 w-4 mr-2" />
+            Resolve Dispute
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DisputeCard;
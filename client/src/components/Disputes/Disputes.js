@@ -0,0 +1,57 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../utils/api';
+import DisputeCard from './DisputeCard';
+
+const Disputes = () => {
+  const [disputes, setDisputes] = useState([]);
+  const [status, setStatus] = useState('OPEN');
+  const [loading, setLoading] = useState(true);
+
+  const fetchDisputes = useCallback(async () => {
+    try {
+      const response = await api.get(`/disputes${status ? `?status=${status}` : ''}`);
+      setDisputes(response.data);
+    } catch (error) {
+      console.error('Error fetching disputes:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchDisputes();
+  }, [fetchDisputes]);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Disputes</h1>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="OPEN">Open</option>
+          <option value="RESOLVED">Resolved</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : disputes.length === 0 ? (
+          <p className="text-sm text-gray-500">No disputes.</p>
+        ) : (
+          <div className="space-y-4">
+            {disputes.map((dispute) => (
+              <DisputeCard key={dispute.id} dispute={dispute} onChange={fetchDisputes} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Disputes;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import api from '../../utils/api';
+import { AlertTriangle } from 'lucide-react';
+
+const OpenDisputeForm = ({ transactionId, onOpened }) => {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('transactionId', transactionId);
+    formData.append('reason', reason);
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      await api.post('/disputes', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setOpen(false);
+      onOpened();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to open dispute');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="inline-flex items-center text-xs font-medium text-red-600 hover:text-red-800"
+      >
+        <AlertTriangle className="h-4 w-4 mr-1" />
+        Open Dispute
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+      <p className="text-xs text-gray-500">
+        Opening a dispute puts the payment on hold until an administrator resolves it.
+      </p>
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        rows={3}
+        required
+        placeholder="Explain what went wrong"
+        className="block w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+      />
+      <input
+        type="file"
+        multiple
+        accept=".txt,.doc,.docx,.pdf,.rtf,.odt,.png,.jpg,.jpeg"
+        onChange={(e) => setFiles(Array.from(e.target.files))}
+        className="block w-full text-sm text-gray-600"
+      />
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={loading || reason.trim().length < 10}
+          className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Opening...' : 'Open Dispute'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default OpenDisputeForm;
@@ -7,8 +7,8 @@ const Header = () => {
   const { user, logout, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -38,14 +38,44 @@ const Header = () => {
                 >
                   Projects
                 </Link>
-                {user?.role === 'CLIENT' && (
+                <Link
+                  to="/disputes"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
+                >
+                  Disputes
+                </Link>
+                {user?.role === 'FREELANCER' && (
+                  <Link
+                    to="/rates"
+                    className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
+                  >
+                    Rates
+                  </Link>
+                )}
+                {user?.role === 'ADMIN' && (
                   <Link
-                    to="/post-project"
+                    to="/admin"
                     className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
                   >
-                    Post Project
+                    Admin
                   </Link>
                 )}
+                {user?.role === 'CLIENT' && (
+                  <>
+                    <Link
+                      to="/organizations"
+                      className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
+                    >
+                      Team
+                    </Link>
+                    <Link
+                      to="/post-project"
+                      className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
+                    >
+                      Post Project
+                    </Link>
+                  </>
+                )}
               </>
             ) : (
               <>
@@ -70,7 +100,7 @@ const Header = () => {
               <div className="flex items-center space-x-4">
                 <div className="flex items-center space-x-2">
                   <User className="h-5 w-5 text-gray-400" />
-                  <span className="text-sm text-gray-700">{user.name}</span>
+                  <Link to="/sessions" className="text-sm text-gray-700 hover:text-primary-600">{user.name}</Link>
                   <span className="text-xs bg-primary-100 text-primary-800 px-2 py-1 rounded-full">
                     {user.role.toLowerCase()}
                   </span>
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { MailWarning } from 'lucide-react';
+
+// Shown until the user confirms their email; bidding and posting projects
+// are blocked by the server until then
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!isAuthenticated || user.emailVerifiedAt) {
+    return null;
+  }
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const response = await api.post('/auth/verify-email/resend');
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Failed to send verification email');
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-wrap items-center justify-between gap-2">
+        <p className="flex items-center text-sm text-yellow-800">
+          <MailWarning className="h-4 w-4 mr-2" />
+          Please verify {user.email} to post projects and place bids.
+        </p>
+        {message ? (
+          <span className="text-sm text-yellow-800">{message}</span>
+        ) : (
+          <button
+            onClick={resend}
+            disabled={sending}
+            className="text-sm font-medium text-yellow-900 underline disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend verification email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { Building2, XCircle } from 'lucide-react';
+
+// Landing page for an emailed organization invitation
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(token ? '' : 'This invitation link is incomplete.');
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    if (!token || !isAuthenticated) {
+      return;
+    }
+
+    api.get(`/organizations/invitations/preview?token=${encodeURIComponent(token)}`)
+      .then(response => setInvitation(response.data))
+      .catch(error => setError(error.response?.data?.error || 'Failed to load invitation'));
+  }, [token, isAuthenticated]);
+
+  const accept = async () => {
+    setAccepting(true);
+    setError('');
+    try {
+      const response = await api.post('/organizations/invitations/accept', { token });
+      navigate(`/organizations/${response.data.organization.id}`);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to accept invitation');
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow p-8 text-center">
+        {error ? (
+          <>
+            <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Could not open this invitation</h2>
+            <p className="text-gray-600">{error}</p>
+          </>
+        ) : !isAuthenticated ? (
+          <>
+            <Building2 className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">You have been invited</h2>
+            <p className="text-gray-600 mb-6">
+              Sign in or create a client account with the invited email address, then open the link from the email again.
+            </p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Sign in
+            </Link>
+          </>
+        ) : !invitation ? (
+          <p className="text-gray-600">Loading invitation...</p>
+        ) : (
+          <>
+            <Building2 className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Join {invitation.organization.name}</h2>
+            <p className="text-gray-600 mb-6">
+              {invitation.invitedBy.name} invited {invitation.email} to join as a {invitation.role.toLowerCase()}.
+            </p>
+            <button
+              onClick={accept}
+              disabled={accepting}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              Accept invitation
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import { Mail, XCircle } from 'lucide-react';
+
+const ROLES = ['OWNER', 'MANAGER', 'VIEWER'];
+
+// Members and invitations of one organization. Only owners can change them;
+// anyone can leave.
+const OrganizationDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [organization, setOrganization] = useState(null);
+  const [invite, setInvite] = useState({ email: '', role: 'MANAGER' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchOrganization = useCallback(async () => {
+    try {
+      const response = await api.get(`/organizations/${id}`);
+      setOrganization(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load organization');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchOrganization();
+  }, [fetchOrganization]);
+
+  const run = async (request, onDone = fetchOrganization) => {
+    setError('');
+    setMessage('');
+    try {
+      const response = await request();
+      setMessage(response.data.message);
+      onDone();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Request failed');
+    }
+  };
+
+  const sendInvite = (e) => {
+    e.preventDefault();
+    run(() => api.post(`/organizations/${id}/invitations`, invite), () => {
+      setInvite({ ...invite, email: '' });
+      fetchOrganization();
+    });
+  };
+
+  const leave = () => run(
+    () => api.delete(`/organizations/${id}/members/${user.id}`),
+    () => navigate('/organizations')
+  );
+
+  if (loading) {
+    return <p className="max-w-3xl mx-auto px-4 py-8 text-sm text-gray-500">Loading...</p>;
+  }
+
+  if (!organization) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+        <Link to="/organizations" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          Back to organizations
+        </Link>
+      </div>
+    );
+  }
+
+  const isOwner = organization.role === 'OWNER';
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">{organization.name}</h1>
+          <p className="text-sm text-gray-500">
+            You are {organization.role === 'OWNER' ? 'an owner' : `a ${organization.role.toLowerCase()}`} · {organization._count.projects} projects
+          </p>
+        </div>
+        <button
+          onClick={leave}
+          className="px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Leave
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded-md text-sm mb-4">
+          {message}
+        </div>
+      )}
+
+      <h2 className="text-lg font-medium text-gray-900 mb-3">Members</h2>
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200 mb-8">
+        {organization.members.map((member) => (
+          <div key={member.id} className="p-4 flex justify-between items-center">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {member.user.name}
+                {member.user.id === user.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+              </p>
+              <p className="text-xs text-gray-500">{member.user.email}</p>
+            </div>
+            {isOwner ? (
+              <div className="flex items-center space-x-3">
+                <select
+                  value={member.role}
+                  onChange={(e) => run(() => api.put(`/organizations/${id}/members/${member.user.id}`, { role: e.target.value }))}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role}>{role.toLowerCase()}</option>
+                  ))}
+                </select>
+                {member.user.id !== user.id && (
+                  <button
+                    onClick={() => run(() => api.delete(`/organizations/${id}/members/${member.user.id}`))}
+                    className="inline-flex items-center text-sm text-red-600 hover:text-red-800"
+                  >
+                    <XCircle className="h-4 w-4 mr-1" />
+                    Remove
+                  </button>
+                )}
+              </div>
+            ) : (
+              <span className="text-xs bg-primary-100 text-primary-800 px-2 py-1 rounded-full">
+                {member.role.toLowerCase()}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {isOwner && (
+        <>
+          <h2 className="text-lg font-medium text-gray-900 mb-3">Invitations</h2>
+          <form onSubmit={sendInvite} className="flex space-x-3 mb-4">
+            <input
+              type="email"
+              required
+              value={invite.email}
+              onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+              placeholder="colleague@example.com"
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <select
+              value={invite.role}
+              onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {ROLES.map(role => (
+                <option key={role} value={role}>{role.toLowerCase()}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+            >
+              <Mail className="h-4 w-4 mr-2" />
+              Invite
+            </button>
+          </form>
+
+          {organization.invitations.length > 0 && (
+            <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+              {organization.invitations.map((invitation) => (
+                <div key={invitation.id} className="p-4 flex justify-between items-center">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{invitation.email}</p>
+                    <p className="text-xs text-gray-500">
+                      {invitation.role.toLowerCase()} · expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => run(() => api.delete(`/organizations/${id}/invitations/${invitation.id}`))}
+                    className="inline-flex items-center text-sm text-red-600 hover:text-red-800"
+                  >
+                    <XCircle className="h-4 w-4 mr-1" />
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationDetail;
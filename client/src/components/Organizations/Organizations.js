@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+import { Building2, Plus } from 'lucide-react';
+
+// The client teams the user belongs to
+const Organizations = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const response = await api.get('/organizations');
+      setOrganizations(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load organizations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  const create = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.post('/organizations', { name });
+      setName('');
+      fetchOrganizations();
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to create organization');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-2">Organizations</h1>
+      <p className="text-gray-600 mb-8">
+        Share projects with your team. Owners and managers run an organization's projects and payments; viewers can follow along.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={create} className="flex space-x-3 mb-6">
+        <input
+          type="text"
+          required
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New organization name"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Create
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : organizations.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">You are not a member of any organization yet.</p>
+        ) : organizations.map((organization) => (
+          <Link
+            key={organization.id}
+            to={`/organizations/${organization.id}`}
+            className="p-4 flex justify-between items-center hover:bg-gray-50"
+          >
+            <div className="flex items-start">
+              <Building2 className="h-5 w-5 text-gray-400 mr-3 mt-1" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{organization.name}</p>
+                <p className="text-xs text-gray-500">
+                  {organization._count.memberships} members · {organization._count.projects} projects
+                </p>
+              </div>
+            </div>
+            <span className="text-xs bg-primary-100 text-primary-800 px-2 py-1 rounded-full">
+              {organization.role.toLowerCase()}
+            </span>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
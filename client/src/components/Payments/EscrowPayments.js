@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+import FundEscrow from './FundEscrow';
+import OpenDisputeForm from '../Disputes/OpenDisputeForm';
+import { Shield } from 'lucide-react';
+
+const EscrowPayments = ({ onChange }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchTransactions = useCallback(async () => {
+    try {
+      const response = await api.get('/transactions/my-transactions');
+      setTransactions(response.data.filter(transaction =>
+        ['AWAITING_FUNDING', 'FUNDED', 'DISPUTED'].includes(transaction.status)
+      ));
+    } catch (error) {
+      console.error('Error fetching transactions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const refresh = () => {
+    fetchTransactions();
+    onChange();
+  };
+
+  const release = async (transaction) => {
+    setError('');
+    try {
+      await api.post(`/transactions/${transaction.id}/release`);
+      refresh();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to release payment');
+    }
+  };
+
+  // Milestones are released one by one once their delivery is approved
+  const isReleasable = (transaction) => (transaction.milestone
+    ? transaction.milestone.status === 'APPROVED'
+    : transaction.project.status === 'COMPLETED');
+
+  if (transactions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-8">
+      <div className="p-6">
+        <h2 className="flex items-center text-lg font-medium text-gray-900 mb-4">
+          <Shield className="h-5 w-5 mr-2 text-primary-600" />
+          Escrow Payments
+        </h2>
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm mb-4">
+            {error}
+          </div>
+        )}
+        <div className="space-y-4">
+          {transactions.map((transaction) => (
+            <div key={transaction.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start mb-2">
+                <Link
+                  to={`/projects/${transaction.project.id}`}
+                  className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                >
+                  {transaction.project.title}
+                </Link>
+                <span className="text-sm text-gray-600">
+                  {transaction.freelancer.name}
+                </span>
+              </div>
+              {transaction.milestone && (
+                <p className="text-xs text-gray-500 mb-2">
+                  Milestone {transaction.milestone.position}: {transaction.milestone.title}
+                  {transaction.milestone.dueDate && ` · due ${new Date(transaction.milestone.dueDate).toLocaleDateString()}`}
+                </p>
+              )}
+              {!transaction.canManage && transaction.status !== 'DISPUTED' && (
+                <p className="text-sm text-gray-500">
+                  ${transaction.amount} · {transaction.status === 'FUNDED' ? 'held in escrow' : 'awaiting funding'}. Only organization owners and managers can manage this payment.
+                </p>
+              )}
+              {transaction.canManage && transaction.status === 'AWAITING_FUNDING' && (
+                <>
+                  <p className="text-sm text-gray-600 mb-3">
+                    Bid ${transaction.amount} + service fee ${transaction.clientFee} = <span className="font-medium text-gray-900">${transaction.clientTotal ?? transaction.amount}</span>
+                  </p>
+                  <FundEscrow transaction={transaction} onFunded={refresh} />
+                </>
+              )}
+              {transaction.canManage && transaction.status === 'FUNDED' && isReleasable(transaction) && (
+                <button
+                  onClick={() => release(transaction)}
+                  className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                >
+                  Release Payment
+                </button>
+              )}
+              {transaction.canManage && transaction.status === 'FUNDED' && !isReleasable(transaction) && (
+                <p className="text-sm text-gray-500">Funds held in escrow until you accept the delivery.</p>
+              )}
+              {transaction.canManage && transaction.status === 'FUNDED' && (
+                <div className="mt-3">
+                  <OpenDisputeForm transactionId={transaction.id} onOpened={refresh} />
+                </div>
+              )}
+              {transaction.status === 'DISPUTED' && (
+                <p className="text-sm text-red-600">
+                  Payment on hold while a <Link to="/disputes" className="underline">dispute</Link> is reviewed.
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EscrowPayments;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { loadStripe } from '@stripe/stripe-js';
+import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import api from '../../utils/api';
+import { Lock } from 'lucide-react';
+
+const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY);
+
+const CheckoutForm = ({ onFunded }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const { error: stripeError, paymentIntent } = await stripe.confirmPayment({
+      elements,
+      redirect: 'if_required'
+    });
+
+    if (stripeError) {
+      setError(stripeError.message);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      await api.post('/transactions/confirm-payment', { paymentIntentId: paymentIntent.id });
+      onFunded();
+    } catch (error) {
+      // The webhook still reconciles the payment if this call fails
+      setError(error.response?.data?.error || 'Payment received, confirmation pending');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+      <PaymentElement />
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-3 py-2 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={!stripe || loading}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Lock className="h-4 w-4 mr-2" />
+        {loading ? 'Processing...' : 'Pay into Escrow'}
+      </button>
+    </form>
+  );
+};
+
+const FundEscrow = ({ transaction, onFunded }) => {
+  const [clientSecret, setClientSecret] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const startCheckout = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.post('/transactions/create-payment-intent', {
+        transactionId: transaction.id
+      });
+      setClientSecret(response.data.clientSecret);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to start checkout');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (clientSecret) {
+    return (
+      <Elements stripe={stripePromise} options={{ clientSecret }}>
+        <CheckoutForm onFunded={onFunded} />
+      </Elements>
+    );
+  }
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <button
+        onClick={startCheckout}
+        disabled={loading}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+      >
+        {loading ? 'Preparing...' : `Fund Escrow ($${transaction.clientTotal ?? transaction.amount})`}
+      </button>
+    </div>
+  );
+};
+
+export default FundEscrow;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../utils/api';
+import { CreditCard, ExternalLink } from 'lucide-react';
+
+const PayoutSetup = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get('/payouts/status')
+      .then(response => setStatus(response.data))
+      .catch(() => setError('Failed to load payout status'));
+  }, []);
+
+  const redirectTo = async (endpoint) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.post(endpoint);
+      window.location.href = response.data.url;
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to contact Stripe');
+      setLoading(false);
+    }
+  };
+
+  if (!status && !error) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-8">
+      <div className="p-6 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <CreditCard className="h-8 w-8 text-primary-600" />
+          <div className="ml-4">
+            <h2 className="text-lg font-medium text-gray-900">Payouts</h2>
+            <p className="text-sm text-gray-600">
+              {status?.payoutsEnabled
+                ? 'Your Stripe account is ready to receive escrow releases.'
+                : 'Connect a Stripe account so clients can release payments to you.'}
+            </p>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+        </div>
+        {status?.payoutsEnabled ? (
+          <button
+            onClick={() => redirectTo('/payouts/dashboard-link')}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ExternalLink className="h-4 w-4 mr-2" />
+            Stripe Dashboard
+          </button>
+        ) : (
+          <button
+            onClick={() => redirectTo('/payouts/onboard')}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {status?.connected ? 'Finish Payout Setup' : 'Set Up Payouts'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayoutSetup;
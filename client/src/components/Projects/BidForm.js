@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../utils/api';
+
+const sameLanguage = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Mirrors priceRateBid in server/services/pricing.js, in cents
+const priceInCents = (ratePerWord, wordCount, surcharges) => {
+  const base = Math.round(ratePerWord * wordCount * 100);
+  return surcharges.reduce((total, surcharge) => total + Math.round(base * surcharge.percent / 100), base);
+};
+
+// Bid on a project, either a fixed amount or per word on the project's
+// analyzed word count. The rate starts from the freelancer's rate for the
+// language pair.
+const BidForm = ({ project, onSubmitted }) => {
+  const [mode, setMode] = useState(project.wordCount ? 'rate' : 'fixed');
+  const [bidAmount, setBidAmount] = useState('');
+  const [ratePerWord, setRatePerWord] = useState('');
+  const [surchargeTypes, setSurchargeTypes] = useState({});
+  const [surcharges, setSurcharges] = useState({});
+  const [estimatedTime, setEstimatedTime] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.get('/users/rates')
+      .then(response => {
+        setSurchargeTypes(response.data.surchargeTypes);
+        const rate = response.data.rates.find(rate => (
+          sameLanguage(rate.sourceLanguage, project.sourceLanguage)
+          && sameLanguage(rate.targetLanguage, project.targetLanguage)
+        ));
+        if (rate) {
+          setRatePerWord(String(rate.ratePerWord));
+        }
+      })
+      .catch(() => setError('Failed to load your rates'));
+  }, [project.sourceLanguage, project.targetLanguage]);
+
+  const selectedSurcharges = Object.entries(surcharges)
+    .filter(([, percent]) => parseFloat(percent) > 0)
+    .map(([type, percent]) => ({ type, percent: parseFloat(percent) }));
+
+  const total = mode === 'rate' && ratePerWord
+    ? priceInCents(parseFloat(ratePerWord), project.wordCount, selectedSurcharges) / 100
+    : null;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    try {
+      const response = await api.post('/bids', mode === 'rate'
+        ? { projectId: project.id, ratePerWord, surcharges: selectedSurcharges, estimatedTime }
+        : { projectId: project.id, bidAmount, estimatedTime });
+      setMessage(`Bid of $${response.data.bid.bidAmount} submitted. You would receive $${response.data.fees.freelancerNet}.`);
+      if (onSubmitted) {
+        onSubmitted();
+      }
+    } catch (error) {
+      setError(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to submit bid');
+    }
+  };
+
+  if (message) {
+    return <p className="text-sm text-green-700">{message}</p>;
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {project.wordCount > 0 && (
+        <div className="flex space-x-4 text-sm text-gray-700">
+          <label className="flex items-center">
+            <input type="radio" checked={mode === 'rate'} onChange={() => setMode('rate')} className="mr-2" />
+            Per word
+          </label>
+          <label className="flex items-center">
+            <input type="radio" checked={mode === 'fixed'} onChange={() => setMode('fixed')} className="mr-2" />
+            Fixed price
+          </label>
+        </div>
+      )}
+      {mode === 'rate' ? (
+        <>
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>$</span>
+            <input
+              type="number"
+              required
+              min="0.01"
+              max="5"
+              step="0.001"
+              value={ratePerWord}
+              onChange={(e) => setRatePerWord(e.target.value)}
+              className="w-28 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <span>per word × {project.wordCount.toLocaleString()} words</span>
+          </div>
+          {Object.entries(surchargeTypes).map(([type, label]) => (
+            <div key={type} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="number"
+                min="0"
+                max="200"
+                step="0.5"
+                value={surcharges[type] ?? ''}
+                onChange={(e) => setSurcharges({ ...surcharges, [type]: e.target.value })}
+                placeholder="0"
+                className="w-20 border border-gray-300 rounded-md px-3 py-1 text-sm"
+              />
+              <span>% {label.toLowerCase()} surcharge</span>
+            </div>
+          ))}
+          {total !== null && (
+            <p className="text-sm font-medium text-gray-900">Total: ${total.toFixed(2)}</p>
+          )}
+        </>
+      ) : (
+        <input
+          type="number"
+          required
+          min="1"
+          step="0.01"
+          value={bidAmount}
+          onChange={(e) => setBidAmount(e.target.value)}
+          placeholder="Bid amount ($)"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+      )}
+      <input
+        type="text"
+        required
+        value={estimatedTime}
+        onChange={(e) => setEstimatedTime(e.target.value)}
+        placeholder="Estimated time, e.g. 5 days"
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+      />
+      <button
+        type="submit"
+        className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+      >
+        Submit bid
+      </button>
+    </form>
+  );
+};
+
+export default BidForm;
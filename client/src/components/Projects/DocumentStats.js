@@ -0,0 +1,44 @@
+import React from 'react';
+
+const formatNumber = (value) => value.toLocaleString();
+
+// Word counts of a project's source documents, counted when they are
+// uploaded. Renders nothing until at least one file could be read.
+const DocumentStats = ({ project, detailed = false, className = '' }) => {
+  if (project.wordCount === null || project.wordCount === undefined) {
+    return null;
+  }
+
+  const repeatedShare = project.wordCount > 0
+    ? Math.round((project.repeatedWordCount / project.wordCount) * 100)
+    : 0;
+
+  if (!detailed) {
+    return (
+      <span className={className}>
+        {formatNumber(project.wordCount)} words
+        {repeatedShare > 0 && ` · ${repeatedShare}% repeated`}
+      </span>
+    );
+  }
+
+  const stats = [
+    ['Words', formatNumber(project.wordCount)],
+    ['Characters', formatNumber(project.characterCount)],
+    ['Segments', formatNumber(project.segmentCount)],
+    ['Repeated words', `${formatNumber(project.repeatedWordCount)} (${repeatedShare}%)`]
+  ];
+
+  return (
+    <dl className={`grid grid-cols-2 sm:grid-cols-4 gap-4 ${className}`}>
+      {stats.map(([label, value]) => (
+        <div key={label}>
+          <dt className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</dt>
+          <dd className="mt-1 text-sm text-gray-900">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default DocumentStats;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import DocumentStats from './DocumentStats';
+import ProjectFiles from './ProjectFiles';
+import BidForm from './BidForm';
+
+// A project's public details, with its source-document counts and a price
+// range from translators' per-word rates. Freelancers can bid from here.
+const ProjectDetail = () => {
+  const { id } = useParams();
+  const { user, isAuthenticated } = useAuth();
+  const [project, setProject] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchProject = useCallback(async () => {
+    try {
+      const response = await api.get(`/projects/${id}`);
+      setProject(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load project');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchProject();
+  }, [fetchProject]);
+
+  const wordCount = project?.wordCount;
+  useEffect(() => {
+    if (!wordCount) {
+      setQuote(null);
+      return;
+    }
+    api.get(`/projects/${id}/quote`)
+      .then(response => setQuote(response.data))
+      .catch(() => setQuote(null));
+  }, [id, wordCount]);
+
+  if (loading) {
+    return <p className="max-w-3xl mx-auto px-4 py-8 text-sm text-gray-500">Loading...</p>;
+  }
+
+  if (!project) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+        <Link to="/dashboard" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          Back to dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-start mb-2">
+        <h1 className="text-2xl font-bold text-gray-900">{project.title}</h1>
+        <span className="text-lg font-medium text-green-600">${project.budget}</span>
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        {project.sourceLanguage} → {project.targetLanguage}
+        {' · '}{project.status.replace('_', ' ').toLowerCase()}
+        {project.deadline && ` · due ${new Date(project.deadline).toLocaleDateString()}`}
+        {' · posted by '}{project.organization?.name || project.client.name}
+      </p>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <p className="text-sm text-gray-900 whitespace-pre-line">{project.description}</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-4">Source documents</h2>
+        {project.wordCount !== null ? (
+          <>
+            <DocumentStats project={project} detailed />
+            {quote && (
+              <p className="mt-4 text-sm text-gray-700">
+                {quote.price
+                  ? `Translators for this pair typically charge $${quote.price.low}–$${quote.price.high} (median $${quote.price.median}, from ${quote.translators} rates).`
+                  : 'No translators have listed a rate for this language pair yet.'}
+              </p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">
+            {project._count.files > 0
+              ? 'The attached files could not be counted.'
+              : 'No files attached.'}
+          </p>
+        )}
+        {isAuthenticated && project._count.files > 0 && (
+          <ProjectFiles
+            projectId={project.id}
+            canManage={project.clientId === user.id}
+            onChange={fetchProject}
+          />
+        )}
+      </div>
+
+      {project.milestones.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Milestones</h2>
+          <ul className="space-y-2">
+            {project.milestones.map((milestone) => (
+              <li key={milestone.id} className="flex justify-between text-sm">
+                <span className="text-gray-900">{milestone.position}. {milestone.title}</span>
+                <span className="text-gray-600">${milestone.amount}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {user?.role === 'FREELANCER' && project.status === 'POSTED'
+        && !project.bids.some(bid => bid.freelancerId === user.id) && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Place a bid</h2>
+          <BidForm project={project} onSubmitted={fetchProject} />
+        </div>
+      )}
+
+      <p className="text-sm text-gray-500">{project.bids.length} bids so far</p>
+    </div>
+  );
+};
+
+export default ProjectDetail;
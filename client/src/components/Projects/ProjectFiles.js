@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import api from '../../utils/api';
+import { ChevronDown, ChevronUp, Download, Upload, XCircle } from 'lucide-react';
+
+const formatSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// A project's attached documents. Download links are signed and expire after
+// a few minutes, so the list is fetched each time it is opened. onChange runs
+// after an upload or removal, when the project's word counts change.
+const ProjectFiles = ({ projectId, canManage = false, onChange }) => {
+  const [data, setData] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchFiles = async () => {
+    try {
+      const response = await api.get(`/projects/${projectId}/files`);
+      setData(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load project files');
+    }
+  };
+
+  const toggle = () => {
+    if (!open) {
+      setError('');
+      fetchFiles();
+    }
+    setOpen(!open);
+  };
+
+  const run = async (request) => {
+    setError('');
+    try {
+      await request();
+      fetchFiles();
+      if (onChange) {
+        onChange();
+      }
+    } catch (error) {
+      setError(error.response?.data?.error || 'Request failed');
+    }
+  };
+
+  const upload = (e) => {
+    e.preventDefault();
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    run(async () => {
+      await api.post(`/projects/${projectId}/files`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setFiles([]);
+    });
+  };
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={toggle}
+        className="inline-flex items-center text-xs font-medium text-gray-600 hover:text-gray-900"
+      >
+        {open ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+        Project files
+      </button>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      {open && data && (
+        <div className="mt-2 space-y-2">
+          {data.files.length === 0 ? (
+            <p className="text-xs text-gray-500">No files attached.</p>
+          ) : data.files.map((file) => (
+            <div key={file.id} className="flex items-center justify-between text-xs">
+              <a
+                href={file.url}
+                className="inline-flex items-center text-primary-600 hover:text-primary-900"
+              >
+                <Download className="h-3 w-3 mr-1" />
+                {file.originalName}
+                <span className="ml-2 text-gray-500">{formatSize(file.size)}</span>
+                {file.analysis && (
+                  <span className="ml-2 text-gray-500">{file.analysis.wordCount.toLocaleString()} words</span>
+                )}
+                {file.analysisError && (
+                  <span className="ml-2 text-yellow-700" title={file.analysisError}>not counted</span>
+                )}
+                {file.xliff && (
+                  <span className="ml-2 text-gray-500">
+                    XLIFF {file.xliff.version} · {file.xliff.translatedCount} of {file.xliff.segmentCount} segments translated
+                  </span>
+                )}
+              </a>
+              {file.xliff?.exportUrl && (
+                <a
+                  href={file.xliff.exportUrl}
+                  className="inline-flex items-center text-primary-600 hover:text-primary-900"
+                >
+                  <Download className="h-3 w-3 mr-1" />
+                  With translations
+                </a>
+              )}
+              {canManage && (
+                <button
+                  onClick={() => run(() => api.delete(`/projects/${projectId}/files/${file.id}`))}
+                  className="inline-flex items-center text-red-600 hover:text-red-800"
+                >
+                  <XCircle className="h-3 w-3 mr-1" />
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+          {canManage && (
+            <>
+              <label className="flex items-center text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={data.shareFilesWithBidders}
+                  onChange={(e) => run(() => api.put(`/projects/${projectId}`, { shareFilesWithBidders: e.target.checked }))}
+                  className="mr-2"
+                />
+                Let freelancers who bid download these files
+              </label>
+              <form onSubmit={upload} className="flex items-center space-x-2">
+                <input
+                  type="file"
+                  multiple
+                  accept=".txt,.doc,.docx,.pdf,.rtf,.odt,.xlf,.xliff,.sdlxliff,.mqxliff"
+                  onChange={(e) => setFiles(Array.from(e.target.files))}
+                  className="text-xs"
+                />
+                <button
+                  type="submit"
+                  disabled={files.length === 0}
+                  className="inline-flex items-center text-xs font-medium text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                >
+                  <Upload className="h-3 w-3 mr-1" />
+                  Upload
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectFiles;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import api from '../utils/api';
+import api, { storeTokens, clearSession, loadCsrfToken, USE_AUTH_COOKIES } from '../utils/api';
 
 const AuthContext = createContext();
 
@@ -16,6 +16,16 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // In cookie mode nothing is kept in localStorage; ask the server who we are
+    if (USE_AUTH_COOKIES) {
+      loadCsrfToken()
+        .then(token => (token ? api.get('/users/profile') : null))
+        .then(response => setUser(response ? response.data : null))
+        .catch(() => setUser(null))
+        .finally(() => setLoading(false));
+      return;
+    }
+
     const token = localStorage.getItem('token');
     const userData = localStorage.getItem('user');
     
@@ -25,14 +35,26 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const rememberUser = (user) => {
+    if (!USE_AUTH_COOKIES) {
+      localStorage.setItem('user', JSON.stringify(user));
+    }
+    setUser(user);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { user, token } = response.data;
+
+      // Accounts with 2FA get a challenge to finish with completeTwoFactorLogin
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
+      const { user } = response.data;
       
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      storeTokens(response.data);
+      rememberUser(user);
       
       return { success: true };
     } catch (error) {
@@ -43,14 +65,70 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // secondFactor is { code } or { recoveryCode }
+  const completeTwoFactorLogin = async (challengeToken, secondFactor) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, ...secondFactor });
+      const { user } = response.data;
+
+      storeTokens(response.data);
+      rememberUser(user);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        code: error.response?.data?.code,
+        error: error.response?.data?.error || 'Login failed'
+      };
+    }
+  };
+
+  // OIDC sign-in ends with a single-use refresh token; trade it for our own
+  // tokens, then load the profile it belongs to
+  const completeOidcLogin = async (refreshToken) => {
+    try {
+      const response = await api.post('/auth/refresh', { refreshToken });
+      storeTokens(response.data);
+
+      const profile = await api.get('/users/profile');
+      rememberUser(profile.data);
+
+      return { success: true };
+    } catch (error) {
+      clearSession();
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Sign-in failed'
+      };
+    }
+  };
+
+  // First OIDC sign-in: create the account with the chosen role
+  const completeOidcSignup = async (signupData) => {
+    try {
+      const response = await api.post('/auth/oidc/signup', signupData);
+      const { user } = response.data;
+
+      storeTokens(response.data);
+      rememberUser(user);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Registration failed'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/auth/register', userData);
-      const { user, token } = response.data;
+      const { user } = response.data;
       
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      storeTokens(response.data);
+      rememberUser(user);
       
       return { success: true };
     } catch (error) {
@@ -61,27 +139,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken || USE_AUTH_COOKIES) {
+      try {
+        await api.post('/auth/logout', USE_AUTH_COOKIES ? {} : { refreshToken });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+    clearSession();
     setUser(null);
   };
 
   const updateUser = (userData) => {
-    const updatedUser = { ...user, ...userData };
-    localStorage.setItem('user', JSON.stringify(updatedUser));
-    setUser(updatedUser);
+    rememberUser({ ...user, ...userData });
   };
 
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
+    completeOidcLogin,
+    completeOidcSignup,
     register,
     logout,
     updateUser,
     isAuthenticated: !!user,
     isClient: user?.role === 'CLIENT',
-    isFreelancer: user?.role === 'FREELANCER'
+    isFreelancer: user?.role === 'FREELANCER',
+    isAdmin: user?.role === 'ADMIN'
   };
 
   return (
@@ -2,15 +2,39 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// In cookie mode the tokens live in httpOnly cookies the page cannot read;
+// otherwise they are kept in localStorage and sent as a Bearer token
+export const USE_AUTH_COOKIES = process.env.REACT_APP_AUTH_COOKIES === 'true';
+
 const api = axios.create({
   baseURL: API_BASE_URL,
+  withCredentials: USE_AUTH_COOKIES,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Add auth token to requests
+// The CSRF cookie belongs to the API host, so the token is kept in memory
+// from auth responses or fetched from /auth/csrf after a reload
+let csrfToken = null;
+
+export const loadCsrfToken = async () => {
+  const response = await axios.get(`${API_BASE_URL}/auth/csrf`, { withCredentials: true });
+  csrfToken = response.data.csrfToken;
+  return csrfToken;
+};
+
+const authHeaders = () => (USE_AUTH_COOKIES
+  ? { 'X-Auth-Mode': 'cookie', 'X-CSRF-Token': csrfToken || '' }
+  : {});
+
+// Add auth token (or the CSRF token in cookie mode) to requests
 api.interceptors.request.use((config) => {
+  if (USE_AUTH_COOKIES) {
+    Object.assign(config.headers, authHeaders());
+    return config;
+  }
+
   const token = localStorage.getItem('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
@@ -18,17 +42,115 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle auth errors
+export const storeTokens = ({ token, refreshToken, csrfToken: nextCsrfToken }) => {
+  if (USE_AUTH_COOKIES) {
+    csrfToken = nextCsrfToken;
+    return;
+  }
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSession = () => {
+  csrfToken = null;
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Refresh tokens are single use, so concurrent 401s share one refresh
+let refreshRequest = null;
+
+const requestRefresh = () => {
+  if (USE_AUTH_COOKIES) {
+    return axios.post(`${API_BASE_URL}/auth/refresh`, {}, {
+      withCredentials: true,
+      headers: authHeaders()
+    });
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  return refreshToken
+    ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+    : Promise.reject(new Error('No refresh token'));
+};
+
+const refreshTokens = () => {
+  if (!refreshRequest) {
+    refreshRequest = requestRefresh()
+      .then((response) => {
+        storeTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Set by the TwoFactorPrompt component: resolves once the user has
+// confirmed a 2FA code, rejects if they cancel
+let twoFactorPrompt = null;
+
+export const setTwoFactorPrompt = (prompt) => {
+  twoFactorPrompt = prompt;
+};
+
+// Handle auth errors: refresh the access token once and retry, and only
+// send the user to /login when the session itself has ended
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRoute = /\/auth\/(login|login\/2fa|register|refresh)$/.test(config?.url || '');
+
+    // Sensitive actions need a fresh 2FA code: ask for one, then retry
+    if (response?.status === 403 && response.data?.code === 'TWO_FACTOR_REQUIRED'
+      && twoFactorPrompt && config && !config._twoFactorRetried) {
+      config._twoFactorRetried = true;
+      try {
+        await twoFactorPrompt();
+      } catch (cancelled) {
+        return Promise.reject(error);
+      }
+      return api(config);
+    }
+
+    // A suspended or banned account is signed out; signing in again says why
+    const isAccountBlocked = ['ACCOUNT_SUSPENDED', 'ACCOUNT_BANNED'].includes(response?.data?.code);
+
+    if (response?.status === 403 && isAccountBlocked && !isAuthRoute) {
+      clearSession();
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
+      return Promise.reject(error);
+    }
+
+    // A wrong password or 2FA code is not an expired session
+    const isCredentialError = ['INCORRECT_PASSWORD', 'INVALID_TWO_FACTOR_CODE'].includes(response?.data?.code);
+
+    if (response?.status === 401 && config && !config._retried && !isAuthRoute && !isCredentialError) {
+      config._retried = true;
+      try {
+        const token = await refreshTokens();
+        if (!USE_AUTH_COOKIES) {
+          config.headers.Authorization = `Bearer ${token}`;
+        }
+        return api(config);
+      } catch (refreshError) {
+        clearSession();
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
+      }
     }
     return Promise.reject(error);
   }
 );
 
+// OIDC sign-in starts with a full-page navigation to the API
+export const getOidcLoginUrl = (providerId) => `${API_BASE_URL}/auth/oidc/${encodeURIComponent(providerId)}/authorize`;
+
 export default api;
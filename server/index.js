@@ -1,9 +1,12 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const { PrismaClient } = require('@prisma/client');
 const { execSync } = require('child_process');
+const { requireCsrf } = require('./middleware/authCookies');
+const { apiLimiter } = require('./middleware/rateLimits');
+const { installAuditLogGuard } = require('./services/auditLog');
 require('dotenv').config();
 
 const app = express();
@@ -19,6 +22,9 @@ async function setupDatabase() {
     
     // Push schema to database (creates tables if they don't exist)
     execSync('npx prisma db push', { stdio: 'inherit' });
+
+    // Make the audit log append-only
+    await installAuditLogGuard(prisma);
     
     console.log('✅ Database setup complete');
   } catch (error) {
@@ -27,12 +33,23 @@ async function setupDatabase() {
   }
 }
 
+const { rejectApiKeys } = require('./middleware/auth');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const bidRoutes = require('./routes/bids');
 const transactionRoutes = require('./routes/transactions');
 const reviewRoutes = require('./routes/reviews');
+const deliveryRoutes = require('./routes/deliveries');
+const payoutRoutes = require('./routes/payouts');
+const ledgerRoutes = require('./routes/ledger');
+const disputeRoutes = require('./routes/disputes');
+const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const fileRoutes = require('./routes/files');
 
 const PORT = process.env.PORT || 5000;
 
@@ -45,27 +62,44 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
+// Behind a load balancer or proxy, req.ip must come from X-Forwarded-For
+// for per-IP limits to work. Set TRUST_PROXY to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
+// Rate limiting. Auth and upload routes have their own, stricter buckets.
+app.use('/api', apiLimiter);
+
+// Stripe signs the raw payload, so the webhook must bypass JSON parsing
+app.use('/api/transactions/webhook', express.raw({ type: 'application/json' }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static('uploads'));
+// Cookie auth for browsers, guarded by a double-submit CSRF token
+app.use(cookieParser());
+app.use(requireCsrf);
 
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
+// API routes. API keys work on the routes that declare a scope for them
+// (see requireScope); the rest need a signed-in session.
+app.use('/api/auth', rejectApiKeys, authRoutes);
+app.use('/api/auth/2fa', rejectApiKeys, twoFactorRoutes);
+app.use('/api/auth/oidc', rejectApiKeys, oidcRoutes);
+app.use('/api/users', rejectApiKeys, userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/bids', bidRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/payouts', rejectApiKeys, payoutRoutes);
+app.use('/api/ledger', rejectApiKeys, ledgerRoutes);
+app.use('/api/disputes', rejectApiKeys, disputeRoutes);
+app.use('/api/admin', rejectApiKeys, adminRoutes);
+app.use('/api/organizations', rejectApiKeys, organizationRoutes);
+app.use('/api/api-keys', rejectApiKeys, apiKeyRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
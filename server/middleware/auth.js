@@ -1,42 +1,150 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { findActiveSession } = require('../services/sessions');
+const { getAccountBlock } = require('../services/moderation');
+const { ApiKeyError, isApiKey, findApiKey, touchApiKey, hasScope } = require('../services/apiKeys');
+const { ACCESS_COOKIE } = require('./authCookies');
+const { apiKeyLimiter } = require('./rateLimits');
 
 const prisma = new PrismaClient();
 
-const authenticateToken = async (req, res, next) => {
+// How long a 2FA confirmation covers sensitive actions
+const TWO_FACTOR_STEP_UP_MINUTES = parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES, 10) || 10;
+
+const USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  languages: true,
+  rating: true,
+  profilePicture: true,
+  emailVerifiedAt: true,
+  twoFactorEnabledAt: true,
+  status: true,
+  suspendedUntil: true,
+  statusReason: true
+};
+
+const bearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Requests carrying an API key act as the key's user, within its scopes
+// (see requireScope) and its own rate limit
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await findApiKey(prisma, key);
+    const user = await prisma.user.findUnique({
+      where: { id: apiKey.userId },
+      select: USER_SELECT
+    });
+
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    touchApiKey(prisma, apiKey, req.ip)
+      .catch(error => console.error('API key touch error:', error));
+
+    req.user = user;
+    req.apiKey = apiKey;
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('API key authentication error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+const authenticateToken = async (req, res, next) => {
+  // API clients send a Bearer token; browsers in cookie mode send a cookie
+  const token = bearerToken(req) || req.cookies?.[ACCESS_COOKIE];
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // 401 tells the client to refresh its access token
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    // Tokens die with their session, so logout and revocation are immediate
+    const session = await findActiveSession(prisma, decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({ error: 'Session has ended', code: 'SESSION_REVOKED' });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        languages: true,
-        rating: true,
-        profilePicture: true
-      }
+      select: USER_SELECT
     });
 
     if (!user) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    // Suspending a user revokes their sessions; this also covers a token
+    // minted in the moment before that
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+// Let API keys through only if they carry the scope. Signed-in sessions
+// have every scope. Use after authenticateToken.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        error: `This API key lacks the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    next();
+  };
+};
+
+// Keep API keys off routes that need a signed-in session: account and key
+// management, payments, admin. Checks the header only, so it can guard a
+// whole router ahead of authenticateToken.
+const rejectApiKeys = (req, res, next) => {
+  if (req.apiKey || isApiKey(bearerToken(req))) {
+    return res.status(403).json({
+      error: 'API keys cannot be used here; sign in instead',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -51,7 +159,51 @@ const requireRole = (roles) => {
   };
 };
 
+// Block actions that let people act publicly as someone else until they
+// have confirmed they own their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Sensitive actions (moving money, changing payout details) need a 2FA code
+// confirmed recently in this session. Users without 2FA are let through.
+const requireRecentTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.user.twoFactorEnabledAt) {
+    return next();
+  }
+
+  const verifiedAt = req.authSession?.twoFactorVerifiedAt;
+  if (!verifiedAt || Date.now() - verifiedAt.getTime() > TWO_FACTOR_STEP_UP_MINUTES * 60 * 1000) {
+    return res.status(403).json({
+      error: 'Please confirm this action with your authentication code',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  requireRole
+  requireRole,
+  requireVerifiedEmail,
+  requireRecentTwoFactor,
+  requireScope,
+  rejectApiKeys,
+  TWO_FACTOR_STEP_UP_MINUTES
 };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Optional cookie-based auth for browsers. A client opts in by sending
+// "X-Auth-Mode: cookie" when it logs in, registers or refreshes; the tokens
+// then travel in httpOnly cookies instead of the response body. Cookie
+// requests are protected with a double-submit CSRF token: the csrf_token
+// cookie must be echoed in X-CSRF-Token. The page may live on another site
+// and be unable to read the cookie, so the token is also returned in the
+// response body and from GET /api/auth/csrf.
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The client and API live on different sites in production, which needs
+// SameSite=None; same-site deployments can tighten this to lax or strict
+const cookieOptions = () => ({
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || (process.env.NODE_ENV === 'production' ? 'none' : 'lax'),
+  domain: process.env.COOKIE_DOMAIN || undefined
+});
+
+const wantsCookies = (req) => req.get('x-auth-mode') === 'cookie';
+
+const setAuthCookies = (res, { token, refreshToken, refreshTokenExpiresAt }) => {
+  const options = cookieOptions();
+
+  res.cookie(ACCESS_COOKIE, token, { ...options, httpOnly: true, path: '/' });
+  // The refresh token is only ever needed by the auth routes
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: '/api/auth',
+    expires: refreshTokenExpiresAt
+  });
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    expires: refreshTokenExpiresAt
+  });
+
+  return csrfToken;
+};
+
+const clearAuthCookies = (res) => {
+  const options = cookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+// Send freshly issued tokens the way the client asked for them
+const sendTokens = (req, res, tokens) => {
+  if (wantsCookies(req)) {
+    const csrfToken = setAuthCookies(res, tokens);
+    return { refreshTokenExpiresAt: tokens.refreshTokenExpiresAt, csrfToken };
+  }
+
+  return tokens;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Reject mutating requests that rely on auth cookies without a matching
+// CSRF token. Bearer-token requests cannot be forged cross-site and pass.
+const requireCsrf = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || req.headers.authorization) {
+    return next();
+  }
+
+  const usesCookies = req.cookies?.[ACCESS_COOKIE] || req.cookies?.[REFRESH_COOKIE];
+  if (!usesCookies) {
+    return next();
+  }
+
+  const cookieToken = req.cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken)) {
+    return res.status(403).json({ error: 'Invalid CSRF token', code: 'CSRF_FAILED' });
+  }
+
+  next();
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  wantsCookies,
+  sendTokens,
+  clearAuthCookies,
+  requireCsrf
+};
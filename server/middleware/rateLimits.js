@@ -0,0 +1,52 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+// Separate rate-limit buckets, so heavy use of one part of the API does not
+// lock users out of the rest. Counters live in the store chosen by
+// RATE_LIMIT_STORE (see services/rateLimitStore.js).
+
+const createLimiter = (name, options) => rateLimit({
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore(name),
+  ...options
+});
+
+// Everything under /api, per IP
+const apiLimiter = createLimiter('api', {
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.API_RATE_LIMIT, 10) || 1000,
+  skip: (req) => req.originalUrl === '/api/transactions/webhook'
+});
+
+// Endpoints that check passwords, codes or email tokens, per IP. Failed
+// sign-ins are also throttled per account by services/loginThrottle.js.
+const authLimiter = createLimiter('auth', {
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 30,
+  message: { error: 'Too many attempts, please try again later', code: 'RATE_LIMITED' }
+});
+
+// File uploads, per user. Use after authenticateToken.
+const uploadLimiter = createLimiter('upload', {
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.UPLOAD_RATE_LIMIT, 10) || 30,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  message: { error: 'Too many uploads, please try again later', code: 'RATE_LIMITED' }
+});
+
+// Requests made with an API key, per key, at the rate set on the key. The
+// auth middleware runs this once it has identified the key.
+const apiKeyLimiter = createLimiter('apikey', {
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => `key:${req.apiKey.id}`,
+  message: { error: 'API key rate limit exceeded, please slow down', code: 'RATE_LIMITED' }
+});
+
+module.exports = {
+  apiLimiter,
+  authLimiter,
+  uploadLimiter,
+  apiKeyLimiter
+};
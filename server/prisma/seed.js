@@ -16,7 +16,8 @@ async function main() {
       email: 'client@example.com',
       passwordHash: clientPassword,
       role: 'CLIENT',
-      languages: []
+      languages: [],
+      emailVerifiedAt: new Date()
     }
   });
 
@@ -27,10 +28,18 @@ async function main() {
       passwordHash: freelancerPassword,
       role: 'FREELANCER',
       languages: ['Spanish', 'French', 'German'],
-      rating: 4.8
+      rating: 4.8,
+      emailVerifiedAt: new Date()
     }
   });
 
+  await prisma.languagePairRate.createMany({
+    data: [
+      { freelancerId: freelancer.id, sourceLanguage: 'English', targetLanguage: 'Spanish', ratePerWord: 0.09, minimumCharge: 25 },
+      { freelancerId: freelancer.id, sourceLanguage: 'English', targetLanguage: 'French', ratePerWord: 0.11 }
+    ]
+  });
+
   // Create sample project
   const project = await prisma.project.create({
     data: {
@@ -0,0 +1,866 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, requireRecentTwoFactor } = require('../middleware/auth');
+const { transitionProject, ProjectTransitionError } = require('../services/projectLifecycle');
+const { transferToFreelancer, refundClient, cancelFunding, EscrowError } = require('../services/escrow');
+const { postRelease, postRefund, checkConsistency } = require('../services/ledger');
+const { chargeAmount } = require('../services/fees');
+const { isStripeError } = require('../services/stripe');
+const { syncProjectStatus } = require('../services/milestones');
+const { setUserStatus, ModerationError } = require('../services/moderation');
+const { updateUserRating } = require('../services/ratings');
+const { snapshot, recordAudit, auditCsvHeader, auditCsvRow } = require('../services/auditLog');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Interactive transactions that wait on Stripe need more than Prisma's 5s default
+const STRIPE_TRANSACTION_TIMEOUT = 20000;
+
+// CSV exports are read in batches and stop at this many rows
+const AUDIT_EXPORT_BATCH = 1000;
+const AUDIT_EXPORT_LIMIT = 100000;
+
+// Every route in here is for admins only
+router.use(authenticateToken, requireRole(['ADMIN']));
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const paginate = (req) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// ?hidden=true lists only hidden items, ?hidden=false only visible ones
+const hiddenFilter = (hidden) => {
+  if (hidden === undefined) {
+    return {};
+  }
+  return { hiddenAt: hidden === 'true' ? { not: null } : null };
+};
+
+const visibilityUpdate = ({ hidden, hiddenReason }) => {
+  if (hidden === undefined) {
+    return {};
+  }
+  return hidden
+    ? { hiddenAt: new Date(), hiddenReason: hiddenReason || null }
+    : { hiddenAt: null, hiddenReason: null };
+};
+
+const visibilityRules = [
+  body('hidden').optional().isBoolean().toBoolean(),
+  body('hiddenReason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+];
+
+const userSummary = { select: { id: true, name: true, email: true } };
+
+// Fields copied into audit entries for each moderated record
+const AUDIT_FIELDS = {
+  user: ['status', 'statusReason', 'suspendedUntil'],
+  project: ['title', 'description', 'hiddenAt', 'hiddenReason'],
+  review: ['comment', 'hiddenAt', 'hiddenReason'],
+  bid: ['bidAmount', 'estimatedTime', 'hiddenAt', 'hiddenReason']
+};
+
+// Search users
+router.get('/users', [
+  query('search').optional().trim(),
+  query('role').optional().isIn(['CLIENT', 'FREELANCER', 'ADMIN']),
+  query('status').optional().isIn(['ACTIVE', 'SUSPENDED', 'BANNED']),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, role, status } = req.query;
+    const pagination = paginate(req);
+
+    const where = {};
+    if (role) where.role = role;
+    if (status) where.status = status;
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          rating: true,
+          status: true,
+          suspendedUntil: true,
+          statusReason: true,
+          emailVerifiedAt: true,
+          twoFactorEnabledAt: true,
+          createdAt: true,
+          _count: {
+            select: { clientProjects: true, bids: true, reviewsReceived: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json({ users, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Suspend, ban or reinstate a user
+router.put('/users/:id/status', [
+  body('status').isIn(['ACTIVE', 'SUSPENDED', 'BANNED']).withMessage('Status must be ACTIVE, SUSPENDED or BANNED'),
+  body('reason').if(body('status').not().equals('ACTIVE'))
+    .trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required'),
+  body('suspendedUntil').optional({ values: 'falsy' }).isISO8601().withMessage('Suspension end must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { status, reason, suspendedUntil } = req.body;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const moderated = await setUserStatus(tx, {
+        user,
+        status,
+        reason,
+        suspendedUntil: suspendedUntil ? new Date(suspendedUntil) : null,
+        actorId: req.user.id
+      });
+
+      await recordAudit(tx, req, {
+        action: 'admin.user_status',
+        entityType: 'User',
+        entityId: user.id,
+        before: snapshot(user, AUDIT_FIELDS.user),
+        after: snapshot(moderated, AUDIT_FIELDS.user)
+      });
+
+      return moderated;
+    });
+
+    res.json({
+      message: status === 'ACTIVE' ? 'User reinstated' : `User ${status.toLowerCase()}`,
+      user: {
+        id: updated.id,
+        name: updated.name,
+        email: updated.email,
+        role: updated.role,
+        status: updated.status,
+        suspendedUntil: updated.suspendedUntil,
+        statusReason: updated.statusReason
+      }
+    });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Admin update user status error:', error);
+    res.status(500).json({ error: 'Failed to update user status' });
+  }
+});
+
+// List projects, including hidden ones
+router.get('/projects', [
+  query('search').optional().trim(),
+  query('status').optional().isIn(['POSTED', 'AWAITING_FUNDING', 'IN_PROGRESS', 'COMPLETED', 'PAID', 'CANCELLED', 'DISPUTED']),
+  query('hidden').optional().isIn(['true', 'false']),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, status, hidden } = req.query;
+    const pagination = paginate(req);
+
+    const where = hiddenFilter(hidden);
+    if (status) where.status = status;
+    if (search) {
+      where.OR = [
+        { title: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [projects, total] = await Promise.all([
+      prisma.project.findMany({
+        where,
+        include: {
+          client: userSummary,
+          _count: { select: { bids: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.project.count({ where })
+    ]);
+
+    res.json({ projects, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Admin get projects error:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Edit or hide a project
+router.put('/projects/:id', [
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be 5-100 characters'),
+  body('description').optional().trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be 20-2000 characters'),
+  ...visibilityRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { title, description } = req.body;
+    const data = visibilityUpdate(req.body);
+    if (title !== undefined) data.title = title;
+    if (description !== undefined) data.description = description;
+
+    const [updatedProject] = await prisma.$transaction([
+      prisma.project.update({
+        where: { id: project.id },
+        data,
+        include: {
+          client: userSummary,
+          _count: { select: { bids: true } }
+        }
+      }),
+      recordAudit(prisma, req, {
+        action: 'admin.project_update',
+        entityType: 'Project',
+        entityId: project.id,
+        before: snapshot(project, AUDIT_FIELDS.project),
+        after: snapshot({ ...project, ...data }, AUDIT_FIELDS.project)
+      })
+    ]);
+
+    res.json({
+      message: 'Project updated',
+      project: updatedProject
+    });
+  } catch (error) {
+    console.error('Admin update project error:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Cancel a project that has no money in escrow. Unfunded escrow is
+// cancelled with it; funded escrow has to be refunded first.
+router.post('/projects/:id/cancel', [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id },
+      include: {
+        transactions: {
+          where: { status: { in: ['AWAITING_FUNDING', 'FUNDED', 'DISPUTED'] } }
+        }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.transactions.some(transaction => transaction.status !== 'AWAITING_FUNDING')) {
+      return res.status(409).json({
+        error: 'This project has money in escrow. Force-resolve its payments first.',
+        code: 'ESCROW_HELD'
+      });
+    }
+
+    const cancelledProject = await prisma.$transaction(async (tx) => {
+      await transitionProject(tx, {
+        project,
+        to: 'CANCELLED',
+        actorId: req.user.id,
+        actorRole: 'ADMIN',
+        trigger: 'admin.cancel',
+        note: req.body.reason
+      });
+
+      for (const transaction of project.transactions) {
+        await cancelFunding(transaction);
+        await tx.transaction.update({
+          where: { id: transaction.id },
+          data: { status: 'CANCELLED' }
+        });
+        await recordAudit(tx, req, {
+          action: 'transaction.cancel',
+          entityType: 'Transaction',
+          entityId: transaction.id,
+          before: { status: transaction.status },
+          after: { status: 'CANCELLED' },
+          metadata: { projectId: project.id, amount: transaction.amount, reason: req.body.reason }
+        });
+      }
+
+      await tx.milestone.updateMany({
+        where: { projectId: project.id, status: { not: 'RELEASED' } },
+        data: { status: 'CANCELLED' }
+      });
+
+      return tx.project.findUnique({ where: { id: project.id } });
+    }, { timeout: STRIPE_TRANSACTION_TIMEOUT });
+
+    res.json({
+      message: 'Project cancelled',
+      project: cancelledProject
+    });
+  } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Admin cancel project error:', error);
+    res.status(500).json({ error: 'Failed to cancel project' });
+  }
+});
+
+// List reviews, including hidden ones
+router.get('/reviews', [
+  query('hidden').optional().isIn(['true', 'false']),
+  query('userId').optional().isString(),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pagination = paginate(req);
+    const where = hiddenFilter(req.query.hidden);
+    if (req.query.userId) {
+      where.OR = [{ reviewerId: req.query.userId }, { revieweeId: req.query.userId }];
+    }
+
+    const [reviews, total] = await Promise.all([
+      prisma.review.findMany({
+        where,
+        include: {
+          reviewer: userSummary,
+          reviewee: userSummary,
+          project: { select: { id: true, title: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.review.count({ where })
+    ]);
+
+    res.json({ reviews, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Admin get reviews error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Edit or hide a review. Hidden reviews stop counting towards the rating.
+router.put('/reviews/:id', [
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment too long'),
+  ...visibilityRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await prisma.review.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const data = visibilityUpdate(req.body);
+    if (req.body.comment !== undefined) data.comment = req.body.comment;
+
+    const updatedReview = await prisma.$transaction(async (tx) => {
+      const updated = await tx.review.update({
+        where: { id: review.id },
+        data,
+        include: {
+          reviewer: userSummary,
+          reviewee: userSummary,
+          project: { select: { id: true, title: true } }
+        }
+      });
+
+      if (req.body.hidden !== undefined) {
+        await updateUserRating(tx, review.revieweeId);
+      }
+
+      await recordAudit(tx, req, {
+        action: 'admin.review_update',
+        entityType: 'Review',
+        entityId: review.id,
+        before: snapshot(review, AUDIT_FIELDS.review),
+        after: snapshot(updated, AUDIT_FIELDS.review)
+      });
+
+      return updated;
+    });
+
+    res.json({
+      message: 'Review updated',
+      review: updatedReview
+    });
+  } catch (error) {
+    console.error('Admin update review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+// List bids, including hidden ones
+router.get('/bids', [
+  query('hidden').optional().isIn(['true', 'false']),
+  query('projectId').optional().isString(),
+  query('freelancerId').optional().isString(),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pagination = paginate(req);
+    const where = hiddenFilter(req.query.hidden);
+    if (req.query.projectId) where.projectId = req.query.projectId;
+    if (req.query.freelancerId) where.freelancerId = req.query.freelancerId;
+
+    const [bids, total] = await Promise.all([
+      prisma.bid.findMany({
+        where,
+        include: {
+          freelancer: userSummary,
+          project: { select: { id: true, title: true, status: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.bid.count({ where })
+    ]);
+
+    res.json({ bids, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Admin get bids error:', error);
+    res.status(500).json({ error: 'Failed to fetch bids' });
+  }
+});
+
+// Edit or hide a bid. Accepted bids are part of an engagement and its
+// escrow, so they are left alone.
+router.put('/bids/:id', [
+  body('bidAmount').optional().isFloat({ min: 1 }).withMessage('Bid amount must be at least $1'),
+  body('estimatedTime').optional().trim().notEmpty().withMessage('Estimated time required'),
+  ...visibilityRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bid = await prisma.bid.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+
+    if (bid.status === 'ACCEPTED') {
+      return res.status(409).json({ error: 'Accepted bids cannot be edited or hidden' });
+    }
+
+    const { bidAmount, estimatedTime } = req.body;
+    const data = visibilityUpdate(req.body);
+    if (bidAmount !== undefined) data.bidAmount = parseFloat(bidAmount);
+    if (estimatedTime !== undefined) data.estimatedTime = estimatedTime;
+
+    const [updatedBid] = await prisma.$transaction([
+      prisma.bid.update({
+        where: { id: bid.id },
+        data,
+        include: {
+          freelancer: userSummary,
+          project: { select: { id: true, title: true, status: true } }
+        }
+      }),
+      recordAudit(prisma, req, {
+        action: 'admin.bid_update',
+        entityType: 'Bid',
+        entityId: bid.id,
+        before: snapshot(bid, AUDIT_FIELDS.bid),
+        after: snapshot({ ...bid, ...data }, AUDIT_FIELDS.bid)
+      })
+    ]);
+
+    res.json({
+      message: 'Bid updated',
+      bid: updatedBid
+    });
+  } catch (error) {
+    console.error('Admin update bid error:', error);
+    res.status(500).json({ error: 'Failed to update bid' });
+  }
+});
+
+// List transactions
+router.get('/transactions', [
+  query('status').optional().isIn(['AWAITING_FUNDING', 'FUNDED', 'RELEASED', 'REFUNDED', 'CANCELLED', 'DISPUTED']),
+  query('projectId').optional().isString(),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pagination = paginate(req);
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.projectId) where.projectId = req.query.projectId;
+
+    const [transactions, total] = await Promise.all([
+      prisma.transaction.findMany({
+        where,
+        include: {
+          project: { select: { id: true, title: true, status: true } },
+          client: userSummary,
+          freelancer: userSummary,
+          milestone: { select: { id: true, title: true, status: true } },
+          dispute: { select: { id: true, status: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.transaction.count({ where })
+    ]);
+
+    res.json({ transactions, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Admin get transactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Force-resolve a transaction: pay the freelancer, refund the client, or
+// cancel escrow that was never funded. An open dispute on it is closed
+// with the same outcome.
+router.post('/transactions/:id/resolve', requireRecentTwoFactor, [
+  body('action').isIn(['RELEASE', 'REFUND', 'CANCEL']).withMessage('Action must be RELEASE, REFUND or CANCEL'),
+  body('note').trim().isLength({ min: 1, max: 2000 }).withMessage('A note explaining the decision is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: req.params.id },
+      include: {
+        project: true,
+        freelancer: true,
+        dispute: true
+      }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const { action, note } = req.body;
+    const allowedStatuses = action === 'CANCEL' ? ['AWAITING_FUNDING'] : ['FUNDED', 'DISPUTED'];
+
+    if (!allowedStatuses.includes(transaction.status)) {
+      return res.status(409).json({
+        error: action === 'CANCEL'
+          ? 'Only unfunded payments can be cancelled'
+          : 'Only funded or disputed payments can be released or refunded'
+      });
+    }
+
+    const resolvedStatus = { RELEASE: 'RELEASED', REFUND: 'REFUNDED', CANCEL: 'CANCELLED' }[action];
+
+    // Claim the payment before calling Stripe, so two admins (or a retry)
+    // cannot both move its money
+    const updatedTransaction = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.transaction.updateMany({
+        where: { id: transaction.id, status: { in: allowedStatuses } },
+        data: { status: resolvedStatus }
+      });
+
+      if (count === 0) {
+        throw new EscrowError('Payment status changed by another request', { status: 409, code: 'STALE_STATUS' });
+      }
+
+      if (transaction.milestoneId) {
+        await tx.milestone.update({
+          where: { id: transaction.milestoneId },
+          data: { status: action === 'RELEASE' ? 'RELEASED' : 'CANCELLED' }
+        });
+
+        await syncProjectStatus(tx, {
+          project: transaction.project,
+          actorId: req.user.id,
+          actorRole: 'ADMIN',
+          trigger: 'admin.force_resolve',
+          note
+        });
+      } else {
+        await transitionProject(tx, {
+          project: transaction.project,
+          to: action === 'RELEASE' ? 'PAID' : 'CANCELLED',
+          actorId: req.user.id,
+          actorRole: 'ADMIN',
+          trigger: 'admin.force_resolve',
+          note
+        });
+      }
+
+      let updated;
+      if (action === 'RELEASE') {
+        const transfer = await transferToFreelancer(transaction, transaction.freelancer);
+        updated = await tx.transaction.update({
+          where: { id: transaction.id },
+          data: { stripeTransferId: transfer.id }
+        });
+        await postRelease(tx, updated);
+      } else if (action === 'REFUND') {
+        const refund = await refundClient(transaction, { reason: note });
+        updated = await tx.transaction.update({
+          where: { id: transaction.id },
+          data: { stripeRefundId: refund.id }
+        });
+        await postRefund(tx, updated);
+      } else {
+        await cancelFunding(transaction);
+        updated = await tx.transaction.findUnique({ where: { id: transaction.id } });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'admin.force_resolve',
+        entityType: 'Transaction',
+        entityId: transaction.id,
+        before: { status: transaction.status },
+        after: { status: updated.status, stripeTransferId: updated.stripeTransferId, stripeRefundId: updated.stripeRefundId },
+        metadata: { projectId: transaction.projectId, amount: transaction.amount, action, note }
+      });
+
+      if (transaction.dispute && transaction.dispute.status === 'OPEN') {
+        await tx.dispute.update({
+          where: { id: transaction.dispute.id },
+          data: {
+            status: 'RESOLVED',
+            resolution: action,
+            releaseAmount: action === 'RELEASE' ? transaction.amount : 0,
+            refundAmount: action === 'REFUND' ? chargeAmount(transaction) : 0,
+            resolutionNote: note,
+            resolvedById: req.user.id,
+            resolvedAt: new Date()
+          }
+        });
+      }
+
+      return updated;
+    }, { timeout: STRIPE_TRANSACTION_TIMEOUT });
+
+    res.json({
+      message: 'Transaction resolved',
+      transaction: updatedTransaction
+    });
+  } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Admin resolve transaction error:', error);
+    res.status(500).json({ error: 'Failed to resolve transaction' });
+  }
+});
+
+// Build the audit log filter. `action` matches a prefix, so "auth."
+// finds every sign-in event.
+const auditLogFilter = ({ actorId, action, entityType, entityId, from, to }) => {
+  const where = {};
+  if (actorId) where.actorId = actorId;
+  if (action) where.action = { startsWith: action };
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lte = new Date(to);
+  }
+  return where;
+};
+
+// Query the audit log, newest first. ?format=csv downloads every match.
+router.get('/audit-logs', [
+  query('actorId').optional().isString(),
+  query('action').optional().trim().isLength({ max: 100 }),
+  query('entityType').optional().isString(),
+  query('entityId').optional().isString(),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('format').optional().isIn(['json', 'csv']),
+  ...paginationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const where = auditLogFilter(req.query);
+
+    if (req.query.format === 'csv') {
+      await recordAudit(prisma, req, {
+        action: 'admin.audit_export',
+        entityType: 'AuditLog',
+        metadata: { filters: req.query }
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.write(auditCsvHeader());
+
+      let cursor = null;
+      let exported = 0;
+      while (exported < AUDIT_EXPORT_LIMIT) {
+        const batch = await prisma.auditLog.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          take: Math.min(AUDIT_EXPORT_BATCH, AUDIT_EXPORT_LIMIT - exported),
+          ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (batch.length === 0) {
+          break;
+        }
+
+        res.write(batch.map(auditCsvRow).join(''));
+        exported += batch.length;
+        cursor = batch[batch.length - 1].id;
+      }
+
+      return res.end();
+    }
+
+    const pagination = paginate(req);
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: pagination.skip,
+        take: pagination.limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    // Actors are looked up rather than joined so entries outlive deleted users
+    const actorIds = [...new Set(entries.map(entry => entry.actorId).filter(Boolean))];
+    const actors = await prisma.user.findMany({
+      where: { id: { in: actorIds } },
+      select: { id: true, name: true, email: true }
+    });
+    const actorsById = new Map(actors.map(actor => [actor.id, actor]));
+
+    res.json({
+      entries: entries.map(entry => ({ ...entry, actor: actorsById.get(entry.actorId) || null })),
+      pagination: paginationInfo(pagination, total)
+    });
+  } catch (error) {
+    console.error('Admin get audit logs error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+// Check that the double-entry ledger balances
+router.get('/ledger/check', async (req, res) => {
+  try {
+    res.json(await checkConsistency(prisma));
+  } catch (error) {
+    console.error('Admin ledger check error:', error);
+    res.status(500).json({ error: 'Failed to check the ledger' });
+  }
+});
+
+module.exports = router;
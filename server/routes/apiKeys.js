@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireVerifiedEmail, requireRecentTwoFactor } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  ApiKeyError,
+  createApiKey,
+  serializeApiKey
+} = require('../services/apiKeys');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// The scopes a key can be given, and the rate limits
+router.get('/scopes', authenticateToken, (req, res) => {
+  res.json({
+    scopes: API_KEY_SCOPES,
+    defaultRateLimit: DEFAULT_RATE_LIMIT,
+    maxRateLimit: MAX_RATE_LIMIT
+  });
+});
+
+// List the current user's API keys, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(apiKeys.map(serializeApiKey));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create an API key. The key is in this response only.
+router.post('/', authenticateToken, requireVerifiedEmail, requireRecentTwoFactor, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Unknown scope'),
+  body('rateLimit').optional().isInt({ min: 1, max: MAX_RATE_LIMIT })
+    .withMessage(`Rate limit must be 1-${MAX_RATE_LIMIT} requests per minute`),
+  body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be 1-365 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, rateLimit, expiresInDays } = req.body;
+
+    const { apiKey, key } = await prisma.$transaction(async (tx) => {
+      const created = await createApiKey(tx, {
+        userId: req.user.id,
+        name,
+        scopes,
+        rateLimit: rateLimit ? parseInt(rateLimit, 10) : undefined,
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + parseInt(expiresInDays, 10) * 24 * 60 * 60 * 1000)
+          : null
+      });
+
+      await recordAudit(tx, req, {
+        action: 'api_key.create',
+        entityType: 'ApiKey',
+        entityId: created.apiKey.id,
+        after: {
+          name: created.apiKey.name,
+          prefix: created.apiKey.prefix,
+          scopes: created.apiKey.scopes,
+          rateLimit: created.apiKey.rateLimit,
+          expiresAt: created.apiKey.expiresAt
+        }
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      apiKey: serializeApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke one of the current user's API keys
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.$transaction(async (tx) => {
+      const result = await tx.apiKey.updateMany({
+        where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      if (result.count > 0) {
+        await recordAudit(tx, req, {
+          action: 'api_key.revoke',
+          entityType: 'ApiKey',
+          entityId: req.params.id
+        });
+      }
+
+      return result;
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
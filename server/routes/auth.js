@@ -1,14 +1,80 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimits');
+const { sendTokens, clearAuthCookies, REFRESH_COOKIE, CSRF_COOKIE } = require('../middleware/authCookies');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  parseRefreshToken,
+  SessionError
+} = require('../services/sessions');
+const {
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendUnlockEmail,
+  EmailTokenError
+} = require('../services/emailTokens');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures
+} = require('../services/loginThrottle');
+const {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  TwoFactorError
+} = require('../services/twoFactor');
+const { getAccountBlock } = require('../services/moderation');
+const { recordAudit } = require('../services/auditLog');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Strip credentials and 2FA secrets before sending a user to the client
+const publicUser = ({ passwordHash, twoFactorSecret, twoFactorLastStep, ...user }) => user;
+
+const loginLockedResponse = (res, lock) => {
+  const minutes = Math.ceil(lock.retryAfterSeconds / 60);
+  res.set('Retry-After', String(lock.retryAfterSeconds));
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    code: lock.scope === 'account' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter: lock.retryAfterSeconds
+  });
+};
+
+// Count a failed password or 2FA code; the first lockout of a real account
+// emails its owner an unlock link
+const recordFailedLogin = async (req, email, user) => {
+  const { accountLockedNow } = await recordLoginFailure(prisma, { email, ip: req.ip });
+
+  await recordAudit(prisma, req, {
+    actorId: user?.id ?? null,
+    actorRole: user?.role ?? null,
+    action: 'auth.login_failed',
+    entityType: 'User',
+    entityId: user?.id ?? null,
+    metadata: { email, accountLocked: accountLockedNow }
+  });
+
+  if (accountLockedNow && user) {
+    try {
+      await sendUnlockEmail(prisma, user);
+    } catch (mailError) {
+      console.error('Unlock email error:', mailError);
+    }
+  }
+};
+
 // Register
-router.post('/register', [
+router.post('/register', authLimiter, [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
@@ -52,21 +118,35 @@ router.post('/register', [
         role: true,
         languages: true,
         rating: true,
-        profilePicture: true
+        profilePicture: true,
+        emailVerifiedAt: true
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await recordAudit(prisma, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.register',
+      entityType: 'User',
+      entityId: user.id,
+      after: { name: user.name, email: user.email, role: user.role }
+    });
+
+    // Bidding and posting stay locked until the address is confirmed. A
+    // mail outage should not block sign-up; the user can ask for a resend.
+    try {
+      await sendVerificationEmail(prisma, user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const { session, ...tokens } = await createSession(prisma, user.id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       user,
-      token
+      ...sendTokens(req, res, tokens)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -80,7 +160,7 @@ router.post('/register', [
 });
 
 // Login
-router.post('/login', [
+router.post('/login', authLimiter, [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').notEmpty().withMessage('Password required')
 ], async (req, res) => {
@@ -92,35 +172,69 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse before checking the password while the account or IP is locked
+    const lock = await checkLoginAllowed(prisma, { email, ip: req.ip });
+    if (lock) {
+      return loginLockedResponse(res, lock);
+    }
+
     // Find user
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
     if (!user) {
+      await recordFailedLogin(req, email, null);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    // Check password. Accounts created through OIDC have none until they
+    // set one with "forgot password".
+    const isValidPassword = !!user.passwordHash && await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      await recordFailedLogin(req, email, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Only tell someone the account is suspended once they have proven
+    // they own it
+    const block = getAccountBlock(user);
+    if (block) {
+      await recordAudit(prisma, req, {
+        actorId: user.id,
+        actorRole: user.role,
+        action: 'auth.login_blocked',
+        entityType: 'User',
+        entityId: user.id,
+        metadata: { code: block.code }
+      });
+      return res.status(403).json(block);
+    }
+
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactorEnabledAt) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user.id)
+      });
+    }
+
+    await clearAccountFailures(prisma, email);
+    const { session, ...tokens } = await createSession(prisma, user.id, req);
 
-    // Remove password hash from response
-    const { passwordHash, ...userWithoutPassword } = user;
+    await recordAudit(prisma, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.login',
+      entityType: 'User',
+      entityId: user.id,
+      metadata: { method: 'password', sessionId: session.id }
+    });
 
     res.json({
       message: 'Login successful',
-      user: userWithoutPassword,
-      token
+      user: publicUser(user),
+      ...sendTokens(req, res, tokens)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -128,4 +242,393 @@ router.post('/login', [
   }
 });
 
+// Login, second step: exchange the challenge and a 2FA code for a session
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Login challenge required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authentication code or recovery code required' });
+    }
+
+    const userId = verifyLoginChallenge(challengeToken);
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const lock = await checkLoginAllowed(prisma, { email: user.email, ip: req.ip });
+    if (lock) {
+      return loginLockedResponse(res, lock);
+    }
+
+    try {
+      await verifySecondFactor(prisma, user, { code, recoveryCode });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        await recordFailedLogin(req, user.email, user);
+      }
+      throw error;
+    }
+
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    await clearAccountFailures(prisma, user.email);
+    const { session, ...tokens } = await createSession(prisma, user.id, req, {
+      twoFactorVerifiedAt: new Date()
+    });
+
+    await recordAudit(prisma, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.login',
+      entityType: 'User',
+      entityId: user.id,
+      metadata: { method: recoveryCode ? 'password+recovery_code' : 'password+totp', sessionId: session.id }
+    });
+
+    res.json({
+      message: 'Login successful',
+      user: publicUser(user),
+      ...sendTokens(req, res, tokens)
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Confirm an email address with the token from a verification email
+router.post('/verify-email', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emailVerifiedAt = await prisma.$transaction(async (tx) => {
+      const user = await consumeEmailToken(tx, req.body.token, 'VERIFY_EMAIL');
+      if (user.emailVerifiedAt) {
+        return user.emailVerifiedAt;
+      }
+
+      const verified = await tx.user.update({
+        where: { id: user.id },
+        data: { emailVerifiedAt: new Date() }
+      });
+
+      await recordAudit(tx, req, {
+        actorId: user.id,
+        actorRole: user.role,
+        action: 'auth.email_verified',
+        entityType: 'User',
+        entityId: user.id,
+        before: { emailVerifiedAt: user.emailVerifiedAt },
+        after: { emailVerifiedAt: verified.emailVerifiedAt }
+      });
+
+      return verified.emailVerifiedAt;
+    });
+
+    res.json({ message: 'Email verified', emailVerifiedAt });
+  } catch (error) {
+    if (error instanceof EmailTokenError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/verify-email/resend', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(prisma, req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address has an account, so it cannot be used to discover users.
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user) {
+      await sendPasswordResetEmail(prisma, user);
+    }
+
+    res.json({ message: 'If an account exists for that address, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password with the token from a reset email. Every session is
+// signed out, since the old password may be what someone else was using.
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Token required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 12);
+
+    await prisma.$transaction(async (tx) => {
+      const user = await consumeEmailToken(tx, req.body.token, 'RESET_PASSWORD');
+
+      // Following the link also proves the user owns the address
+      const updated = await tx.user.update({
+        where: { id: user.id },
+        data: {
+          passwordHash,
+          emailVerifiedAt: user.emailVerifiedAt || new Date()
+        }
+      });
+
+      await tx.session.updateMany({
+        where: { userId: user.id, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'password_reset' }
+      });
+
+      await clearAccountFailures(tx, user.email);
+
+      await recordAudit(tx, req, {
+        actorId: user.id,
+        actorRole: user.role,
+        action: 'auth.password_reset',
+        entityType: 'User',
+        entityId: user.id,
+        before: { passwordHash: user.passwordHash, emailVerifiedAt: user.emailVerifiedAt },
+        after: { passwordHash: updated.passwordHash, emailVerifiedAt: updated.emailVerifiedAt }
+      });
+    });
+
+    clearAuthCookies(res);
+
+    res.json({ message: 'Password updated. Please sign in with your new password.' });
+  } catch (error) {
+    if (error instanceof EmailTokenError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Lift a sign-in lockout with the token from the unlock email
+router.post('/unlock', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const user = await consumeEmailToken(tx, req.body.token, 'UNLOCK_ACCOUNT');
+      await clearAccountFailures(tx, user.email);
+
+      await recordAudit(tx, req, {
+        actorId: user.id,
+        actorRole: user.role,
+        action: 'auth.unlock',
+        entityType: 'User',
+        entityId: user.id
+      });
+    });
+
+    res.json({ message: 'Your account is unlocked. You can sign in again.' });
+  } catch (error) {
+    if (error instanceof EmailTokenError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Get the CSRF token for cookie mode (for pages that cannot read the cookie)
+router.get('/csrf', (req, res) => {
+  res.json({ csrfToken: req.cookies?.[CSRF_COOKIE] || null });
+});
+
+// The refresh token comes from the body, or from its cookie in cookie mode
+const refreshTokenFrom = (req) => req.body.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const refreshToken = refreshTokenFrom(req);
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await rotateSession(prisma, refreshToken, req);
+
+    res.json(sendTokens(req, res, tokens));
+  } catch (error) {
+    if (error instanceof SessionError) {
+      // A replayed refresh token may mean it was stolen
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        await recordAudit(prisma, req, {
+          action: 'auth.refresh_token_reused',
+          entityType: 'Session',
+          entityId: parseRefreshToken(refreshTokenFrom(req)).sessionId
+        }).catch(auditError => console.error('Audit log error:', auditError));
+      }
+      clearAuthCookies(res);
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Logout: revoke the session the refresh token belongs to
+router.post('/logout', authLimiter, async (req, res) => {
+  try {
+    const refreshToken = refreshTokenFrom(req);
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    await revokeRefreshToken(prisma, refreshToken, 'logout');
+    clearAuthCookies(res);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      clearAuthCookies(res);
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Get the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.authSession.id
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId: req.user.id,
+        id: { not: req.authSession.id },
+        revokedAt: null
+      },
+      data: { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    });
+
+    await recordAudit(prisma, req, {
+      action: 'auth.sessions_revoked',
+      entityType: 'User',
+      entityId: req.user.id,
+      metadata: { revoked: count, kept: req.authSession.id }
+    });
+
+    res.json({ message: 'Other sessions revoked', revoked: count });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(prisma, session.id, 'revoked_by_user');
+
+    await recordAudit(prisma, req, {
+      action: 'auth.session_revoked',
+      entityType: 'Session',
+      entityId: session.id
+    });
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 module.exports = router;
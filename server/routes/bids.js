@@ -1,16 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { transitionProject, ProjectTransitionError } = require('../services/projectLifecycle');
+const { calculateFees, calculateFeesForFreelancer, getLifetimeVolume } = require('../services/fees');
+const { allocateBidAmount } = require('../services/milestones');
+const { recordAudit } = require('../services/auditLog');
+const { getProjectAccess } = require('../services/organizations');
+const { MAX_RATE_PER_WORD, parseSurcharges, priceRateBid } = require('../services/pricing');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const DEFAULT_REVISION_ROUNDS = 2;
+const MAX_REVISION_ROUNDS = 10;
+
 // Get bids for a project
 router.get('/project/:projectId', async (req, res) => {
   try {
     const bids = await prisma.bid.findMany({
-      where: { projectId: req.params.projectId },
+      where: { projectId: req.params.projectId, hiddenAt: null },
       include: {
         freelancer: {
           select: { id: true, name: true, rating: true, languages: true, profilePicture: true }
@@ -27,7 +36,7 @@ router.get('/project/:projectId', async (req, res) => {
 });
 
 // Get freelancer's bids
-router.get('/my-bids', authenticateToken, requireRole(['FREELANCER']), async (req, res) => {
+router.get('/my-bids', authenticateToken, requireScope('bids:read'), requireRole(['FREELANCER']), async (req, res) => {
   try {
     const bids = await prisma.bid.findMany({
       where: { freelancerId: req.user.id },
@@ -36,6 +45,9 @@ router.get('/my-bids', authenticateToken, requireRole(['FREELANCER']), async (re
           include: {
             client: {
               select: { id: true, name: true, rating: true }
+            },
+            milestones: {
+              orderBy: { position: 'asc' }
             }
           }
         }
@@ -43,17 +55,49 @@ router.get('/my-bids', authenticateToken, requireRole(['FREELANCER']), async (re
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json(bids);
+    // Show freelancers what each bid pays out after commission
+    const lifetimeVolume = await getLifetimeVolume(prisma, req.user.id);
+
+    res.json(bids.map(bid => ({
+      ...bid,
+      fees: calculateFees(bid.bidAmount, { lifetimeVolume })
+    })));
   } catch (error) {
     console.error('Get my bids error:', error);
     res.status(500).json({ error: 'Failed to fetch your bids' });
   }
 });
 
-// Create bid (freelancers only)
-router.post('/', authenticateToken, requireRole(['FREELANCER']), [
+// Preview the commission and net payout for a bid amount (freelancers only)
+router.get('/fee-preview', authenticateToken, requireScope('bids:read'), requireRole(['FREELANCER']), [
+  query('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fees = await calculateFeesForFreelancer(prisma, req.user.id, parseFloat(req.query.amount));
+
+    res.json(fees);
+  } catch (error) {
+    console.error('Fee preview error:', error);
+    res.status(500).json({ error: 'Failed to calculate fees' });
+  }
+});
+
+// Create bid (freelancers only). Either a fixed bidAmount, or a ratePerWord
+// with optional surcharges, priced on the project's analyzed word count.
+router.post('/', authenticateToken, requireScope('bids:write'), requireRole(['FREELANCER']), requireVerifiedEmail, [
   body('projectId').notEmpty().withMessage('Project ID required'),
-  body('bidAmount').isFloat({ min: 1 }).withMessage('Bid amount must be at least $1'),
+  body('bidAmount').if(body('ratePerWord').not().exists()).isFloat({ min: 1 }).withMessage('Bid amount must be at least $1'),
+  body('ratePerWord').optional().isFloat({ min: 0.01, max: MAX_RATE_PER_WORD })
+    .withMessage(`Rate per word must be between $0.01 and $${MAX_RATE_PER_WORD}`),
+  body('surcharges').optional().custom(value => {
+    parseSurcharges(value);
+    return true;
+  }),
   body('estimatedTime').notEmpty().withMessage('Estimated time required')
 ], async (req, res) => {
   try {
@@ -62,14 +106,14 @@ router.post('/', authenticateToken, requireRole(['FREELANCER']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { projectId, bidAmount, estimatedTime } = req.body;
+    const { projectId, bidAmount, ratePerWord, estimatedTime } = req.body;
 
     // Check if project exists and is still open
     const project = await prisma.project.findUnique({
       where: { id: projectId }
     });
 
-    if (!project) {
+    if (!project || project.hiddenAt) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
@@ -93,11 +137,34 @@ router.post('/', authenticateToken, requireRole(['FREELANCER']), [
       return res.status(400).json({ error: 'You have already bid on this project' });
     }
 
+    let pricing = { bidAmount: parseFloat(bidAmount) };
+    if (ratePerWord !== undefined) {
+      if (!project.wordCount) {
+        return res.status(400).json({ error: 'This project has no word count to price per word; bid a fixed amount' });
+      }
+
+      const price = priceRateBid({
+        ratePerWord: parseFloat(ratePerWord),
+        wordCount: project.wordCount,
+        surcharges: req.body.surcharges ? parseSurcharges(req.body.surcharges) : []
+      });
+      if (price.total < 1) {
+        return res.status(400).json({ error: 'Bid amount must be at least $1' });
+      }
+
+      pricing = {
+        bidAmount: price.total,
+        ratePerWord: price.ratePerWord,
+        wordCount: price.wordCount,
+        surcharges: price.surcharges
+      };
+    }
+
     const bid = await prisma.bid.create({
       data: {
         projectId,
         freelancerId: req.user.id,
-        bidAmount: parseFloat(bidAmount),
+        ...pricing,
         estimatedTime
       },
       include: {
@@ -110,9 +177,17 @@ router.post('/', authenticateToken, requireRole(['FREELANCER']), [
       }
     });
 
+    await recordAudit(prisma, req, {
+      action: 'bid.create',
+      entityType: 'Bid',
+      entityId: bid.id,
+      after: { projectId, ...pricing, estimatedTime: bid.estimatedTime, status: bid.status }
+    });
+
     res.status(201).json({
       message: 'Bid submitted successfully',
-      bid
+      bid,
+      fees: await calculateFeesForFreelancer(prisma, req.user.id, bid.bidAmount)
     });
   } catch (error) {
     console.error('Create bid error:', error);
@@ -120,47 +195,86 @@ router.post('/', authenticateToken, requireRole(['FREELANCER']), [
   }
 });
 
-// Accept bid (project owner only)
-router.put('/:id/accept', authenticateToken, async (req, res) => {
+// Accept bid (project owner or organization manager)
+router.put('/:id/accept', authenticateToken, requireScope('bids:write'), [
+  body('revisionRounds').optional().isInt({ min: 0, max: MAX_REVISION_ROUNDS })
+    .withMessage(`Revision rounds must be between 0 and ${MAX_REVISION_ROUNDS}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const bid = await prisma.bid.findUnique({
       where: { id: req.params.id },
       include: {
-        project: true,
+        project: {
+          include: {
+            milestones: {
+              orderBy: { position: 'asc' }
+            }
+          }
+        },
         freelancer: {
           select: { id: true, name: true, email: true }
         }
       }
     });
 
-    if (!bid) {
+    if (!bid || bid.hiddenAt) {
       return res.status(404).json({ error: 'Bid not found' });
     }
 
-    if (bid.project.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, bid.project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to accept this bid' });
     }
 
-    if (bid.project.status !== 'POSTED') {
-      return res.status(400).json({ error: 'Project is no longer accepting bids' });
+    if (bid.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Bid cannot be accepted' });
     }
 
+    // Fees are fixed when the engagement starts. A milestone project gets
+    // one escrow per milestone, each for its share of the bid.
+    const { milestones } = bid.project;
+    const lifetimeVolume = await getLifetimeVolume(prisma, bid.freelancerId);
+    const escrows = milestones.length > 0
+      ? allocateBidAmount(bid.bidAmount, milestones).map((amount, index) => ({
+        milestoneId: milestones[index].id,
+        fees: calculateFees(amount, { lifetimeVolume })
+      }))
+      : [{ milestoneId: null, fees: calculateFees(bid.bidAmount, { lifetimeVolume }) }];
+
     // Use transaction to update bid, project, and reject other bids
     const result = await prisma.$transaction(async (tx) => {
-      // Accept the bid
-      const acceptedBid = await tx.bid.update({
-        where: { id: req.params.id },
-        data: { status: 'ACCEPTED' }
+      // Move the project forward first so an illegal transition aborts everything
+      await transitionProject(tx, {
+        project: bid.project,
+        to: 'AWAITING_FUNDING',
+        actorId: req.user.id,
+        actorRole: 'CLIENT',
+        trigger: 'bid.accept'
       });
 
-      // Update project status
+      // Fix the number of revision rounds for the engagement
       await tx.project.update({
         where: { id: bid.projectId },
-        data: { status: 'IN_PROGRESS' }
+        data: {
+          revisionLimit: req.body.revisionRounds !== undefined
+            ? parseInt(req.body.revisionRounds)
+            : DEFAULT_REVISION_ROUNDS
+        }
+      });
+
+      // Accept the bid
+      const acceptedBid = await tx.bid.update({
+        where: { id: req.params.id },
+        data: { status: 'ACCEPTED' }
       });
 
       // Reject all other bids for this project
-      await tx.bid.updateMany({
+      const { count: rejectedCount } = await tx.bid.updateMany({
         where: {
           projectId: bid.projectId,
           id: { not: req.params.id },
@@ -169,32 +283,59 @@ router.put('/:id/accept', authenticateToken, async (req, res) => {
         data: { status: 'REJECTED' }
       });
 
-      // Create transaction record for escrow
-      const transaction = await tx.transaction.create({
-        data: {
+      // Escrow for the accepted amount; work starts once the client funds it
+      const transactions = [];
+      for (const { milestoneId, fees } of escrows) {
+        transactions.push(await tx.transaction.create({
+          data: {
+            projectId: bid.projectId,
+            clientId: bid.project.clientId,
+            freelancerId: bid.freelancerId,
+            milestoneId,
+            amount: fees.amount,
+            clientFee: fees.clientFee,
+            clientTotal: fees.clientTotal,
+            freelancerFee: fees.freelancerFee,
+            freelancerNet: fees.freelancerNet,
+            status: 'AWAITING_FUNDING'
+          }
+        }));
+      }
+
+      await recordAudit(tx, req, {
+        action: 'bid.accept',
+        entityType: 'Bid',
+        entityId: bid.id,
+        before: { status: bid.status },
+        after: { status: acceptedBid.status },
+        metadata: {
           projectId: bid.projectId,
-          clientId: bid.project.clientId,
-          freelancerId: bid.freelancerId,
-          amount: bid.bidAmount
+          bidAmount: bid.bidAmount,
+          rejectedBids: rejectedCount,
+          transactionIds: transactions.map(transaction => transaction.id)
         }
       });
 
-      return { acceptedBid, transaction };
+      return { acceptedBid, transactions };
     });
 
     res.json({
-      message: 'Bid accepted successfully',
+      message: 'Bid accepted. Fund the escrow to start the project',
       bid: result.acceptedBid,
-      transaction: result.transaction
+      transaction: result.transactions[0],
+      transactions: result.transactions
     });
   } catch (error) {
+    if (error instanceof ProjectTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Accept bid error:', error);
     res.status(500).json({ error: 'Failed to accept bid' });
   }
 });
 
-// Reject bid (project owner only)
-router.put('/:id/reject', authenticateToken, async (req, res) => {
+// Reject bid (project owner or organization manager)
+router.put('/:id/reject', authenticateToken, requireScope('bids:write'), async (req, res) => {
   try {
     const bid = await prisma.bid.findUnique({
       where: { id: req.params.id },
@@ -205,7 +346,8 @@ router.put('/:id/reject', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Bid not found' });
     }
 
-    if (bid.project.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, bid.project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to reject this bid' });
     }
 
@@ -213,10 +355,19 @@ router.put('/:id/reject', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Bid cannot be rejected' });
     }
 
-    const rejectedBid = await prisma.bid.update({
-      where: { id: req.params.id },
-      data: { status: 'REJECTED' }
-    });
+    const [rejectedBid] = await prisma.$transaction([
+      prisma.bid.update({
+        where: { id: req.params.id },
+        data: { status: 'REJECTED' }
+      }),
+      recordAudit(prisma, req, {
+        action: 'bid.reject',
+        entityType: 'Bid',
+        entityId: bid.id,
+        before: { status: bid.status },
+        after: { status: 'REJECTED' }
+      })
+    ]);
 
     res.json({
       message: 'Bid rejected successfully',
@@ -0,0 +1,485 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, requireScope } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimits');
+const { transitionProject, ProjectTransitionError } = require('../services/projectLifecycle');
+const { syncProjectStatus } = require('../services/milestones');
+const { DeliveryError, submitDelivery, reviewDelivery } = require('../services/deliveries');
+const { recordAudit } = require('../services/auditLog');
+const { getProjectAccess, projectAccessFilter } = require('../services/organizations');
+const {
+  XliffError,
+  isXliffFile,
+  parseXliff,
+  parseXliffUpload,
+  matchDeliveredFile,
+  mergeDeliveredTargets
+} = require('../services/xliff');
+const { StorageError, getStorage, multerStorage } = require('../services/storage');
+const { removeStoredFiles, serializeAttachments } = require('../services/projectFiles');
+const multer = require('multer');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Merging a large XLIFF delivery on acceptance can outlast Prisma's 5s default
+const ACCEPT_TRANSACTION_TIMEOUT = 20000;
+
+// Delivered translations and revision markups go to the file store
+// (services/storage.js) under deliveries/ and revisions/
+const uploadTo = (prefix) => multer({
+  storage: multerStorage(prefix),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /\.(txt|doc|docx|pdf|rtf|odt)$/i;
+    if (allowedTypes.test(file.originalname) || isXliffFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only document or XLIFF files are allowed'));
+    }
+  }
+});
+
+const upload = uploadTo('deliveries');
+const revisionUpload = uploadTo('revisions');
+
+// multer has already stored the files; drop them if the upload is refused
+const discardUploads = (req) => removeStoredFiles((req.files || []).map(file => ({ storagePath: file.key })));
+
+// What the API returns for a revision request, with signed file links
+const serializeRevisionRequest = (revisionRequest, userId) => ({
+  ...revisionRequest,
+  files: serializeAttachments(revisionRequest.files, userId)
+});
+
+// What the API returns for a delivery, with signed file links
+const serializeDelivery = (delivery, userId) => ({
+  ...delivery,
+  files: serializeAttachments(delivery.files, userId),
+  ...(delivery.revisionRequest && {
+    revisionRequest: serializeRevisionRequest(delivery.revisionRequest, userId)
+  })
+});
+
+// Get deliveries awaiting review (client) or awaiting a decision (freelancer)
+router.get('/pending', authenticateToken, requireScope('deliveries:read'), async (req, res) => {
+  try {
+    const where = { status: 'PENDING' };
+    if (req.user.role === 'CLIENT') {
+      where.project = projectAccessFilter(req.user.id, { manage: true });
+    } else {
+      where.freelancerId = req.user.id;
+    }
+
+    const deliveries = await prisma.delivery.findMany({
+      where,
+      include: {
+        project: {
+          select: {
+            id: true,
+            title: true,
+            sourceLanguage: true,
+            targetLanguage: true,
+            revisionLimit: true,
+            revisionsUsed: true
+          }
+        },
+        milestone: {
+          select: { id: true, title: true, position: true }
+        },
+        freelancer: {
+          select: { id: true, name: true, rating: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(deliveries.map(delivery => serializeDelivery(delivery, req.user.id)));
+  } catch (error) {
+    console.error('Get pending deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending deliveries' });
+  }
+});
+
+// Get delivery and revision history for a project (project team or accepted freelancer)
+router.get('/project/:projectId', authenticateToken, requireScope('deliveries:read'), async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.projectId },
+      include: {
+        bids: { where: { status: 'ACCEPTED' } }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { canView } = await getProjectAccess(prisma, project, req.user.id);
+    const isFreelancer = project.bids.some(bid => bid.freelancerId === req.user.id);
+
+    if (!canView && !isFreelancer) {
+      return res.status(403).json({ error: 'Not authorized to view deliveries for this project' });
+    }
+
+    const deliveries = await prisma.delivery.findMany({
+      where: { projectId: req.params.projectId },
+      include: {
+        freelancer: {
+          select: { id: true, name: true, rating: true }
+        },
+        milestone: {
+          select: { id: true, title: true, position: true }
+        },
+        revisionRequest: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      revisionLimit: project.revisionLimit,
+      revisionsUsed: project.revisionsUsed,
+      deliveries: deliveries.map(delivery => serializeDelivery(delivery, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Submit delivery (accepted freelancer only)
+router.post('/', authenticateToken, requireScope('deliveries:write'), requireRole(['FREELANCER']), uploadLimiter, upload.array('files', 5), [
+  body('projectId').notEmpty().withMessage('Project ID required'),
+  body('milestoneId').optional().notEmpty().withMessage('Invalid milestone ID'),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
+], async (req, res) => {
+  let saved = false;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'At least one translated file is required' });
+    }
+
+    const { projectId, milestoneId, notes } = req.body;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        bids: { where: { status: 'ACCEPTED' } },
+        milestones: true
+      }
+    });
+
+    if (!project) {
+      discardUploads(req);
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const acceptedBid = project.bids[0];
+    if (!acceptedBid || acceptedBid.freelancerId !== req.user.id) {
+      discardUploads(req);
+      return res.status(403).json({ error: 'Only the accepted freelancer can deliver this project' });
+    }
+
+    if (project.status !== 'IN_PROGRESS') {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Project is not accepting deliveries' });
+    }
+
+    // Milestone projects are delivered one funded milestone at a time
+    if (project.milestones.length > 0) {
+      const milestone = project.milestones.find(m => m.id === milestoneId);
+      if (!milestone) {
+        discardUploads(req);
+        return res.status(400).json({ error: 'Choose the milestone this delivery is for' });
+      }
+      if (milestone.status !== 'IN_PROGRESS') {
+        discardUploads(req);
+        return res.status(400).json({ error: 'Milestone is not accepting deliveries' });
+      }
+    } else if (milestoneId) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Project has no milestones' });
+    }
+
+    const pendingDelivery = await prisma.delivery.findFirst({
+      where: { projectId, milestoneId: milestoneId || null, status: 'PENDING' }
+    });
+
+    if (pendingDelivery) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'A delivery is already awaiting client review' });
+    }
+
+    // Delivered XLIFF must translate one of the project's XLIFF files, if it
+    // has any. The targets are merged in when the client accepts.
+    const deliveredXliff = await Promise.all(req.files
+      .filter(file => isXliffFile(file.originalname))
+      .map(async file => ({
+        name: file.originalname,
+        parsed: parseXliffUpload(await getStorage().get(file.key), file.originalname)
+      })));
+
+    const xliffSources = deliveredXliff.length > 0
+      ? await prisma.projectFile.count({ where: { projectId, xliffVersion: { not: null } } })
+      : 0;
+    const xliff = [];
+    for (const { name, parsed } of deliveredXliff) {
+      const match = await matchDeliveredFile(prisma, projectId, parsed);
+      if (!match && xliffSources > 0) {
+        throw new XliffError(`${name}: no translated segment matches this project's XLIFF files`, {
+          code: 'UNMATCHED_XLIFF'
+        });
+      }
+      xliff.push({
+        file: name,
+        projectFileId: match ? match.projectFileId : null,
+        targets: match ? match.segments.length : 0
+      });
+    }
+
+    const delivery = await submitDelivery(prisma, {
+      projectId,
+      milestoneId: milestoneId || null,
+      freelancerId: req.user.id,
+      notes,
+      files: req.files.map(file => file.key)
+    }, {
+      include: {
+        project: {
+          select: { id: true, title: true }
+        },
+        milestone: {
+          select: { id: true, title: true, position: true }
+        }
+      }
+    });
+    saved = true;
+
+    await recordAudit(prisma, req, {
+      action: 'delivery.submit',
+      entityType: 'Delivery',
+      entityId: delivery.id,
+      after: { status: delivery.status, version: delivery.version },
+      metadata: { projectId, milestoneId: delivery.milestoneId, fileCount: req.files.length }
+    });
+
+    res.status(201).json({
+      message: 'Delivery submitted successfully',
+      delivery: serializeDelivery(delivery, req.user.id),
+      xliff
+    });
+  } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    if (error instanceof XliffError || error instanceof DeliveryError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Submit delivery error:', error);
+    res.status(500).json({ error: 'Failed to submit delivery' });
+  }
+});
+
+// Accept delivery (project owner or organization manager)
+router.put('/:id/accept', authenticateToken, requireScope('deliveries:write'), async (req, res) => {
+  try {
+    const delivery = await prisma.delivery.findUnique({
+      where: { id: req.params.id },
+      include: { project: true }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const { canManage } = await getProjectAccess(prisma, delivery.project, req.user.id);
+    if (!canManage) {
+      return res.status(403).json({ error: 'Not authorized to accept this delivery' });
+    }
+
+    if (delivery.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Delivery has already been reviewed' });
+    }
+
+    const deliveredXliff = await Promise.all(delivery.files
+      .filter(isXliffFile)
+      .map(async key => parseXliff(await getStorage().get(key))));
+
+    // Accepting the delivery completes the project, or approves the milestone
+    // and completes the project once every milestone is approved. Its XLIFF
+    // targets become the project's translation only now, so a version sent
+    // back for revision never reaches the export.
+    const xliff = [];
+    const acceptedDelivery = await prisma.$transaction(async (tx) => {
+      const accepted = await reviewDelivery(tx, delivery.id, 'ACCEPTED');
+
+      for (const parsed of deliveredXliff) {
+        const merged = await mergeDeliveredTargets(tx, delivery.projectId, parsed, delivery.id);
+        if (merged) {
+          xliff.push(merged);
+        }
+      }
+
+      if (delivery.milestoneId) {
+        await tx.milestone.update({
+          where: { id: delivery.milestoneId },
+          data: { status: 'APPROVED' }
+        });
+
+        await syncProjectStatus(tx, {
+          project: delivery.project,
+          actorId: req.user.id,
+          actorRole: 'CLIENT',
+          trigger: 'delivery.accept'
+        });
+      } else {
+        await transitionProject(tx, {
+          project: delivery.project,
+          to: 'COMPLETED',
+          actorId: req.user.id,
+          actorRole: 'CLIENT',
+          trigger: 'delivery.accept'
+        });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'delivery.accept',
+        entityType: 'Delivery',
+        entityId: delivery.id,
+        before: { status: delivery.status },
+        after: { status: 'ACCEPTED' },
+        metadata: { projectId: delivery.projectId, milestoneId: delivery.milestoneId }
+      });
+
+      return accepted;
+    }, { timeout: ACCEPT_TRANSACTION_TIMEOUT });
+
+    res.json({
+      message: delivery.milestoneId ? 'Delivery accepted and milestone approved' : 'Delivery accepted and project completed',
+      delivery: serializeDelivery(acceptedDelivery, req.user.id),
+      xliff
+    });
+  } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof DeliveryError
+      || error instanceof XliffError || error instanceof StorageError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Accept delivery error:', error);
+    res.status(500).json({ error: 'Failed to accept delivery' });
+  }
+});
+
+// Request a revision of a delivery (project owner or organization manager)
+router.put('/:id/request-revision', authenticateToken, requireScope('deliveries:write'), uploadLimiter, revisionUpload.array('files', 5), [
+  body('comments').trim().isLength({ min: 5, max: 2000 }).withMessage('Comments must be 5-2000 characters')
+], async (req, res) => {
+  let saved = false;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await prisma.delivery.findUnique({
+      where: { id: req.params.id },
+      include: { project: true, milestone: true }
+    });
+
+    if (!delivery) {
+      discardUploads(req);
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const { project } = delivery;
+
+    const { canManage } = await getProjectAccess(prisma, project, req.user.id);
+    if (!canManage) {
+      discardUploads(req);
+      return res.status(403).json({ error: 'Not authorized to request a revision of this delivery' });
+    }
+
+    if (delivery.status !== 'PENDING') {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Delivery has already been reviewed' });
+    }
+
+    // As with submitting, only work in progress can be sent back
+    if (project.status !== 'IN_PROGRESS' || (delivery.milestone && delivery.milestone.status !== 'IN_PROGRESS')) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Project is not in progress' });
+    }
+
+    if (project.revisionsUsed >= project.revisionLimit) {
+      discardUploads(req);
+      return res.status(400).json({
+        error: 'No revision rounds remaining',
+        revisionLimit: project.revisionLimit,
+        revisionsUsed: project.revisionsUsed
+      });
+    }
+
+    // Project stays IN_PROGRESS so the freelancer can submit a new version
+    const revisionRequest = await prisma.$transaction(async (tx) => {
+      // Consume a round only if no concurrent request already used the last one
+      const { count } = await tx.project.updateMany({
+        where: { id: project.id, revisionsUsed: project.revisionsUsed },
+        data: { revisionsUsed: { increment: 1 } }
+      });
+
+      if (count === 0) {
+        throw new DeliveryError('The last revision round was used by another request', {
+          code: 'REVISION_ROUND_CONSUMED'
+        });
+      }
+
+      await reviewDelivery(tx, delivery.id, 'REVISION_REQUESTED');
+
+      await recordAudit(tx, req, {
+        action: 'delivery.revision_requested',
+        entityType: 'Delivery',
+        entityId: delivery.id,
+        before: { status: delivery.status, revisionsUsed: project.revisionsUsed },
+        after: { status: 'REVISION_REQUESTED', revisionsUsed: project.revisionsUsed + 1 },
+        metadata: { projectId: project.id }
+      });
+
+      return tx.revisionRequest.create({
+        data: {
+          deliveryId: delivery.id,
+          projectId: project.id,
+          clientId: req.user.id,
+          round: project.revisionsUsed + 1,
+          comments: req.body.comments,
+          files: req.files ? req.files.map(file => file.key) : []
+        }
+      });
+    });
+    saved = true;
+
+    res.status(201).json({
+      message: 'Revision requested',
+      revisionRequest: serializeRevisionRequest(revisionRequest, req.user.id),
+      revisionsRemaining: project.revisionLimit - revisionRequest.round
+    });
+  } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    if (error instanceof DeliveryError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Request revision error:', error);
+    res.status(500).json({ error: 'Failed to request revision' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, requireRecentTwoFactor } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimits');
+const { transitionProject, ProjectTransitionError } = require('../services/projectLifecycle');
+const { transferToFreelancer, refundClient, EscrowError } = require('../services/escrow');
+const { postRelease, postRefund } = require('../services/ledger');
+const { calculateSplit, chargeAmount } = require('../services/fees');
+const { toCents, isStripeError } = require('../services/stripe');
+const { syncProjectStatus } = require('../services/milestones');
+const { recordAudit } = require('../services/auditLog');
+const { getProjectAccess, projectAccessFilter } = require('../services/organizations');
+const { multerStorage } = require('../services/storage');
+const { removeStoredFiles, serializeAttachments } = require('../services/projectFiles');
+const multer = require('multer');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Interactive transactions that wait on Stripe need more than Prisma's 5s default
+const STRIPE_TRANSACTION_TIMEOUT = 20000;
+
+// Dispute evidence goes to the file store (services/storage.js) under disputes/
+const upload = multer({
+  storage: multerStorage('disputes'),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /\.(txt|doc|docx|pdf|rtf|odt|png|jpg|jpeg)$/i;
+    if (allowedTypes.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only document and image files are allowed'));
+    }
+  }
+});
+
+// multer has already stored the files; drop them if the upload is refused
+const discardUploads = (req) => removeStoredFiles((req.files || []).map(file => ({ storagePath: file.key })));
+
+const disputeInclude = {
+  project: {
+    select: { id: true, title: true, status: true, clientId: true, organizationId: true }
+  },
+  transaction: {
+    select: {
+      id: true,
+      amount: true,
+      clientFee: true,
+      clientTotal: true,
+      freelancerFee: true,
+      freelancerNet: true,
+      status: true,
+      clientId: true,
+      freelancerId: true
+    }
+  },
+  openedBy: {
+    select: { id: true, name: true, role: true }
+  },
+  evidence: {
+    include: {
+      submittedBy: {
+        select: { id: true, name: true, role: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// What the API returns for evidence, with signed file links
+const serializeEvidence = (evidence, userId) => ({
+  ...evidence,
+  files: serializeAttachments(evidence.files, userId)
+});
+
+const serializeDispute = (dispute, userId) => ({
+  ...dispute,
+  evidence: dispute.evidence.map(evidence => serializeEvidence(evidence, userId))
+});
+
+// The parties are the freelancer and the client's project team; with
+// `manage`, organization viewers are left out
+const isParty = async (project, transaction, user, { manage = false } = {}) => {
+  if (transaction.freelancerId === user.id) {
+    return true;
+  }
+
+  const { canView, canManage } = await getProjectAccess(prisma, project, user.id);
+  return manage ? canManage : canView;
+};
+
+// Get disputes (admins see all, parties see their own)
+router.get('/', authenticateToken, [
+  query('status').optional().isIn(['OPEN', 'RESOLVED'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const where = {};
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+    if (req.user.role !== 'ADMIN') {
+      where.OR = [
+        { project: projectAccessFilter(req.user.id) },
+        { transaction: { freelancerId: req.user.id } }
+      ];
+    }
+
+    const disputes = await prisma.dispute.findMany({
+      where,
+      include: disputeInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(disputes.map(dispute => serializeDispute(dispute, req.user.id)));
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+});
+
+// Get single dispute with its evidence
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await prisma.dispute.findUnique({
+      where: { id: req.params.id },
+      include: disputeInclude
+    });
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (req.user.role !== 'ADMIN' && !await isParty(dispute.project, dispute.transaction, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this dispute' });
+    }
+
+    res.json(serializeDispute(dispute, req.user.id));
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispute' });
+  }
+});
+
+// Open a dispute on a funded transaction (client or freelancer)
+router.post('/', authenticateToken, uploadLimiter, upload.array('files', 5), [
+  body('transactionId').notEmpty().withMessage('Transaction ID required'),
+  body('reason').trim().isLength({ min: 10, max: 2000 }).withMessage('Reason must be 10-2000 characters')
+], async (req, res) => {
+  let saved = false;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: req.body.transactionId },
+      include: { project: true }
+    });
+
+    if (!transaction) {
+      discardUploads(req);
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!await isParty(transaction.project, transaction, req.user, { manage: true })) {
+      discardUploads(req);
+      return res.status(403).json({ error: 'Not authorized to dispute this transaction' });
+    }
+
+    if (transaction.status !== 'FUNDED') {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Only funded payments can be disputed' });
+    }
+
+    // Freeze the escrow: release and refund both require FUNDED, and the
+    // project can no longer be delivered, completed or paid
+    const dispute = await prisma.$transaction(async (tx) => {
+      await transitionProject(tx, {
+        project: transaction.project,
+        to: 'DISPUTED',
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        trigger: 'dispute.open',
+        note: req.body.reason
+      });
+
+      const { count } = await tx.transaction.updateMany({
+        where: { id: transaction.id, status: 'FUNDED' },
+        data: { status: 'DISPUTED' }
+      });
+
+      if (count === 0) {
+        throw new EscrowError('Payment status changed by another request', { status: 409, code: 'STALE_STATUS' });
+      }
+
+      const created = await tx.dispute.create({
+        data: {
+          transactionId: transaction.id,
+          projectId: transaction.projectId,
+          openedById: req.user.id,
+          reason: req.body.reason,
+          evidence: {
+            create: {
+              submittedById: req.user.id,
+              statement: req.body.reason,
+              files: req.files ? req.files.map(file => file.key) : []
+            }
+          }
+        },
+        include: disputeInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'dispute.open',
+        entityType: 'Dispute',
+        entityId: created.id,
+        metadata: { transactionId: transaction.id, projectId: transaction.projectId, amount: transaction.amount }
+      });
+      await recordAudit(tx, req, {
+        action: 'transaction.dispute',
+        entityType: 'Transaction',
+        entityId: transaction.id,
+        before: { status: transaction.status },
+        after: { status: 'DISPUTED' },
+        metadata: { disputeId: created.id }
+      });
+
+      return created;
+    });
+    saved = true;
+
+    res.status(201).json({
+      message: 'Dispute opened; the payment is on hold until it is resolved',
+      dispute: serializeDispute(dispute, req.user.id)
+    });
+  } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Open dispute error:', error);
+    res.status(500).json({ error: 'Failed to open dispute' });
+  }
+});
+
+// Submit evidence for an open dispute (client or freelancer)
+router.post('/:id/evidence', authenticateToken, uploadLimiter, upload.array('files', 5), [
+  body('statement').trim().isLength({ min: 5, max: 5000 }).withMessage('Statement must be 5-5000 characters')
+], async (req, res) => {
+  let saved = false;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await prisma.dispute.findUnique({
+      where: { id: req.params.id },
+      include: { project: true, transaction: true }
+    });
+
+    if (!dispute) {
+      discardUploads(req);
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!await isParty(dispute.project, dispute.transaction, req.user, { manage: true })) {
+      discardUploads(req);
+      return res.status(403).json({ error: 'Not authorized to submit evidence for this dispute' });
+    }
+
+    if (dispute.status !== 'OPEN') {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Dispute has already been resolved' });
+    }
+
+    const evidence = await prisma.disputeEvidence.create({
+      data: {
+        disputeId: dispute.id,
+        submittedById: req.user.id,
+        statement: req.body.statement,
+        files: req.files ? req.files.map(file => file.key) : []
+      }
+    });
+    saved = true;
+
+    await recordAudit(prisma, req, {
+      action: 'dispute.evidence',
+      entityType: 'Dispute',
+      entityId: dispute.id,
+      metadata: { evidenceId: evidence.id, fileCount: evidence.files.length }
+    });
+
+    res.status(201).json({
+      message: 'Evidence submitted',
+      evidence: serializeEvidence(evidence, req.user.id)
+    });
+  } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    console.error('Submit evidence error:', error);
+    res.status(500).json({ error: 'Failed to submit evidence' });
+  }
+});
+
+// Resolve a dispute (admin only): release to the freelancer, refund the
+// client, or split the gross amount between them
+router.put('/:id/resolve', authenticateToken, requireRole(['ADMIN']), requireRecentTwoFactor, [
+  body('resolution').isIn(['RELEASE', 'REFUND', 'SPLIT']).withMessage('Resolution must be RELEASE, REFUND or SPLIT'),
+  body('releaseAmount').if(body('resolution').equals('SPLIT')).isFloat({ gt: 0 }).withMessage('Release amount required for a split'),
+  body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await prisma.dispute.findUnique({
+      where: { id: req.params.id },
+      include: {
+        transaction: {
+          include: {
+            project: true,
+            freelancer: true
+          }
+        }
+      }
+    });
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'OPEN') {
+      return res.status(400).json({ error: 'Dispute has already been resolved' });
+    }
+
+    if (dispute.stripeDisputeId) {
+      return res.status(409).json({
+        error: 'Chargebacks are settled by the card issuer through Stripe',
+        code: 'CHARGEBACK_PENDING'
+      });
+    }
+
+    const { transaction } = dispute;
+    const { resolution, note } = req.body;
+
+    if (transaction.status !== 'DISPUTED') {
+      return res.status(409).json({ error: 'Payment is not held for this dispute' });
+    }
+
+    let split = null;
+    if (resolution === 'SPLIT') {
+      const releaseAmount = parseFloat(req.body.releaseAmount);
+      if (toCents(releaseAmount) >= toCents(transaction.amount)) {
+        return res.status(400).json({ error: 'Release amount must be less than the escrowed amount' });
+      }
+      split = calculateSplit(transaction, releaseAmount);
+    }
+
+    const resolvedDispute = await prisma.$transaction(async (tx) => {
+      // A disputed milestone is settled on its own; the project resumes
+      // wherever its other milestones leave it
+      if (transaction.milestoneId) {
+        await tx.milestone.update({
+          where: { id: transaction.milestoneId },
+          data: { status: resolution === 'REFUND' ? 'CANCELLED' : 'RELEASED' }
+        });
+
+        await syncProjectStatus(tx, {
+          project: transaction.project,
+          actorId: req.user.id,
+          actorRole: 'ADMIN',
+          trigger: 'dispute.resolve',
+          note
+        });
+      } else {
+        await transitionProject(tx, {
+          project: transaction.project,
+          to: resolution === 'REFUND' ? 'CANCELLED' : 'PAID',
+          actorId: req.user.id,
+          actorRole: 'ADMIN',
+          trigger: 'dispute.resolve',
+          note
+        });
+      }
+
+      const data = {};
+      let releaseAmount = 0;
+      let refundAmount = 0;
+
+      if (resolution === 'RELEASE') {
+        const transfer = await transferToFreelancer(transaction, transaction.freelancer);
+        Object.assign(data, { status: 'RELEASED', stripeTransferId: transfer.id });
+        releaseAmount = transaction.amount;
+      } else if (resolution === 'REFUND') {
+        const refund = await refundClient(transaction, { reason: 'Dispute resolved in favour of the client' });
+        Object.assign(data, { status: 'REFUNDED', stripeRefundId: refund.id });
+        refundAmount = chargeAmount(transaction);
+      } else {
+        const transfer = await transferToFreelancer(transaction, transaction.freelancer, { amount: split.freelancerNet });
+        const refund = await refundClient(transaction, { reason: 'Dispute settled with a split', amount: split.refundAmount });
+        Object.assign(data, { status: 'RELEASED', stripeTransferId: transfer.id, stripeRefundId: refund.id });
+        releaseAmount = split.releaseAmount;
+        refundAmount = split.refundAmount;
+      }
+
+      const updatedTransaction = await tx.transaction.update({
+        where: { id: transaction.id },
+        data
+      });
+
+      if (resolution === 'RELEASE') {
+        await postRelease(tx, updatedTransaction);
+      } else if (resolution === 'REFUND') {
+        await postRefund(tx, updatedTransaction);
+      } else {
+        await postRefund(tx, updatedTransaction, { refundCents: toCents(split.refundAmount) });
+        await postRelease(tx, updatedTransaction, {
+          grossCents: toCents(split.releaseAmount),
+          commissionCents: toCents(split.freelancerFee)
+        });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'dispute.resolve',
+        entityType: 'Dispute',
+        entityId: dispute.id,
+        before: { status: dispute.status },
+        after: { status: 'RESOLVED', resolution },
+        metadata: { releaseAmount, refundAmount, note }
+      });
+      await recordAudit(tx, req, {
+        action: resolution === 'REFUND' ? 'transaction.refund' : 'transaction.release',
+        entityType: 'Transaction',
+        entityId: transaction.id,
+        before: { status: transaction.status },
+        after: data,
+        metadata: { projectId: transaction.projectId, disputeId: dispute.id, releaseAmount, refundAmount }
+      });
+
+      return tx.dispute.update({
+        where: { id: dispute.id },
+        data: {
+          status: 'RESOLVED',
+          resolution,
+          releaseAmount,
+          refundAmount,
+          resolutionNote: note,
+          resolvedById: req.user.id,
+          resolvedAt: new Date()
+        },
+        include: disputeInclude
+      });
+    }, { timeout: STRIPE_TRANSACTION_TIMEOUT });
+
+    res.json({
+      message: 'Dispute resolved',
+      dispute: serializeDispute(resolvedDispute, req.user.id)
+    });
+  } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { ATTACHMENT_PREFIXES, verifyFileSignature } = require('../services/projectFiles');
+const { StorageError, getStorage } = require('../services/storage');
+const { recordAudit } = require('../services/auditLog');
+const { XliffError, mergeXliff } = require('../services/xliff');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// How long a redirect to the backend's own signed URL stays valid
+const BACKEND_URL_TTL_SECONDS = 60;
+
+// Send a stored file: redirect to the backend if it can serve it directly,
+// otherwise stream it through the app
+const sendStoredFile = async (res, key, { filename, size, inline = false }) => {
+  const storage = getStorage();
+  const contentType = express.static.mime.lookup(filename);
+
+  const url = await storage.signedUrl(key, {
+    expiresIn: BACKEND_URL_TTL_SECONDS,
+    filename,
+    contentType,
+    inline
+  });
+  if (url) {
+    return res.redirect(url);
+  }
+
+  const stream = await storage.stream(key);
+  if (inline) {
+    res.type(contentType);
+  } else {
+    res.attachment(filename);
+  }
+  if (size) {
+    res.set('Content-Length', String(size));
+  }
+
+  stream.on('error', (error) => {
+    console.error('Stream stored file error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Profile pictures are public
+router.get('/profiles/:name', [
+  param('name').matches(/^[\w.-]+$/)
+], async (req, res) => {
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Shown on the client's origin, which helmet's default policy would block
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'public, max-age=86400');
+    await sendStoredFile(res, `profiles/${req.params.name}`, {
+      filename: req.params.name,
+      inline: true
+    });
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Get profile picture error:', error);
+    res.status(500).json({ error: 'Failed to fetch file' });
+  }
+});
+
+// Download a delivery, revision markup or dispute evidence file through a
+// signed URL from the deliveries or disputes routes
+router.get('/attachments/:prefix/:name', [
+  param('prefix').isIn(ATTACHMENT_PREFIXES),
+  param('name').matches(/^[\w.-]+$/),
+  query('user').isString(),
+  query('expires').isInt(),
+  query('signature').isString()
+], async (req, res) => {
+  try {
+    const key = `${req.params.prefix}/${req.params.name}`;
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || !verifyFileSignature(`attachments/${key}`, req.query)) {
+      return res.status(403).json({ error: 'This download link is invalid or has expired' });
+    }
+
+    await recordAudit(prisma, req, {
+      action: 'attachment.download',
+      entityType: 'StoredFile',
+      entityId: key,
+      actorId: req.query.user
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    await sendStoredFile(res, key, { filename: req.params.name });
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Export an XLIFF project file with the delivered targets merged in, through
+// a signed URL from GET /api/projects/:id/files
+router.get('/:id/xliff', [
+  query('user').isString(),
+  query('expires').isInt(),
+  query('signature').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || !verifyFileSignature(`${req.params.id}/xliff`, req.query)) {
+      return res.status(403).json({ error: 'This download link is invalid or has expired' });
+    }
+
+    const file = await prisma.projectFile.findUnique({
+      where: { id: req.params.id },
+      include: {
+        segments: {
+          where: { deliveryId: { not: null } },
+          select: { position: true, target: true, state: true }
+        }
+      }
+    });
+
+    if (!file || !file.xliffVersion) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const merged = mergeXliff(await getStorage().get(file.storagePath), file.segments);
+
+    await recordAudit(prisma, req, {
+      action: 'project_file.export',
+      entityType: 'ProjectFile',
+      entityId: file.id,
+      metadata: { projectId: file.projectId, deliveredSegments: file.segments.length },
+      actorId: req.query.user
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(file.originalName);
+    res.type('application/xliff+xml');
+    res.send(merged);
+  } catch (error) {
+    if (error instanceof StorageError || error instanceof XliffError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Export XLIFF error:', error);
+    res.status(500).json({ error: 'Failed to export file' });
+  }
+});
+
+// Download a project file through a signed URL from GET /api/projects/:id/files
+router.get('/:id', [
+  query('user').isString(),
+  query('expires').isInt(),
+  query('signature').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || !verifyFileSignature(req.params.id, req.query)) {
+      return res.status(403).json({ error: 'This download link is invalid or has expired' });
+    }
+
+    const file = await prisma.projectFile.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await recordAudit(prisma, req, {
+      action: 'project_file.download',
+      entityType: 'ProjectFile',
+      entityId: file.id,
+      metadata: { projectId: file.projectId },
+      actorId: req.query.user
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    await sendStoredFile(res, file.storagePath, {
+      filename: file.originalName,
+      size: file.size
+    });
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Download project file error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+module.exports = router;
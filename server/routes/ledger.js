@@ -0,0 +1,34 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { getBalances } = require('../services/ledger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get the current user's ledger balances
+router.get('/balance', authenticateToken, async (req, res) => {
+  try {
+    const balances = await getBalances(prisma, req.user.id);
+
+    if (req.user.role === 'CLIENT') {
+      return res.json({
+        inEscrow: balances.CLIENT_ESCROW || 0
+      });
+    }
+
+    const pending = balances.FREELANCER_PENDING || 0;
+    const available = balances.FREELANCER_AVAILABLE || 0;
+
+    res.json({
+      pending,
+      available,
+      totalEarnings: Math.round((pending + available) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Get ledger balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { normalizeEmail } = require('validator');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authLimiter } = require('../middleware/rateLimits');
+const { sendTokens } = require('../middleware/authCookies');
+const { createSession } = require('../services/sessions');
+const { createLoginChallenge } = require('../services/twoFactor');
+const { sendVerificationEmail } = require('../services/emailTokens');
+const { getAccountBlock } = require('../services/moderation');
+const { recordAudit } = require('../services/auditLog');
+const {
+  OidcError,
+  listProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../services/oidc');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// State, nonce and PKCE verifier travel in a signed cookie between the
+// authorize redirect and the callback. SameSite=Lax is enough: the provider
+// sends the browser back with a top-level GET.
+const FLOW_COOKIE = 'oidc_flow';
+const FLOW_TTL_SECONDS = 10 * 60;
+const SIGNUP_TICKET_TTL = '15m';
+
+const flowCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+const redirectUriFor = (providerId) => `${API_URL}/api/auth/oidc/${encodeURIComponent(providerId)}/callback`;
+
+// Results go back to the client in the URL fragment, which browsers never
+// send to servers or in Referer headers
+const redirectToClient = (res, params) => {
+  res.redirect(`${CLIENT_URL}/oidc/callback#${new URLSearchParams(params)}`);
+};
+
+const readFlow = (req, providerId, state) => {
+  try {
+    const flow = jwt.verify(req.cookies?.[FLOW_COOKIE] || '', process.env.JWT_SECRET);
+    if (flow.purpose === 'oidc_flow' && flow.provider === providerId && flow.state === state) {
+      return flow;
+    }
+  } catch (error) {
+    // Fall through: expired, missing or tampered with
+  }
+  throw new OidcError('Sign-in session expired, please try again', { code: 'INVALID_STATE' });
+};
+
+// Find or link the user for a verified external identity. Returns null when
+// nobody matches and the person has to finish signing up.
+const resolveUser = async (identity, req) => {
+  const existing = await prisma.identity.findUnique({
+    where: { provider_subject: { provider: identity.provider, subject: identity.subject } },
+    include: { user: true }
+  });
+
+  if (existing) {
+    await prisma.identity.update({
+      where: { id: existing.id },
+      data: { lastLoginAt: new Date(), email: identity.email }
+    });
+    return existing.user;
+  }
+
+  if (!identity.email) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email: normalizeEmail(identity.email) }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  // Only link when the provider vouches for the address; otherwise anyone
+  // could claim an account by registering its email elsewhere
+  if (!identity.emailVerified) {
+    throw new OidcError(
+      'An account with this email already exists. Sign in with your password instead.',
+      { status: 409, code: 'EMAIL_NOT_VERIFIED_BY_PROVIDER' }
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.identity.create({
+      data: {
+        userId: user.id,
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email,
+        lastLoginAt: new Date()
+      }
+    });
+
+    await recordAudit(tx, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.identity_linked',
+      entityType: 'User',
+      entityId: user.id,
+      metadata: { provider: identity.provider, subject: identity.subject, droppedPassword: !user.emailVerifiedAt }
+    });
+
+    if (user.emailVerifiedAt) {
+      return user;
+    }
+
+    // The address was never confirmed, so its password may have been set by
+    // someone else who registered it first. The provider proves ownership:
+    // drop that password and sign out any sessions it opened.
+    await tx.session.updateMany({
+      where: { userId: user.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'oidc_link' }
+    });
+    return tx.user.update({
+      where: { id: user.id },
+      data: { emailVerifiedAt: new Date(), passwordHash: null }
+    });
+  });
+};
+
+// List configured sign-in providers
+router.get('/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// Start signing in: redirect the browser to the provider
+router.get('/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const { url, flow } = await createAuthorizationRequest(provider, redirectUriFor(provider.id));
+
+    const flowToken = jwt.sign({ ...flow, purpose: 'oidc_flow' }, process.env.JWT_SECRET, {
+      expiresIn: FLOW_TTL_SECONDS
+    });
+    res.cookie(FLOW_COOKIE, flowToken, { ...flowCookieOptions(), maxAge: FLOW_TTL_SECONDS * 1000 });
+
+    res.redirect(url);
+  } catch (error) {
+    if (!(error instanceof OidcError)) {
+      console.error('OIDC authorize error:', error);
+    }
+    redirectToClient(res, { error: error instanceof OidcError ? error.message : 'Sign-in failed' });
+  }
+});
+
+// The provider sends the browser back here with an authorization code
+router.get('/:provider/callback', async (req, res) => {
+  res.clearCookie(FLOW_COOKIE, flowCookieOptions());
+
+  try {
+    if (req.query.error) {
+      return redirectToClient(res, { error: req.query.error_description || req.query.error });
+    }
+
+    const provider = getProvider(req.params.provider);
+    const flow = readFlow(req, provider.id, req.query.state);
+    const identity = await completeAuthorization(provider, flow, {
+      code: req.query.code,
+      redirectUri: redirectUriFor(provider.id)
+    });
+
+    const user = await resolveUser(identity, req);
+
+    if (!user) {
+      const signupTicket = jwt.sign({ ...identity, purpose: 'oidc_signup' }, process.env.JWT_SECRET, {
+        expiresIn: SIGNUP_TICKET_TTL
+      });
+      return redirectToClient(res, {
+        signupTicket,
+        email: identity.email || '',
+        name: identity.name || ''
+      });
+    }
+
+    const block = getAccountBlock(user);
+    if (block) {
+      return redirectToClient(res, { error: block.error });
+    }
+
+    // The provider replaces the password, not the second factor
+    if (user.twoFactorEnabledAt) {
+      return redirectToClient(res, { challengeToken: createLoginChallenge(user.id) });
+    }
+
+    // Hand the client a fresh refresh token; it is single use, so the client
+    // immediately exchanges it at /auth/refresh for its own tokens
+    const { session, refreshToken } = await createSession(prisma, user.id, req);
+
+    await recordAudit(prisma, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.login',
+      entityType: 'User',
+      entityId: user.id,
+      metadata: { method: `oidc:${provider.id}`, sessionId: session.id }
+    });
+
+    redirectToClient(res, { refreshToken });
+  } catch (error) {
+    if (!(error instanceof OidcError)) {
+      console.error('OIDC callback error:', error);
+    }
+    redirectToClient(res, { error: error instanceof OidcError ? error.message : 'Sign-in failed' });
+  }
+});
+
+// First sign-in with a new identity: create the account with the chosen role
+router.post('/signup', authLimiter, [
+  body('signupTicket').isString().notEmpty().withMessage('Sign-up ticket required'),
+  body('role').isIn(['CLIENT', 'FREELANCER']).withMessage('Role must be CLIENT or FREELANCER'),
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('languages').optional().isArray().withMessage('Languages must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let ticket;
+    try {
+      ticket = jwt.verify(req.body.signupTicket, process.env.JWT_SECRET);
+    } catch (error) {
+      ticket = null;
+    }
+    if (!ticket || ticket.purpose !== 'oidc_signup') {
+      return res.status(400).json({ error: 'Sign-up expired, please sign in again', code: 'INVALID_TICKET' });
+    }
+
+    const { role, languages = [] } = req.body;
+    // Providers that share no address let the user type one, unverified
+    const email = ticket.email ? normalizeEmail(ticket.email) : req.body.email;
+    const emailVerified = !!ticket.email && ticket.emailVerified;
+    const name = req.body.name || ticket.name;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    if (!name) {
+      return res.status(400).json({ error: 'Name required' });
+    }
+
+    const [existingUser, existingIdentity] = await Promise.all([
+      prisma.user.findUnique({ where: { email } }),
+      prisma.identity.findUnique({
+        where: { provider_subject: { provider: ticket.provider, subject: ticket.subject } }
+      })
+    ]);
+
+    if (existingUser || existingIdentity) {
+      return res.status(409).json({ error: 'An account already exists for this sign-in. Please sign in instead.' });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name,
+        email,
+        role,
+        languages: role === 'FREELANCER' ? languages : [],
+        emailVerifiedAt: emailVerified ? new Date() : null,
+        identities: {
+          create: {
+            provider: ticket.provider,
+            subject: ticket.subject,
+            email: ticket.email,
+            lastLoginAt: new Date()
+          }
+        }
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        languages: true,
+        rating: true,
+        profilePicture: true,
+        emailVerifiedAt: true
+      }
+    });
+
+    await recordAudit(prisma, req, {
+      actorId: user.id,
+      actorRole: user.role,
+      action: 'auth.register',
+      entityType: 'User',
+      entityId: user.id,
+      after: { name: user.name, email: user.email, role: user.role },
+      metadata: { provider: ticket.provider }
+    });
+
+    if (!emailVerified) {
+      try {
+        await sendVerificationEmail(prisma, user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    const { session, ...tokens } = await createSession(prisma, user.id, req);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      user,
+      ...sendTokens(req, res, tokens)
+    });
+  } catch (error) {
+    console.error('OIDC signup error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,455 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, requireVerifiedEmail } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimits');
+const {
+  INVITATION_TTL_DAYS,
+  OrganizationError,
+  getMembership,
+  assertOwnerRemains,
+  createInvitation,
+  findInvitation,
+  acceptInvitation
+} = require('../services/organizations');
+const { sendInvitationEmail } = require('../services/emailTokens');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const ROLES = ['OWNER', 'MANAGER', 'VIEWER'];
+
+const memberSelect = {
+  id: true,
+  role: true,
+  createdAt: true,
+  user: { select: { id: true, name: true, email: true, profilePicture: true } }
+};
+
+// Load the organization in :id and the current user's membership, or answer
+// 404 for non-members and 403 for members without one of `roles`
+const loadMembership = async (req, res, roles = ROLES) => {
+  const membership = await getMembership(prisma, req.params.id, req.user.id);
+
+  if (!membership) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+
+  if (!roles.includes(membership.role)) {
+    res.status(403).json({ error: 'Only organization owners can do this' });
+    return null;
+  }
+
+  return membership;
+};
+
+// List the current user's organizations
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const memberships = await prisma.membership.findMany({
+      where: { userId: req.user.id },
+      include: {
+        organization: {
+          include: {
+            _count: { select: { memberships: true, projects: true } }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(memberships.map(({ organization, role }) => ({ ...organization, role })));
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Create an organization (clients only); the creator becomes its owner
+router.post('/', authenticateToken, requireRole(['CLIENT']), requireVerifiedEmail, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await prisma.$transaction(async (tx) => {
+      const created = await tx.organization.create({
+        data: {
+          name: req.body.name,
+          memberships: {
+            create: { userId: req.user.id, role: 'OWNER' }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'organization.create',
+        entityType: 'Organization',
+        entityId: created.id,
+        after: { name: created.name }
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: 'Organization created',
+      organization: { ...organization, role: 'OWNER' }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Look up an invitation before accepting it
+router.get('/invitations/preview', authenticateToken, [
+  query('token').isString().withMessage('Invitation token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await findInvitation(prisma, req.query.token);
+
+    res.json({
+      organization: invitation.organization,
+      invitedBy: invitation.invitedBy,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Preview invitation error:', error);
+    res.status(500).json({ error: 'Failed to look up invitation' });
+  }
+});
+
+// Accept an invitation as the invited user
+router.post('/invitations/accept', authenticateToken, authLimiter, [
+  body('token').isString().withMessage('Invitation token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { invitation, membership } = await prisma.$transaction(async (tx) => {
+      const accepted = await acceptInvitation(tx, { token: req.body.token, user: req.user });
+
+      await recordAudit(tx, req, {
+        action: 'organization.member_join',
+        entityType: 'Organization',
+        entityId: accepted.invitation.organizationId,
+        after: { userId: req.user.id, role: accepted.membership.role },
+        metadata: { invitationId: accepted.invitation.id }
+      });
+
+      return accepted;
+    });
+
+    res.json({
+      message: `You joined ${invitation.organization.name}`,
+      organization: { ...invitation.organization, role: membership.role }
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Get an organization with its members (members only). Owners also see
+// pending invitations.
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.params.id },
+      include: {
+        memberships: {
+          select: memberSelect,
+          orderBy: { createdAt: 'asc' }
+        },
+        _count: { select: { projects: true } }
+      }
+    });
+
+    const invitations = membership.role === 'OWNER'
+      ? await prisma.organizationInvitation.findMany({
+        where: {
+          organizationId: organization.id,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        select: { id: true, email: true, role: true, expiresAt: true, createdAt: true },
+        orderBy: { createdAt: 'desc' }
+      })
+      : [];
+
+    const { memberships, ...details } = organization;
+
+    res.json({
+      ...details,
+      role: membership.role,
+      members: memberships,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Rename an organization (owners only)
+router.put('/:id', authenticateToken, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const membership = await loadMembership(req, res, ['OWNER']);
+    if (!membership) return;
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.params.id }
+    });
+
+    const [updated] = await prisma.$transaction([
+      prisma.organization.update({
+        where: { id: organization.id },
+        data: { name: req.body.name }
+      }),
+      recordAudit(prisma, req, {
+        action: 'organization.update',
+        entityType: 'Organization',
+        entityId: organization.id,
+        before: { name: organization.name },
+        after: { name: req.body.name }
+      })
+    ]);
+
+    res.json({
+      message: 'Organization updated',
+      organization: { ...updated, role: membership.role }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Invite someone by email (owners only)
+router.post('/:id/invitations', authenticateToken, authLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('role').isIn(ROLES).withMessage('Role must be OWNER, MANAGER or VIEWER')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const membership = await loadMembership(req, res, ['OWNER']);
+    if (!membership) return;
+
+    const { email, role } = req.body;
+
+    const existingMember = await prisma.membership.findFirst({
+      where: { organizationId: req.params.id, user: { email } }
+    });
+
+    if (existingMember) {
+      return res.status(409).json({ error: 'That person is already a member' });
+    }
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.params.id }
+    });
+
+    const { invitation, token } = await prisma.$transaction(async (tx) => {
+      const created = await createInvitation(tx, {
+        organizationId: organization.id,
+        email,
+        role,
+        invitedById: req.user.id
+      });
+
+      await recordAudit(tx, req, {
+        action: 'organization.invite',
+        entityType: 'Organization',
+        entityId: organization.id,
+        metadata: { invitationId: created.invitation.id, email, role }
+      });
+
+      return created;
+    });
+
+    await sendInvitationEmail({
+      email,
+      token,
+      organization,
+      inviter: req.user,
+      role,
+      expiresInDays: INVITATION_TTL_DAYS
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${email}`,
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+// Revoke a pending invitation (owners only)
+router.delete('/:id/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, ['OWNER']);
+    if (!membership) return;
+
+    const { count } = await prisma.organizationInvitation.updateMany({
+      where: {
+        id: req.params.invitationId,
+        organizationId: req.params.id,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await recordAudit(prisma, req, {
+      action: 'organization.invite_revoke',
+      entityType: 'Organization',
+      entityId: req.params.id,
+      metadata: { invitationId: req.params.invitationId }
+    });
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Change a member's role (owners only)
+router.put('/:id/members/:userId', authenticateToken, [
+  body('role').isIn(ROLES).withMessage('Role must be OWNER, MANAGER or VIEWER')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const membership = await loadMembership(req, res, ['OWNER']);
+    if (!membership) return;
+
+    const member = await getMembership(prisma, req.params.id, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await assertOwnerRemains(tx, member, req.body.role);
+
+      const changed = await tx.membership.update({
+        where: { id: member.id },
+        data: { role: req.body.role },
+        select: memberSelect
+      });
+
+      await recordAudit(tx, req, {
+        action: 'organization.member_role',
+        entityType: 'Organization',
+        entityId: member.organizationId,
+        before: { role: member.role },
+        after: { role: changed.role },
+        metadata: { userId: member.userId }
+      });
+
+      return changed;
+    });
+
+    res.json({
+      message: 'Member updated',
+      member: updated
+    });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member (owners), or leave the organization (any member)
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const membership = await loadMembership(req, res, leaving ? ROLES : ['OWNER']);
+    if (!membership) return;
+
+    const member = leaving ? membership : await getMembership(prisma, req.params.id, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await assertOwnerRemains(tx, member);
+
+      await tx.membership.delete({
+        where: { id: member.id }
+      });
+
+      await recordAudit(tx, req, {
+        action: leaving ? 'organization.member_leave' : 'organization.member_remove',
+        entityType: 'Organization',
+        entityId: member.organizationId,
+        before: { userId: member.userId, role: member.role }
+      });
+    });
+
+    res.json({ message: leaving ? 'You left the organization' : 'Member removed' });
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole, requireRecentTwoFactor } = require('../middleware/auth');
+const { stripe, isStripeError } = require('../services/stripe');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// A Connect account can receive escrow releases once transfers are active
+const isTransferReady = (account) => {
+  return account.capabilities?.transfers === 'active' && account.payouts_enabled;
+};
+
+// Start or resume Stripe Connect Express onboarding (freelancers only)
+router.post('/onboard', authenticateToken, requireRole(['FREELANCER']), requireRecentTwoFactor, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    let accountId = user.stripeAccountId;
+
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        email: user.email,
+        capabilities: {
+          transfers: { requested: true }
+        },
+        metadata: { userId: user.id }
+      }, {
+        idempotencyKey: `connect-account-${user.id}`
+      });
+
+      accountId = account.id;
+
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: user.id },
+          data: { stripeAccountId: accountId }
+        }),
+        recordAudit(prisma, req, {
+          action: 'payout.account_created',
+          entityType: 'User',
+          entityId: user.id,
+          before: { stripeAccountId: null },
+          after: { stripeAccountId: accountId }
+        })
+      ]);
+    }
+
+    const accountLink = await stripe.accountLinks.create({
+      account: accountId,
+      refresh_url: `${CLIENT_URL}/dashboard?payouts=refresh`,
+      return_url: `${CLIENT_URL}/dashboard?payouts=return`,
+      type: 'account_onboarding'
+    });
+
+    res.json({ url: accountLink.url });
+  } catch (error) {
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Payout onboarding error:', error);
+    res.status(500).json({ error: 'Failed to start payout onboarding' });
+  }
+});
+
+// Get payout account status, refreshing it from Stripe
+router.get('/status', authenticateToken, requireRole(['FREELANCER']), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.stripeAccountId) {
+      return res.json({ connected: false, payoutsEnabled: false, detailsSubmitted: false });
+    }
+
+    const account = await stripe.accounts.retrieve(user.stripeAccountId);
+    const payoutsEnabled = isTransferReady(account);
+
+    if (payoutsEnabled !== user.stripePayoutsEnabled) {
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: user.id },
+          data: { stripePayoutsEnabled: payoutsEnabled }
+        }),
+        recordAudit(prisma, req, {
+          action: 'payout.status_change',
+          entityType: 'User',
+          entityId: user.id,
+          before: { stripePayoutsEnabled: user.stripePayoutsEnabled },
+          after: { stripePayoutsEnabled: payoutsEnabled },
+          metadata: { stripeAccountId: user.stripeAccountId }
+        })
+      ]);
+    }
+
+    res.json({
+      connected: true,
+      payoutsEnabled,
+      detailsSubmitted: account.details_submitted
+    });
+  } catch (error) {
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Payout status error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout status' });
+  }
+});
+
+// Get a login link to the freelancer's Stripe Express dashboard
+router.post('/dashboard-link', authenticateToken, requireRole(['FREELANCER']), requireRecentTwoFactor, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.stripeAccountId) {
+      return res.status(400).json({ error: 'Payouts have not been set up' });
+    }
+
+    const loginLink = await stripe.accounts.createLoginLink(user.stripeAccountId);
+
+    await recordAudit(prisma, req, {
+      action: 'payout.dashboard_link',
+      entityType: 'User',
+      entityId: user.id,
+      metadata: { stripeAccountId: user.stripeAccountId }
+    });
+
+    res.json({ url: loginLink.url });
+  } catch (error) {
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
+    console.error('Payout dashboard link error:', error);
+    res.status(500).json({ error: 'Failed to create dashboard link' });
+  }
+});
+
+module.exports = router;
@@ -1,45 +1,69 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimits');
+const { transitionProject, recordInitialStatus, ProjectTransitionError } = require('../services/projectLifecycle');
+const { parseMilestones } = require('../services/milestones');
+const { toCents, fromCents } = require('../services/stripe');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const { MANAGING_ROLES, getMembership, getProjectAccess, projectAccessFilter } = require('../services/organizations');
+const {
+  canDownloadProjectFiles,
+  canExportProjectFiles,
+  projectFileData,
+  removeStoredFiles,
+  serializeProjectFile
+} = require('../services/projectFiles');
+const { getStorage, multerStorage } = require('../services/storage');
+const { analyzeProjectFiles } = require('../services/documentAnalysis');
+const { quotePrice } = require('../services/pricing');
+const { XliffError, isXliffFile, parseXliffUpload, segmentProgress } = require('../services/xliff');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/projects';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const PROJECT_AUDIT_FIELDS = ['title', 'description', 'sourceLanguage', 'targetLanguage', 'budget', 'deadline', 'shareFilesWithBidders'];
 
+// Configure multer for file uploads. They stream into the file store and
+// are only served through signed URLs (see services/projectFiles.js).
 const upload = multer({
-  storage,
+  storage: multerStorage('projects'),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = /\.(txt|doc|docx|pdf|rtf|odt)$/i;
-    if (allowedTypes.test(file.originalname)) {
+    if (allowedTypes.test(file.originalname) || isXliffFile(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only document files are allowed'));
+      cb(new Error('Only document or XLIFF files are allowed'));
     }
   }
 });
 
+// multer has already stored the files; drop them if the upload is refused
+const discardUploads = (req) => removeStoredFiles((req.files || []).map(file => ({ storagePath: file.key })));
+
+// Recount a project's documents after its files change. The change itself
+// has gone through, so a failure here is logged rather than returned.
+const refreshDocumentAnalysis = async (projectId) => {
+  try {
+    return await analyzeProjectFiles(prisma, projectId);
+  } catch (error) {
+    console.error('Document analysis error:', error);
+    return null;
+  }
+};
+
+// Parse uploaded XLIFF files back out of the store, so their segments are
+// saved with them. Other files get null.
+const parseXliffUploads = (files) => Promise.all(files.map(async (file) => (
+  isXliffFile(file.originalname) ? parseXliffUpload(await getStorage().get(file.key), file.originalname) : null
+)));
+
 // Get all projects (with filtering)
 router.get('/', [
-  query('status').optional().isIn(['POSTED', 'IN_PROGRESS', 'COMPLETED', 'PAID', 'CANCELLED']),
+  query('status').optional().isIn(['POSTED', 'AWAITING_FUNDING', 'IN_PROGRESS', 'COMPLETED', 'PAID', 'CANCELLED', 'DISPUTED']),
   query('sourceLanguage').optional().isString(),
   query('targetLanguage').optional().isString(),
   query('page').optional().isInt({ min: 1 }),
@@ -54,7 +78,8 @@ router.get('/', [
     const { status, sourceLanguage, targetLanguage, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    // Projects hidden by a moderator are left out of public listings
+    const where = { hiddenAt: null };
     if (status) where.status = status;
     if (sourceLanguage) where.sourceLanguage = sourceLanguage;
     if (targetLanguage) where.targetLanguage = targetLanguage;
@@ -66,10 +91,14 @@ router.get('/', [
           client: {
             select: { id: true, name: true, rating: true }
           },
+          organization: {
+            select: { id: true, name: true }
+          },
           bids: {
+            where: { hiddenAt: null },
             select: { id: true, bidAmount: true, status: true }
           },
-          _count: { select: { bids: true } }
+          _count: { select: { bids: { where: { hiddenAt: null } } } }
         },
         orderBy: { createdAt: 'desc' },
         skip: parseInt(skip),
@@ -93,6 +122,67 @@ router.get('/', [
   }
 });
 
+// Get the projects the user runs or can see: their own and their
+// organizations'. Each carries the user's role on it.
+router.get('/mine', authenticateToken, requireScope('projects:read'), async (req, res) => {
+  try {
+    const [projects, memberships] = await Promise.all([
+      prisma.project.findMany({
+        where: { ...projectAccessFilter(req.user.id), hiddenAt: null },
+        include: {
+          client: {
+            select: { id: true, name: true, rating: true }
+          },
+          organization: {
+            select: { id: true, name: true }
+          },
+          _count: { select: { bids: { where: { hiddenAt: null } } } }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.membership.findMany({
+        where: { userId: req.user.id }
+      })
+    ]);
+
+    const roles = new Map(memberships.map(membership => [membership.organizationId, membership.role]));
+
+    res.json(projects.map(project => ({
+      ...project,
+      role: project.organizationId ? roles.get(project.organizationId) : 'OWNER'
+    })));
+  } catch (error) {
+    console.error('Get my projects error:', error);
+    res.status(500).json({ error: 'Failed to fetch your projects' });
+  }
+});
+
+// Quote a job before posting it: a price range from the per-word rates of
+// translators for the language pair
+router.get('/quote', [
+  query('sourceLanguage').trim().notEmpty().withMessage('Source language required'),
+  query('targetLanguage').trim().notEmpty().withMessage('Target language required'),
+  query('wordCount').isInt({ min: 1, max: 10000000 }).withMessage('Word count must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sourceLanguage, targetLanguage, wordCount } = req.query;
+
+    res.json(await quotePrice(prisma, {
+      sourceLanguage,
+      targetLanguage,
+      wordCount: parseInt(wordCount, 10)
+    }));
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
 // Get single project
 router.get('/:id', async (req, res) => {
   try {
@@ -102,18 +192,28 @@ router.get('/:id', async (req, res) => {
         client: {
           select: { id: true, name: true, rating: true, profilePicture: true }
         },
+        organization: {
+          select: { id: true, name: true }
+        },
         bids: {
+          where: { hiddenAt: null },
           include: {
             freelancer: {
               select: { id: true, name: true, rating: true, languages: true, profilePicture: true }
             }
           },
           orderBy: { createdAt: 'desc' }
+        },
+        milestones: {
+          orderBy: { position: 'asc' }
+        },
+        _count: {
+          select: { files: true }
         }
       }
     });
 
-    if (!project) {
+    if (!project || project.hiddenAt) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
@@ -124,59 +224,398 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get project status history (project team or accepted freelancer)
+router.get('/:id/history', authenticateToken, requireScope('projects:read'), async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id },
+      include: {
+        bids: { where: { status: 'ACCEPTED' } }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { canView } = await getProjectAccess(prisma, project, req.user.id);
+    const isFreelancer = project.bids.some(bid => bid.freelancerId === req.user.id);
+
+    if (!canView && !isFreelancer) {
+      return res.status(403).json({ error: 'Not authorized to view this project history' });
+    }
+
+    const history = await prisma.projectStatusHistory.findMany({
+      where: { projectId: req.params.id },
+      include: {
+        actor: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Get project history error:', error);
+    res.status(500).json({ error: 'Failed to fetch project history' });
+  }
+});
+
+// Quote a posted project from its analyzed word count
+router.get('/:id/quote', async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!project || project.hiddenAt) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.wordCount) {
+      return res.status(400).json({ error: 'This project has no word count to quote from' });
+    }
+
+    res.json(await quotePrice(prisma, {
+      sourceLanguage: project.sourceLanguage,
+      targetLanguage: project.targetLanguage,
+      wordCount: project.wordCount
+    }));
+  } catch (error) {
+    console.error('Project quote error:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
+// List a project's files with short-lived download URLs (project team,
+// hired freelancer, bidders if the client shares files with them)
+router.get('/:id/files', authenticateToken, requireScope('projects:read'), async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id },
+      include: {
+        files: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!await canDownloadProjectFiles(prisma, project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this project\'s files' });
+    }
+
+    const canExport = await canExportProjectFiles(prisma, project, req.user);
+    const progress = await segmentProgress(prisma, project.files.map(file => file.id));
+
+    res.json({
+      shareFilesWithBidders: project.shareFilesWithBidders,
+      analysis: {
+        wordCount: project.wordCount,
+        characterCount: project.characterCount,
+        segmentCount: project.segmentCount,
+        repeatedWordCount: project.repeatedWordCount,
+        analyzedAt: project.analyzedAt
+      },
+      files: project.files.map(file => serializeProjectFile(file, req.user.id, {
+        progress: progress.get(file.id),
+        canExport
+      }))
+    });
+  } catch (error) {
+    console.error('Get project files error:', error);
+    res.status(500).json({ error: 'Failed to fetch project files' });
+  }
+});
+
+// List the segments of an XLIFF project file, with the latest delivered
+// targets (project team, hired freelancer)
+router.get('/:id/files/:fileId/segments', authenticateToken, requireScope('projects:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await prisma.projectFile.findUnique({
+      where: { id: req.params.fileId },
+      include: { project: true }
+    });
+
+    if (!file || file.projectId !== req.params.id || !file.xliffVersion) {
+      return res.status(404).json({ error: 'XLIFF file not found' });
+    }
+
+    if (!await canExportProjectFiles(prisma, file.project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this file\'s segments' });
+    }
+
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 100, 10);
+
+    const [segments, total] = await Promise.all([
+      prisma.xliffSegment.findMany({
+        where: { projectFileId: file.id },
+        select: {
+          position: true,
+          fileRef: true,
+          unitId: true,
+          segmentId: true,
+          source: true,
+          target: true,
+          state: true,
+          deliveryId: true
+        },
+        orderBy: { position: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.xliffSegment.count({ where: { projectFileId: file.id } })
+    ]);
+
+    res.json({
+      segments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get XLIFF segments error:', error);
+    res.status(500).json({ error: 'Failed to fetch segments' });
+  }
+});
+
+// Attach more files to a project (project owner or organization manager)
+router.post('/:id/files', authenticateToken, requireScope('projects:write'), uploadLimiter, upload.array('files', 5), async (req, res) => {
+  let saved = false;
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required' });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!project) {
+      discardUploads(req);
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { canManage } = await getProjectAccess(prisma, project, req.user.id);
+    if (!canManage) {
+      discardUploads(req);
+      return res.status(403).json({ error: 'Not authorized to add files to this project' });
+    }
+
+    const xliff = await parseXliffUploads(req.files);
+
+    const files = await prisma.$transaction(async (tx) => {
+      const created = await Promise.all(projectFileData(req.files, req.user.id, xliff).map(data => (
+        tx.projectFile.create({ data: { ...data, projectId: project.id } })
+      )));
+
+      await recordAudit(tx, req, {
+        action: 'project_file.upload',
+        entityType: 'Project',
+        entityId: project.id,
+        metadata: { fileIds: created.map(file => file.id) }
+      });
+
+      return created;
+    });
+    saved = true;
+
+    const analysis = await refreshDocumentAnalysis(project.id);
+    const analyzedFiles = await prisma.projectFile.findMany({
+      where: { id: { in: files.map(file => file.id) } },
+      orderBy: { createdAt: 'asc' }
+    });
+    const progress = await segmentProgress(prisma, files.map(file => file.id));
+
+    res.status(201).json({
+      message: 'Files uploaded',
+      analysis,
+      files: analyzedFiles.map(file => serializeProjectFile(file, req.user.id, {
+        progress: progress.get(file.id),
+        canExport: true
+      }))
+    });
+  } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    if (error instanceof XliffError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Upload project files error:', error);
+    res.status(500).json({ error: 'Failed to upload files' });
+  }
+});
+
+// Remove a file from a project (project owner or organization manager)
+router.delete('/:id/files/:fileId', authenticateToken, requireScope('projects:write'), async (req, res) => {
+  try {
+    const file = await prisma.projectFile.findUnique({
+      where: { id: req.params.fileId },
+      include: { project: true }
+    });
+
+    if (!file || file.projectId !== req.params.id) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { canManage } = await getProjectAccess(prisma, file.project, req.user.id);
+    if (!canManage) {
+      return res.status(403).json({ error: 'Not authorized to remove this file' });
+    }
+
+    await prisma.$transaction([
+      prisma.projectFile.delete({ where: { id: file.id } }),
+      recordAudit(prisma, req, {
+        action: 'project_file.delete',
+        entityType: 'ProjectFile',
+        entityId: file.id,
+        before: snapshot(file, ['originalName', 'size']),
+        metadata: { projectId: file.projectId }
+      })
+    ]);
+
+    removeStoredFiles([file]);
+    const analysis = await refreshDocumentAnalysis(file.projectId);
+
+    res.json({ message: 'File removed', analysis });
+  } catch (error) {
+    console.error('Delete project file error:', error);
+    res.status(500).json({ error: 'Failed to remove file' });
+  }
+});
+
 // Create project (clients only)
-router.post('/', authenticateToken, requireRole(['CLIENT']), upload.array('files', 5), [
+router.post('/', authenticateToken, requireScope('projects:write'), requireRole(['CLIENT']), requireVerifiedEmail, uploadLimiter, upload.array('files', 5), [
   body('title').trim().isLength({ min: 5, max: 100 }).withMessage('Title must be 5-100 characters'),
   body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be 20-2000 characters'),
   body('sourceLanguage').notEmpty().withMessage('Source language required'),
   body('targetLanguage').notEmpty().withMessage('Target language required'),
-  body('budget').isFloat({ min: 1 }).withMessage('Budget must be at least $1'),
-  body('deadline').optional().isISO8601().withMessage('Invalid deadline format')
+  body('budget').if(body('milestones').not().exists()).isFloat({ min: 1 }).withMessage('Budget must be at least $1'),
+  body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
+  body('organizationId').optional({ values: 'falsy' }).isString(),
+  body('shareFilesWithBidders').optional().isBoolean().toBoolean(),
+  body('milestones').optional().custom(value => {
+    parseMilestones(value);
+    return true;
+  })
 ], async (req, res) => {
+  let saved = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      discardUploads(req);
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, sourceLanguage, targetLanguage, budget, deadline } = req.body;
-    const attachedFiles = req.files ? req.files.map(file => file.path) : [];
-
-    const project = await prisma.project.create({
-      data: {
-        clientId: req.user.id,
-        title,
-        description,
-        sourceLanguage,
-        targetLanguage,
-        budget: parseFloat(budget),
-        deadline: deadline ? new Date(deadline) : null,
-        attachedFiles
-      },
-      include: {
-        client: {
-          select: { id: true, name: true, rating: true }
-        }
+    const { title, description, sourceLanguage, targetLanguage, budget, deadline, organizationId, shareFilesWithBidders } = req.body;
+
+    // Team projects can be posted by the organization's owners and managers
+    if (organizationId) {
+      const membership = await getMembership(prisma, organizationId, req.user.id);
+      if (!membership || !MANAGING_ROLES.includes(membership.role)) {
+        discardUploads(req);
+        return res.status(403).json({ error: 'Only organization owners and managers can post its projects' });
       }
+    }
+
+    // A milestone project's budget is the sum of its milestones
+    const milestones = req.body.milestones ? parseMilestones(req.body.milestones) : [];
+    const projectBudget = milestones.length > 0
+      ? fromCents(milestones.reduce((sum, milestone) => sum + toCents(milestone.amount), 0))
+      : parseFloat(budget);
+
+    const xliff = await parseXliffUploads(req.files || []);
+
+    const project = await prisma.$transaction(async (tx) => {
+      const created = await tx.project.create({
+        data: {
+          clientId: req.user.id,
+          organizationId: organizationId || null,
+          title,
+          description,
+          sourceLanguage,
+          targetLanguage,
+          budget: projectBudget,
+          deadline: deadline ? new Date(deadline) : null,
+          shareFilesWithBidders: !!shareFilesWithBidders,
+          milestones: {
+            create: milestones
+          },
+          files: {
+            create: projectFileData(req.files || [], req.user.id, xliff)
+          }
+        },
+        include: {
+          client: {
+            select: { id: true, name: true, rating: true }
+          },
+          organization: {
+            select: { id: true, name: true }
+          },
+          milestones: {
+            orderBy: { position: 'asc' }
+          },
+          _count: {
+            select: { files: true }
+          }
+        }
+      });
+
+      await recordInitialStatus(tx, { project: created, actorId: req.user.id });
+
+      await recordAudit(tx, req, {
+        action: 'project.create',
+        entityType: 'Project',
+        entityId: created.id,
+        after: snapshot(created, [...PROJECT_AUDIT_FIELDS, 'status']),
+        metadata: created.organizationId ? { organizationId: created.organizationId } : null
+      });
+
+      return created;
     });
+    saved = true;
+
+    const analysis = project._count.files > 0 ? await refreshDocumentAnalysis(project.id) : null;
 
     res.status(201).json({
       message: 'Project created successfully',
-      project
+      project: { ...project, ...analysis }
     });
   } catch (error) {
+    if (!saved) {
+      discardUploads(req);
+    }
+    if (error instanceof XliffError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Create project error:', error);
     res.status(500).json({ error: 'Failed to create project' });
   }
 });
 
-// Update project (project owner only)
-router.put('/:id', authenticateToken, [
+// Update project (project owner or organization manager)
+router.put('/:id', authenticateToken, requireScope('projects:write'), [
   body('title').optional().trim().isLength({ min: 5, max: 100 }),
   body('description').optional().trim().isLength({ min: 20, max: 2000 }),
   body('budget').optional().isFloat({ min: 1 }),
   body('deadline').optional().isISO8601(),
-  body('status').optional().isIn(['POSTED', 'IN_PROGRESS', 'COMPLETED', 'PAID', 'CANCELLED'])
+  body('shareFilesWithBidders').optional().isBoolean().toBoolean(),
+  body('status').optional().isIn(['POSTED', 'AWAITING_FUNDING', 'IN_PROGRESS', 'COMPLETED', 'PAID', 'CANCELLED', 'DISPUTED'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -185,34 +624,65 @@ router.put('/:id', authenticateToken, [
     }
 
     const project = await prisma.project.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: {
+        _count: { select: { milestones: true } }
+      }
     });
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    if (project.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to update this project' });
     }
 
+    if (req.body.budget && project._count.milestones > 0) {
+      return res.status(400).json({ error: 'The budget of a milestone project is the sum of its milestones' });
+    }
+
     const updateData = {};
-    const { title, description, budget, deadline, status } = req.body;
+    const { title, description, budget, deadline, status, shareFilesWithBidders } = req.body;
 
     if (title) updateData.title = title;
     if (description) updateData.description = description;
     if (budget) updateData.budget = parseFloat(budget);
     if (deadline) updateData.deadline = new Date(deadline);
-    if (status) updateData.status = status;
+    if (shareFilesWithBidders !== undefined) updateData.shareFilesWithBidders = shareFilesWithBidders;
 
-    const updatedProject = await prisma.project.update({
-      where: { id: req.params.id },
-      data: updateData,
-      include: {
-        client: {
-          select: { id: true, name: true, rating: true }
-        }
+    const updatedProject = await prisma.$transaction(async (tx) => {
+      // Status changes are validated by the lifecycle state machine
+      if (status && status !== project.status) {
+        await transitionProject(tx, {
+          project,
+          to: status,
+          actorId: req.user.id,
+          actorRole: 'CLIENT',
+          trigger: 'project.update'
+        });
       }
+
+      const updated = await tx.project.update({
+        where: { id: req.params.id },
+        data: updateData,
+        include: {
+          client: {
+            select: { id: true, name: true, rating: true }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'project.update',
+        entityType: 'Project',
+        entityId: project.id,
+        before: snapshot(project, PROJECT_AUDIT_FIELDS),
+        after: snapshot(updated, PROJECT_AUDIT_FIELDS)
+      });
+
+      return updated;
     });
 
     res.json({
@@ -220,13 +690,16 @@ router.put('/:id', authenticateToken, [
       project: updatedProject
     });
   } catch (error) {
+    if (error instanceof ProjectTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Update project error:', error);
     res.status(500).json({ error: 'Failed to update project' });
   }
 });
 
-// Delete project (project owner only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete project (project owner or organization manager)
+router.delete('/:id', authenticateToken, requireScope('projects:write'), async (req, res) => {
   try {
     const project = await prisma.project.findUnique({
       where: { id: req.params.id }
@@ -236,23 +709,30 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    if (project.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to delete this project' });
     }
 
-    // Delete associated files
-    if (project.attachedFiles && project.attachedFiles.length > 0) {
-      project.attachedFiles.forEach(filePath => {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      });
-    }
-
-    await prisma.project.delete({
-      where: { id: req.params.id }
+    const files = await prisma.projectFile.findMany({
+      where: { projectId: project.id }
     });
 
+    await prisma.$transaction([
+      prisma.project.delete({
+        where: { id: req.params.id }
+      }),
+      recordAudit(prisma, req, {
+        action: 'project.delete',
+        entityType: 'Project',
+        entityId: project.id,
+        before: snapshot(project, [...PROJECT_AUDIT_FIELDS, 'status'])
+      })
+    ]);
+
+    // The rows cascade with the project; the files go once that committed
+    removeStoredFiles(files);
+
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     console.error('Delete project error:', error);
@@ -1,16 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { updateUserRating } = require('../services/ratings');
+const { snapshot, recordAudit } = require('../services/auditLog');
+const { getProjectAccess } = require('../services/organizations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const REVIEW_AUDIT_FIELDS = ['rating', 'comment'];
+
 // Get reviews for a user
 router.get('/user/:userId', async (req, res) => {
   try {
     const reviews = await prisma.review.findMany({
-      where: { revieweeId: req.params.userId },
+      where: { revieweeId: req.params.userId, hiddenAt: null },
       include: {
         reviewer: {
           select: { id: true, name: true, profilePicture: true }
@@ -38,7 +43,7 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Create review (after project completion)
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requireScope('reviews:write'), [
   body('projectId').notEmpty().withMessage('Project ID required'),
   body('revieweeId').notEmpty().withMessage('Reviewee ID required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
@@ -71,8 +76,8 @@ router.post('/', authenticateToken, [
       return res.status(400).json({ error: 'Project must be completed before reviewing' });
     }
 
-    // Verify user is authorized to review (client or accepted freelancer)
-    const isClient = project.clientId === req.user.id;
+    // Verify user is authorized to review (client team or accepted freelancer)
+    const { canManage: isClient } = await getProjectAccess(prisma, project, req.user.id);
     const isFreelancer = project.bids.some(bid => bid.freelancerId === req.user.id);
 
     if (!isClient && !isFreelancer) {
@@ -115,15 +120,14 @@ router.post('/', authenticateToken, [
     });
 
     // Update user's average rating
-    const userReviews = await prisma.review.findMany({
-      where: { revieweeId }
-    });
-
-    const averageRating = userReviews.reduce((sum, r) => sum + r.rating, 0) / userReviews.length;
-
-    await prisma.user.update({
-      where: { id: revieweeId },
-      data: { rating: Math.round(averageRating * 10) / 10 }
+    await updateUserRating(prisma, revieweeId);
+
+    await recordAudit(prisma, req, {
+      action: 'review.create',
+      entityType: 'Review',
+      entityId: review.id,
+      after: snapshot(review, REVIEW_AUDIT_FIELDS),
+      metadata: { projectId, revieweeId }
     });
 
     res.status(201).json({
@@ -137,7 +141,7 @@ router.post('/', authenticateToken, [
 });
 
 // Update review (reviewer only)
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, requireScope('reviews:write'), [
   body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment too long')
 ], async (req, res) => {
@@ -183,18 +187,17 @@ router.put('/:id', authenticateToken, [
 
     // Recalculate user's average rating if rating was updated
     if (rating) {
-      const userReviews = await prisma.review.findMany({
-        where: { revieweeId: review.revieweeId }
-      });
-
-      const averageRating = userReviews.reduce((sum, r) => sum + r.rating, 0) / userReviews.length;
-
-      await prisma.user.update({
-        where: { id: review.revieweeId },
-        data: { rating: Math.round(averageRating * 10) / 10 }
-      });
+      await updateUserRating(prisma, review.revieweeId);
     }
 
+    await recordAudit(prisma, req, {
+      action: 'review.update',
+      entityType: 'Review',
+      entityId: review.id,
+      before: snapshot(review, REVIEW_AUDIT_FIELDS),
+      after: snapshot(updatedReview, REVIEW_AUDIT_FIELDS)
+    });
+
     res.json({
       message: 'Review updated successfully',
       review: updatedReview
@@ -1,49 +1,108 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken } = require('../middleware/auth');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { authenticateToken, requireRecentTwoFactor, requireScope, rejectApiKeys } = require('../middleware/auth');
+const { transitionProject, ProjectTransitionError } = require('../services/projectLifecycle');
+const { stripe, isStripeError } = require('../services/stripe');
+const {
+  getFundingIntent,
+  recordFunding,
+  transferToFreelancer,
+  refundClient,
+  cancelFunding,
+  EscrowError
+} = require('../services/escrow');
+const { constructEvent, processEvent } = require('../services/stripeWebhooks');
+const { getFeeSchedule, chargeAmount } = require('../services/fees');
+const { postRelease, postRefund } = require('../services/ledger');
+const { syncProjectStatus } = require('../services/milestones');
+const { recordAudit } = require('../services/auditLog');
+const { MANAGING_ROLES, getProjectAccess, projectAccessFilter } = require('../services/organizations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get user's transactions
-router.get('/my-transactions', authenticateToken, async (req, res) => {
+// Interactive transactions that wait on Stripe need more than Prisma's 5s default
+const STRIPE_TRANSACTION_TIMEOUT = 20000;
+
+// Stripe webhook (raw body, authenticated by signature)
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Webhook signature error:', error.message);
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const result = await processEvent(event);
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (error) {
+    // A non-2xx response makes Stripe redeliver the event later
+    console.error('Webhook processing error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Get the current platform fee schedule
+router.get('/fee-schedule', (req, res) => {
+  res.json(getFeeSchedule());
+});
+
+// Get user's transactions, including those of their organizations' projects
+router.get('/my-transactions', authenticateToken, requireScope('transactions:read'), async (req, res) => {
   try {
     const where = {
       OR: [
-        { clientId: req.user.id },
+        { project: projectAccessFilter(req.user.id) },
         { freelancerId: req.user.id }
       ]
     };
 
-    const transactions = await prisma.transaction.findMany({
-      where,
-      include: {
-        project: {
-          select: { id: true, title: true }
-        },
-        client: {
-          select: { id: true, name: true }
+    const [transactions, memberships] = await Promise.all([
+      prisma.transaction.findMany({
+        where,
+        include: {
+          project: {
+            select: { id: true, title: true, status: true, organizationId: true }
+          },
+          milestone: {
+            select: { id: true, title: true, position: true, status: true, dueDate: true }
+          },
+          client: {
+            select: { id: true, name: true }
+          },
+          freelancer: {
+            select: { id: true, name: true }
+          }
         },
-        freelancer: {
-          select: { id: true, name: true }
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    res.json(transactions);
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.membership.findMany({
+        where: { userId: req.user.id }
+      })
+    ]);
+
+    // Whether the user can fund, release or refund each payment
+    const roles = new Map(memberships.map(membership => [membership.organizationId, membership.role]));
+    const canManage = ({ project, clientId }) => (project.organizationId
+      ? MANAGING_ROLES.includes(roles.get(project.organizationId))
+      : clientId === req.user.id);
+
+    res.json(transactions.map(transaction => ({
+      ...transaction,
+      canManage: canManage(transaction)
+    })));
   } catch (error) {
     console.error('Get transactions error:', error);
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
-// Create payment intent for escrow
-router.post('/create-payment-intent', authenticateToken, [
-  body('projectId').notEmpty().withMessage('Project ID required'),
-  body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least $1')
+// Create payment intent to fund an accepted bid's escrow
+router.post('/create-payment-intent', rejectApiKeys, authenticateToken, [
+  body('transactionId').notEmpty().withMessage('Transaction ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -51,54 +110,61 @@ router.post('/create-payment-intent', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { projectId, amount } = req.body;
-
-    // Verify project ownership and status
-    const project = await prisma.project.findUnique({
-      where: { id: projectId },
-      include: {
-        transactions: true
-      }
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: req.body.transactionId },
+      include: { project: true }
     });
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (project.clientId !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized for this project' });
+    const { canManage } = await getProjectAccess(prisma, transaction.project, req.user.id);
+    if (!canManage) {
+      return res.status(403).json({ error: 'Not authorized for this transaction' });
     }
 
-    if (project.transactions.length > 0) {
-      return res.status(400).json({ error: 'Payment already exists for this project' });
+    if (transaction.status !== 'AWAITING_FUNDING') {
+      return res.status(400).json({ error: 'Transaction is not awaiting funding' });
     }
 
-    // Create Stripe PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(parseFloat(amount) * 100), // Convert to cents
-      currency: 'usd',
-      metadata: {
-        projectId,
-        clientId: req.user.id,
-        type: 'escrow'
-      }
-    });
+    // Further milestones cannot be funded while another is in dispute
+    if (transaction.project.status === 'DISPUTED') {
+      return res.status(400).json({ error: 'Project is in dispute' });
+    }
+
+    const paymentIntent = await getFundingIntent(transaction);
+
+    // Bind the intent to the transaction so the webhook can reconcile it
+    if (paymentIntent.id !== transaction.stripePaymentId) {
+      await prisma.transaction.update({
+        where: { id: transaction.id },
+        data: { stripePaymentId: paymentIntent.id }
+      });
+    }
 
     res.json({
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      amount: transaction.amount,
+      clientFee: transaction.clientFee,
+      clientTotal: chargeAmount(transaction)
     });
   } catch (error) {
+    if (error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
     console.error('Create payment intent error:', error);
     res.status(500).json({ error: 'Failed to create payment intent' });
   }
 });
 
-// Confirm payment and update transaction
-router.post('/confirm-payment', authenticateToken, [
-  body('paymentIntentId').notEmpty().withMessage('Payment intent ID required'),
-  body('projectId').notEmpty().withMessage('Project ID required'),
-  body('freelancerId').notEmpty().withMessage('Freelancer ID required')
+// Confirm payment and mark the escrow funded
+router.post('/confirm-payment', rejectApiKeys, authenticateToken, [
+  body('paymentIntentId').notEmpty().withMessage('Payment intent ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -106,55 +172,60 @@ router.post('/confirm-payment', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { paymentIntentId, projectId, freelancerId } = req.body;
-
     // Verify payment with Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({ error: 'Payment not completed' });
-    }
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.body.paymentIntentId);
 
-    // Update or create transaction record
-    const transaction = await prisma.transaction.upsert({
+    const transaction = await prisma.transaction.findFirst({
       where: {
-        projectId_clientId: {
-          projectId,
-          clientId: req.user.id
-        }
+        id: paymentIntent.metadata?.transactionId,
+        stripePaymentId: paymentIntent.id
       },
-      update: {
-        stripePaymentId: paymentIntentId,
-        status: 'PENDING'
-      },
-      create: {
-        projectId,
-        clientId: req.user.id,
-        freelancerId,
-        amount: paymentIntent.amount / 100, // Convert from cents
-        stripePaymentId: paymentIntentId,
-        status: 'PENDING'
-      }
+      include: { project: true }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found for this payment' });
+    }
+
+    const { canManage } = await getProjectAccess(prisma, transaction.project, req.user.id);
+    if (!canManage) {
+      return res.status(403).json({ error: 'Not authorized for this transaction' });
+    }
+
+    const fundedTransaction = await prisma.$transaction(async (tx) => {
+      return recordFunding(tx, {
+        transaction,
+        paymentIntent,
+        actorId: req.user.id,
+        actorRole: 'CLIENT'
+      });
     });
 
     res.json({
       message: 'Payment confirmed and funds held in escrow',
-      transaction
+      transaction: fundedTransaction
     });
   } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
     console.error('Confirm payment error:', error);
     res.status(500).json({ error: 'Failed to confirm payment' });
   }
 });
 
-// Release payment to freelancer (client only)
-router.post('/:id/release', authenticateToken, async (req, res) => {
+// Release payment to freelancer (project owner or organization manager)
+router.post('/:id/release', rejectApiKeys, authenticateToken, requireRecentTwoFactor, async (req, res) => {
   try {
     const transaction = await prisma.transaction.findUnique({
       where: { id: req.params.id },
       include: {
         project: true,
-        freelancer: true
+        freelancer: true,
+        milestone: true
       }
     });
 
@@ -162,75 +233,236 @@ router.post('/:id/release', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (transaction.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, transaction.project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to release this payment' });
     }
 
-    if (transaction.status !== 'PENDING') {
+    if (transaction.status !== 'FUNDED') {
       return res.status(400).json({ error: 'Payment cannot be released' });
     }
 
-    // In a real implementation, you would transfer funds to freelancer's Stripe account
-    // For MVP, we'll just update the status
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: req.params.id },
-      data: { status: 'RELEASED' }
-    });
+    if (transaction.milestone && transaction.milestone.status !== 'APPROVED') {
+      return res.status(400).json({ error: 'Approve the milestone delivery before releasing its payment' });
+    }
 
-    // Update project status to PAID
-    await prisma.project.update({
-      where: { id: transaction.projectId },
-      data: { status: 'PAID' }
-    });
+    // Validate the project transition before moving money; a failed transfer
+    // rolls the status change back. A milestone project is PAID once its
+    // last milestone is released. The status changes are guarded so a
+    // second release of the same payment cannot post it again.
+    const updatedTransaction = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.transaction.updateMany({
+        where: { id: transaction.id, status: 'FUNDED' },
+        data: { status: 'RELEASED' }
+      });
+
+      if (count === 0) {
+        throw new EscrowError('Payment status changed by another request', { status: 409, code: 'STALE_STATUS' });
+      }
+
+      if (transaction.milestone) {
+        const { count: milestoneCount } = await tx.milestone.updateMany({
+          where: { id: transaction.milestone.id, status: 'APPROVED' },
+          data: { status: 'RELEASED' }
+        });
+
+        if (milestoneCount === 0) {
+          throw new EscrowError('Milestone status changed by another request', { status: 409, code: 'STALE_STATUS' });
+        }
+
+        await syncProjectStatus(tx, {
+          project: transaction.project,
+          actorId: req.user.id,
+          actorRole: 'CLIENT',
+          trigger: 'transaction.release'
+        });
+      } else {
+        await transitionProject(tx, {
+          project: transaction.project,
+          to: 'PAID',
+          actorId: req.user.id,
+          actorRole: 'CLIENT',
+          trigger: 'transaction.release'
+        });
+      }
+
+      const transfer = await transferToFreelancer(transaction, transaction.freelancer);
+
+      const releasedTransaction = await tx.transaction.update({
+        where: { id: req.params.id },
+        data: { stripeTransferId: transfer.id }
+      });
+
+      await postRelease(tx, releasedTransaction);
+
+      await recordAudit(tx, req, {
+        action: 'transaction.release',
+        entityType: 'Transaction',
+        entityId: transaction.id,
+        before: { status: transaction.status },
+        after: { status: 'RELEASED', stripeTransferId: transfer.id },
+        metadata: { projectId: transaction.projectId, amount: transaction.amount }
+      });
+
+      return releasedTransaction;
+    }, { timeout: STRIPE_TRANSACTION_TIMEOUT });
 
     res.json({
       message: 'Payment released to freelancer',
       transaction: updatedTransaction
     });
   } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
     console.error('Release payment error:', error);
     res.status(500).json({ error: 'Failed to release payment' });
   }
 });
 
-// Request refund (client only)
-router.post('/:id/refund', authenticateToken, [
+// Request refund (project owner or organization manager)
+router.post('/:id/refund', rejectApiKeys, authenticateToken, [
   body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const transaction = await prisma.transaction.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: { project: true }
     });
 
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (transaction.clientId !== req.user.id) {
+    const { canManage } = await getProjectAccess(prisma, transaction.project, req.user.id);
+    if (!canManage) {
       return res.status(403).json({ error: 'Not authorized to refund this payment' });
     }
 
-    if (transaction.status !== 'PENDING') {
+    if (!['AWAITING_FUNDING', 'FUNDED'].includes(transaction.status)) {
       return res.status(400).json({ error: 'Payment cannot be refunded' });
     }
 
-    // In a real implementation, you would process refund through Stripe
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: req.params.id },
-      data: { status: 'REFUNDED' }
-    });
+    // Refunding a milestone ends the whole engagement: every milestone that
+    // has not been released is refunded or cancelled with it
+    const openTransactions = transaction.milestoneId
+      ? await prisma.transaction.findMany({
+        where: {
+          projectId: transaction.projectId,
+          status: { in: ['AWAITING_FUNDING', 'FUNDED'] }
+        }
+      })
+      : [transaction];
+
+    const isFunded = openTransactions.some(open => open.status === 'FUNDED');
+
+    // Once work has been delivered against funded escrow, the freelancer
+    // must be able to contest a refund, so it goes through a dispute
+    if (isFunded) {
+      const fundedMilestoneIds = openTransactions
+        .filter(open => open.status === 'FUNDED')
+        .map(open => open.milestoneId);
+      const delivered = await prisma.delivery.count({
+        where: transaction.milestoneId
+          ? { projectId: transaction.projectId, milestoneId: { in: fundedMilestoneIds } }
+          : { projectId: transaction.projectId }
+      });
+
+      if (delivered > 0) {
+        return res.status(409).json({
+          error: 'Work has already been delivered for this payment; open a dispute to ask for a refund',
+          code: 'WORK_DELIVERED'
+        });
+      }
+    }
 
-    // Update project status
-    await prisma.project.update({
-      where: { id: transaction.projectId },
-      data: { status: 'CANCELLED' }
-    });
+    // Funded escrow is refunded; unfunded escrow is simply cancelled
+    const updatedTransactions = await prisma.$transaction(async (tx) => {
+      await transitionProject(tx, {
+        project: transaction.project,
+        to: 'CANCELLED',
+        actorId: req.user.id,
+        actorRole: 'CLIENT',
+        trigger: 'transaction.refund',
+        note: req.body.reason
+      });
+
+      const updated = [];
+      for (const open of openTransactions) {
+        if (open.status === 'FUNDED') {
+          const refund = await refundClient(open, { reason: req.body.reason });
+
+          const refundedTransaction = await tx.transaction.update({
+            where: { id: open.id },
+            data: {
+              status: 'REFUNDED',
+              stripeRefundId: refund.id
+            }
+          });
+
+          await postRefund(tx, refundedTransaction);
+          updated.push(refundedTransaction);
+
+          await recordAudit(tx, req, {
+            action: 'transaction.refund',
+            entityType: 'Transaction',
+            entityId: open.id,
+            before: { status: open.status },
+            after: { status: 'REFUNDED', stripeRefundId: refund.id },
+            metadata: { projectId: open.projectId, amount: open.amount, reason: req.body.reason }
+          });
+        } else {
+          await cancelFunding(open);
+
+          updated.push(await tx.transaction.update({
+            where: { id: open.id },
+            data: { status: 'CANCELLED' }
+          }));
+
+          await recordAudit(tx, req, {
+            action: 'transaction.cancel',
+            entityType: 'Transaction',
+            entityId: open.id,
+            before: { status: open.status },
+            after: { status: 'CANCELLED' },
+            metadata: { projectId: open.projectId, amount: open.amount, reason: req.body.reason }
+          });
+        }
+      }
+
+      if (transaction.milestoneId) {
+        await tx.milestone.updateMany({
+          where: {
+            projectId: transaction.projectId,
+            status: { not: 'RELEASED' }
+          },
+          data: { status: 'CANCELLED' }
+        });
+      }
+
+      return updated;
+    }, { timeout: STRIPE_TRANSACTION_TIMEOUT });
 
     res.json({
-      message: 'Refund processed',
-      transaction: updatedTransaction
+      message: isFunded ? 'Refund processed' : 'Escrow cancelled',
+      transaction: updatedTransactions.find(updated => updated.id === transaction.id),
+      transactions: updatedTransactions
     });
   } catch (error) {
+    if (error instanceof ProjectTransitionError || error instanceof EscrowError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isStripeError(error)) {
+      return res.status(502).json({ error: 'Payment provider error', message: error.message });
+    }
     console.error('Refund error:', error);
     res.status(500).json({ error: 'Failed to process refund' });
   }
@@ -0,0 +1,268 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, TWO_FACTOR_STEP_UP_MINUTES } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimits');
+const {
+  TwoFactorError,
+  generateSecret,
+  acceptTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const secondFactorValidators = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Authentication code or recovery code required');
+    }
+    return true;
+  })
+];
+
+// Check it is the account owner before 2FA is turned on or off. Accounts
+// that only sign in through OIDC have no password; for them, signing in
+// within the step-up window stands in for it.
+const confirmIdentity = async (req) => {
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (user.passwordHash) {
+    if (!(await bcrypt.compare(req.body.password || '', user.passwordHash))) {
+      throw new TwoFactorError('Incorrect password', { code: 'INCORRECT_PASSWORD' });
+    }
+    return;
+  }
+
+  if (Date.now() - req.authSession.createdAt.getTime() > TWO_FACTOR_STEP_UP_MINUTES * 60 * 1000) {
+    throw new TwoFactorError('Please sign in again to confirm it is you', {
+      status: 403,
+      code: 'RECENT_SIGN_IN_REQUIRED'
+    });
+  }
+};
+
+// Mark the current session as having just passed a 2FA check
+const markSessionVerified = (sessionId) => {
+  return prisma.session.update({
+    where: { id: sessionId },
+    data: { twoFactorVerifiedAt: new Date() }
+  });
+};
+
+// Get the current user's 2FA status
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    const [recoveryCodesRemaining, passwordCount] = await Promise.all([
+      prisma.recoveryCode.count({ where: { userId: req.user.id, usedAt: null } }),
+      prisma.user.count({ where: { id: req.user.id, passwordHash: { not: null } } })
+    ]);
+
+    res.json({
+      enabled: !!req.user.twoFactorEnabledAt,
+      enabledAt: req.user.twoFactorEnabledAt,
+      recoveryCodesRemaining,
+      hasPassword: passwordCount > 0,
+      verifiedAt: req.authSession.twoFactorVerifiedAt
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enabling 2FA: create a secret for the user's authenticator app.
+// Nothing changes for the user until they confirm a code with /enable.
+router.post('/setup', authenticateToken, authLimiter, [
+  body('password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    await confirmIdentity(req);
+
+    const secret = generateSecret();
+    const url = otpauthUrl(req.user.email, secret);
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+    });
+
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enabling 2FA by confirming a code from the authenticator app.
+// Returns the recovery codes; this is the only time they are shown.
+router.post('/enable', authenticateToken, authLimiter, [
+  body('code').isString().notEmpty().withMessage('Authentication code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    if (!(await acceptTotp(prisma, user, decryptSecret(user.twoFactorSecret), req.body.code))) {
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      const updated = await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabledAt: new Date() }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'auth.two_factor_enabled',
+        entityType: 'User',
+        entityId: user.id,
+        before: { twoFactorEnabledAt: null },
+        after: { twoFactorEnabledAt: updated.twoFactorEnabledAt }
+      });
+
+      return generateRecoveryCodes(tx, user.id);
+    });
+
+    await markSessionVerified(req.authSession.id);
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Confirm a code before a sensitive action
+router.post('/verify', authenticateToken, authLimiter, secondFactorValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    await verifySecondFactor(prisma, user, req.body);
+    const session = await markSessionVerified(req.authSession.id);
+
+    res.json({ message: 'Verified', verifiedAt: session.twoFactorVerifiedAt });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+// Replace the recovery codes, e.g. after using some of them
+router.post('/recovery-codes', authenticateToken, authLimiter, [
+  body('code').isString().notEmpty().withMessage('Authentication code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    await verifySecondFactor(prisma, user, { code: req.body.code });
+    const recoveryCodes = await generateRecoveryCodes(prisma, user.id);
+
+    await recordAudit(prisma, req, {
+      action: 'auth.recovery_codes_regenerated',
+      entityType: 'User',
+      entityId: user.id
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Turn 2FA off. Needs both the password (or a recent sign-in, for accounts
+// without one) and a second factor.
+router.post('/disable', authenticateToken, authLimiter, [
+  body('password').optional().isString(),
+  ...secondFactorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await confirmIdentity(req);
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    await verifySecondFactor(prisma, user, req.body);
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+      }),
+      recordAudit(prisma, req, {
+        action: 'auth.two_factor_disabled',
+        entityType: 'User',
+        entityId: user.id,
+        before: { twoFactorEnabledAt: user.twoFactorEnabledAt },
+        after: { twoFactorEnabledAt: null }
+      })
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
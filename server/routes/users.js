@@ -1,31 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimits');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const { getStorage, multerStorage } = require('../services/storage');
+const { SURCHARGE_TYPES, parseRates } = require('../services/pricing');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Configure multer for profile picture uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/profiles';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const PROFILE_AUDIT_FIELDS = ['name', 'languages', 'profilePicture'];
 
+const RATE_SELECT = {
+  id: true,
+  sourceLanguage: true,
+  targetLanguage: true,
+  ratePerWord: true,
+  minimumCharge: true
+};
+
+// Configure multer for profile picture uploads. They stream into the file
+// store and are served publicly from /api/files/profiles/<name>.
 const upload = multer({
-  storage,
+  storage: multerStorage('profiles'),
   limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = /\.(jpg|jpeg|png|gif)$/i;
@@ -50,6 +49,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         languages: true,
         rating: true,
         profilePicture: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
@@ -62,7 +62,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, upload.single('profilePicture'), [
+router.put('/profile', authenticateToken, uploadLimiter, upload.single('profilePicture'), [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('languages').optional().isArray().withMessage('Languages must be an array')
 ], async (req, res) => {
@@ -79,7 +79,7 @@ router.put('/profile', authenticateToken, upload.single('profilePicture'), [
     if (languages && req.user.role === 'FREELANCER') {
       updateData.languages = JSON.parse(languages);
     }
-    if (req.file) updateData.profilePicture = req.file.path;
+    if (req.file) updateData.profilePicture = req.file.key;
 
     const updatedUser = await prisma.user.update({
       where: { id: req.user.id },
@@ -91,10 +91,26 @@ router.put('/profile', authenticateToken, upload.single('profilePicture'), [
         role: true,
         languages: true,
         rating: true,
-        profilePicture: true
+        profilePicture: true,
+        emailVerifiedAt: true
       }
     });
 
+    await recordAudit(prisma, req, {
+      action: 'user.profile_update',
+      entityType: 'User',
+      entityId: req.user.id,
+      before: snapshot(req.user, PROFILE_AUDIT_FIELDS),
+      after: snapshot(updatedUser, PROFILE_AUDIT_FIELDS)
+    });
+
+    // Drop the picture this one replaced
+    const previousPicture = req.user.profilePicture;
+    if (req.file && previousPicture?.startsWith('profiles/')) {
+      getStorage().delete(previousPicture)
+        .catch(error => console.error('Remove profile picture error:', error));
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser
@@ -105,6 +121,75 @@ router.put('/profile', authenticateToken, upload.single('profilePicture'), [
   }
 });
 
+// Get the freelancer's per-word rates, and the surcharges bids can add
+router.get('/rates', authenticateToken, requireRole(['FREELANCER']), async (req, res) => {
+  try {
+    const rates = await prisma.languagePairRate.findMany({
+      where: { freelancerId: req.user.id },
+      select: RATE_SELECT,
+      orderBy: [{ sourceLanguage: 'asc' }, { targetLanguage: 'asc' }]
+    });
+
+    res.json({ rates, surchargeTypes: SURCHARGE_TYPES });
+  } catch (error) {
+    console.error('Get rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch rates' });
+  }
+});
+
+// Replace the freelancer's per-word rates with the given list
+router.put('/rates', authenticateToken, requireRole(['FREELANCER']), [
+  body('rates').custom(value => {
+    parseRates(value);
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rates = parseRates(req.body.rates);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const previous = await tx.languagePairRate.findMany({
+        where: { freelancerId: req.user.id },
+        select: RATE_SELECT
+      });
+
+      await tx.languagePairRate.deleteMany({ where: { freelancerId: req.user.id } });
+      await tx.languagePairRate.createMany({
+        data: rates.map(rate => ({ ...rate, freelancerId: req.user.id }))
+      });
+
+      const current = await tx.languagePairRate.findMany({
+        where: { freelancerId: req.user.id },
+        select: RATE_SELECT,
+        orderBy: [{ sourceLanguage: 'asc' }, { targetLanguage: 'asc' }]
+      });
+
+      await recordAudit(tx, req, {
+        action: 'user.rates_update',
+        entityType: 'User',
+        entityId: req.user.id,
+        before: { rates: previous.map(({ id, ...rate }) => rate) },
+        after: { rates: current.map(({ id, ...rate }) => rate) }
+      });
+
+      return current;
+    });
+
+    res.json({
+      message: 'Rates updated',
+      rates: updated
+    });
+  } catch (error) {
+    console.error('Update rates error:', error);
+    res.status(500).json({ error: 'Failed to update rates' });
+  }
+});
+
 // Get user by ID (public info only)
 router.get('/:id', async (req, res) => {
   try {
@@ -117,7 +202,11 @@ router.get('/:id', async (req, res) => {
         languages: true,
         rating: true,
         profilePicture: true,
-        createdAt: true
+        createdAt: true,
+        languagePairRates: {
+          select: RATE_SELECT,
+          orderBy: [{ sourceLanguage: 'asc' }, { targetLanguage: 'asc' }]
+        }
       }
     });
 
@@ -137,7 +226,7 @@ router.get('/freelancers/search', async (req, res) => {
   try {
     const { language, minRating } = req.query;
     
-    const where = { role: 'FREELANCER' };
+    const where = { role: 'FREELANCER', status: { not: 'BANNED' } };
     if (language) {
       where.languages = { has: language };
     }
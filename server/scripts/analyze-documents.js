@@ -0,0 +1,40 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { analyzeProjectFiles } = require('../services/documentAnalysis');
+
+const prisma = new PrismaClient();
+
+// Count the documents of projects uploaded before analysis existed, or of
+// every project with --all: npm run documents:analyze [-- --all]
+async function main() {
+  const all = process.argv.includes('--all');
+  const projects = await prisma.project.findMany({
+    where: {
+      files: { some: {} },
+      ...(all ? {} : { analyzedAt: null })
+    },
+    select: { id: true, title: true }
+  });
+
+  let unreadable = 0;
+  for (const project of projects) {
+    const counts = await analyzeProjectFiles(prisma, project.id);
+    if (counts.wordCount === null) {
+      console.error(`   ${project.title}: no readable documents`);
+      unreadable++;
+    }
+  }
+
+  console.log(`✅ Analyzed ${projects.length - unreadable} of ${projects.length} projects`);
+  if (unreadable > 0) {
+    console.error(`❌ ${unreadable} projects have no readable documents`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Document analysis failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
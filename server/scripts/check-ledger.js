@@ -0,0 +1,28 @@
+const { PrismaClient } = require('@prisma/client');
+const { checkConsistency } = require('../services/ledger');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Verify every journal entry, and the ledger as a whole, sums to zero
+async function main() {
+  const result = await checkConsistency(prisma);
+
+  if (result.balanced) {
+    console.log('✅ Ledger is balanced');
+    return;
+  }
+
+  console.error(`❌ Ledger is out of balance by ${result.totalCents} cents`);
+  result.unbalancedEntries.forEach(entry => {
+    console.error(`   entry ${entry.entryId}: off by ${entry.offByCents} cents`);
+  });
+  process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error('Ledger check failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
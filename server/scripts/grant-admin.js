@@ -0,0 +1,35 @@
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Give an existing account the ADMIN role: npm run admin:grant -- user@example.com
+async function main() {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run admin:grant -- <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { role: 'ADMIN' }
+  });
+
+  console.log(`✅ ${email} is now an admin`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Granting admin failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,177 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('../services/storage');
+
+const prisma = new PrismaClient();
+
+// Where earlier versions kept files on local disk
+const LEGACY_PROJECT_FILES_DIR = process.env.PROJECT_FILES_DIR || 'private/projects';
+
+const isStoreKey = (value, prefix) => value.startsWith(`${prefix}/`);
+
+let moved = 0;
+let missing = 0;
+
+// Copy one local file into the store. Returns its size, or null if the file
+// is gone.
+const upload = async (filePath, key) => {
+  if (!fs.existsSync(filePath)) {
+    console.error(`   ${filePath} is missing, skipped`);
+    missing++;
+    return null;
+  }
+
+  const { size } = await getStorage().put(key, fs.createReadStream(filePath), {
+    contentType: express.static.mime.lookup(filePath)
+  });
+  moved++;
+  return size;
+};
+
+// ProjectFile rows that still point at a bare file name on local disk
+async function migrateProjectFiles() {
+  const files = await prisma.projectFile.findMany({
+    where: { NOT: { storagePath: { startsWith: 'projects/' } } }
+  });
+
+  for (const file of files) {
+    const filePath = path.join(LEGACY_PROJECT_FILES_DIR, path.basename(file.storagePath));
+    const key = `projects/${path.basename(file.storagePath)}`;
+
+    if (await upload(filePath, key) !== null) {
+      await prisma.projectFile.update({
+        where: { id: file.id },
+        data: { storagePath: key }
+      });
+      fs.rmSync(filePath);
+    }
+  }
+}
+
+// Paths in projects.attached_files, from before project files had rows.
+// Missing files stay listed, so the next run reports them again.
+async function migrateAttachedFiles() {
+  const projects = await prisma.project.findMany({
+    where: { attachedFiles: { isEmpty: false } },
+    select: { id: true, clientId: true, attachedFiles: true }
+  });
+
+  for (const project of projects) {
+    const files = [];
+    const sources = [];
+    const left = [];
+
+    for (const filePath of project.attachedFiles) {
+      const name = path.basename(filePath);
+      const key = `projects/${name}`;
+      const size = await upload(filePath, key);
+
+      if (size !== null) {
+        files.push({
+          projectId: project.id,
+          uploadedById: project.clientId,
+          originalName: name,
+          storagePath: key,
+          mimeType: express.static.mime.lookup(name),
+          size
+        });
+        sources.push(filePath);
+      } else {
+        left.push(filePath);
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.projectFile.createMany({ data: files }),
+      prisma.project.update({
+        where: { id: project.id },
+        data: { attachedFiles: left }
+      })
+    ]);
+    sources.forEach(filePath => fs.rmSync(filePath));
+  }
+}
+
+// Profile pictures saved as paths under uploads/profiles
+async function migrateProfilePictures() {
+  const users = await prisma.user.findMany({
+    where: {
+      profilePicture: { not: null },
+      NOT: [
+        { profilePicture: { startsWith: 'profiles/' } },
+        { profilePicture: { startsWith: 'http' } }
+      ]
+    },
+    select: { id: true, profilePicture: true }
+  });
+
+  for (const user of users) {
+    const key = `profiles/${path.basename(user.profilePicture)}`;
+
+    if (await upload(user.profilePicture, key) !== null) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { profilePicture: key }
+      });
+      fs.rmSync(user.profilePicture);
+    }
+  }
+}
+
+// File lists of deliveries, revision requests and dispute evidence, saved as
+// paths under uploads/ by earlier versions. Paths whose file is missing are
+// kept, so the next run reports them again.
+async function migrateFileLists(model, prefix) {
+  const rows = await prisma[model].findMany({
+    where: { files: { isEmpty: false } },
+    select: { id: true, files: true }
+  });
+
+  for (const row of rows) {
+    if (row.files.every(file => isStoreKey(file, prefix))) {
+      continue;
+    }
+
+    const files = [];
+    for (const filePath of row.files) {
+      const key = `${prefix}/${path.basename(filePath)}`;
+      const keep = isStoreKey(filePath, prefix) || await upload(filePath, key) === null;
+      files.push(keep ? filePath : key);
+    }
+
+    await prisma[model].update({
+      where: { id: row.id },
+      data: { files }
+    });
+    row.files
+      .filter((filePath, index) => files[index] !== filePath)
+      .forEach(filePath => fs.rmSync(filePath));
+  }
+}
+
+// Move files kept on local disk by earlier versions into the configured
+// store (STORAGE_DRIVER): npm run storage:migrate. Safe to run again.
+async function main() {
+  await migrateProjectFiles();
+  await migrateAttachedFiles();
+  await migrateProfilePictures();
+  await migrateFileLists('delivery', 'deliveries');
+  await migrateFileLists('revisionRequest', 'revisions');
+  await migrateFileLists('disputeEvidence', 'disputes');
+
+  console.log(`✅ Moved ${moved} files into the ${process.env.STORAGE_DRIVER || 'local'} store`);
+  if (missing > 0) {
+    console.error(`❌ ${missing} files were missing`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Storage migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// A tiny OpenID Connect provider for trying social login locally:
+//
+//   npm run oidc:mock
+//   OIDC_PROVIDERS='[{"id":"mock","name":"Mock OIDC","issuer":"http://localhost:4010","clientId":"translatehub","clientSecret":"secret"}]'
+//
+// The sign-in page lets you type any email and name and choose whether the
+// email counts as verified. Accepts any client id and secret, checks PKCE.
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" style="font-family:sans-serif;max-width:320px;margin:4em auto;display:grid;gap:.5em">
+  <h2>Mock OIDC sign-in</h2>
+  ${hidden}
+  <label>Email <input name="email" value="translator@example.com" required></label>
+  <label>Name <input name="name" value="Mock Translator"></label>
+  <label>Subject <input name="sub" placeholder="defaults to the email"></label>
+  <label><input type="checkbox" name="email_verified" checked> Email verified</label>
+  <button>Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    claims: {
+      sub: req.body.sub || req.body.email,
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name || undefined
+    }
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const basic = req.get('authorization')?.replace(/^Basic /, '');
+  const clientId = req.body.client_id || (basic && decodeURIComponent(Buffer.from(basic, 'base64').toString().split(':')[0]));
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+  if (!grant || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
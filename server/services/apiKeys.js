@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// Personal API keys for scripts and integrations (a CMS pushing jobs, say).
+// A key acts as its user, but only on routes that accept one of its scopes;
+// everything else (account, payments, admin) needs a signed-in session.
+
+// Keys start with this, so the auth middleware can tell them from JWTs
+const API_KEY_PREFIX = 'thk_';
+
+const API_KEY_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'bids:read',
+  'bids:write',
+  'deliveries:read',
+  'deliveries:write',
+  'transactions:read',
+  'reviews:write'
+];
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT, 10) || 600;
+const MAX_KEYS_PER_USER = 20;
+
+// lastUsedAt is only written this often, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(message, { status = 401, code = 'INVALID_API_KEY' } = {}) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+// Create a key for a user. Returns the stored record and the key itself,
+// which is not kept and cannot be shown again.
+const createApiKey = async (db, { userId, name, scopes, rateLimit = DEFAULT_RATE_LIMIT, expiresAt = null }) => {
+  const active = await db.apiKey.count({ where: { userId, revokedAt: null } });
+  if (active >= MAX_KEYS_PER_USER) {
+    throw new ApiKeyError(`You can have at most ${MAX_KEYS_PER_USER} active API keys`, {
+      status: 409,
+      code: 'TOO_MANY_API_KEYS'
+    });
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  const apiKey = await db.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimit,
+      expiresAt
+    }
+  });
+
+  return { apiKey, key };
+};
+
+// The active key record for a presented key
+const findApiKey = async (db, key) => {
+  const apiKey = await db.apiKey.findUnique({ where: { keyHash: hashKey(key) } });
+
+  if (!apiKey || apiKey.revokedAt) {
+    throw new ApiKeyError('Invalid or revoked API key');
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    throw new ApiKeyError('API key has expired', { code: 'API_KEY_EXPIRED' });
+  }
+
+  return apiKey;
+};
+
+// Record that a key was used, at most once per TOUCH_INTERVAL_MS
+const touchApiKey = (db, apiKey, ip) => {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < TOUCH_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  return db.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: now, lastUsedIp: ip || null }
+  });
+};
+
+const hasScope = (apiKey, scope) => apiKey.scopes.includes(scope);
+
+// What the API returns for a key; never the hash
+const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  ApiKeyError,
+  isApiKey,
+  createApiKey,
+  findApiKey,
+  touchApiKey,
+  hasScope,
+  serializeApiKey
+};
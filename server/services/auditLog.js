@@ -0,0 +1,118 @@
+// Audit trail of security- and money-relevant actions. Routes call
+// recordAudit with the Prisma client, or with the interactive transaction
+// doing the work so the entry commits or rolls back with it.
+
+// Never copied into an entry, even when they change
+const REDACTED_FIELDS = ['passwordHash', 'twoFactorSecret', 'twoFactorLastStep', 'refreshTokenHash', 'previousRefreshTokenHash', 'tokenHash', 'codeHash', 'keyHash'];
+const REDACTED = '[redacted]';
+
+// Dates become ISO strings, undefined becomes null
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Pick the audited fields of a record for a before/after snapshot
+const snapshot = (record, fields) => {
+  return record ? Object.fromEntries(fields.map(field => [field, record[field]])) : null;
+};
+
+// The fields that differ between two snapshots, as { field: { from, to } }.
+// Either snapshot may be null for creations and deletions.
+const diffChanges = (before, after) => {
+  if (!before && !after) {
+    return null;
+  }
+
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: REDACTED, to: REDACTED }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Record one action. `req` supplies the actor, IP and user agent (and the
+// API key, if one was used); pass null for system actions (webhooks, jobs)
+// and set actorId/actorRole if known.
+const recordAudit = (db, req, {
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  actorId = req?.user?.id ?? null,
+  actorRole = req?.user?.role ?? (req ? null : 'SYSTEM')
+}) => {
+  return db.auditLog.create({
+    data: {
+      actorId,
+      actorRole,
+      action,
+      entityType,
+      entityId,
+      changes: diffChanges(before, after) ?? undefined,
+      metadata: (metadata || req?.apiKey) ? normalize({ ...metadata, apiKeyId: req?.apiKey?.id }) : undefined,
+      ip: req?.ip ?? null,
+      userAgent: req?.get?.('user-agent')?.slice(0, 500) ?? null
+    }
+  });
+};
+
+// Make audit_logs append-only at the database level. Idempotent; run after
+// the schema has been pushed.
+const installAuditLogGuard = async (db) => {
+  await db.$executeRawUnsafe(`
+    CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_logs is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await db.$executeRawUnsafe('DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs');
+  await db.$executeRawUnsafe(`
+    CREATE TRIGGER audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()
+  `);
+};
+
+const CSV_COLUMNS = ['id', 'createdAt', 'actorId', 'actorRole', 'action', 'entityType', 'entityId', 'ip', 'userAgent', 'changes', 'metadata'];
+
+// Quote a CSV field. Text that a spreadsheet would run as a formula is
+// prefixed with a quote so an export cannot carry an injected formula.
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  text = typeof text === 'object' ? JSON.stringify(text) : String(text);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const auditCsvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+const auditCsvRow = (entry) => `${CSV_COLUMNS.map(column => csvField(entry[column])).join(',')}\r\n`;
+
+module.exports = {
+  snapshot,
+  diffChanges,
+  recordAudit,
+  installAuditLogGuard,
+  auditCsvHeader,
+  auditCsvRow
+};
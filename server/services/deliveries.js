@@ -0,0 +1,70 @@
+// Delivery submission and review. Versions are numbered per project, or per
+// milestone on milestone projects; submissions lock the project row so two
+// at once cannot take the same version. A delivery is reviewed once:
+// accepting it and requesting a revision both move it out of PENDING with a
+// guarded update, so when two reviews race only one of them succeeds.
+
+class DeliveryError extends Error {
+  constructor(message, { status = 409, code = 'ALREADY_REVIEWED' } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Create the next version of a delivery, unless one for the same project
+// or milestone is still awaiting review
+const submitDelivery = async (db, data, { include } = {}) => {
+  const scope = { projectId: data.projectId, milestoneId: data.milestoneId };
+
+  try {
+    return await db.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM projects WHERE id = ${data.projectId} FOR UPDATE`;
+
+      const pending = await tx.delivery.findFirst({
+        where: { ...scope, status: 'PENDING' }
+      });
+      if (pending) {
+        throw new DeliveryError('A delivery is already awaiting client review', { code: 'DELIVERY_PENDING' });
+      }
+
+      const previousVersions = await tx.delivery.count({ where: scope });
+
+      return tx.delivery.create({
+        data: { ...data, version: previousVersions + 1 },
+        include
+      });
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new DeliveryError('Another delivery was submitted at the same time', { code: 'DELIVERY_CONFLICT' });
+    }
+    throw error;
+  }
+};
+
+// Mark a pending delivery as reviewed inside a transaction. Throws
+// DeliveryError if another request reviewed it first.
+const reviewDelivery = async (db, deliveryId, status) => {
+  const { count } = await db.delivery.updateMany({
+    where: { id: deliveryId, status: 'PENDING' },
+    data: { status, reviewedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new DeliveryError('Delivery has already been reviewed');
+  }
+
+  return db.delivery.findUnique({ where: { id: deliveryId } });
+};
+
+module.exports = {
+  DeliveryError,
+  submitDelivery,
+  reviewDelivery
+};
@@ -0,0 +1,373 @@
+const path = require('path');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+// The package's index runs a self-test when required directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { getStorage } = require('./storage');
+const { xliffToText } = require('./xliff');
+
+// Source-text analysis of project documents, so clients and freelancers can
+// price per word. Text is pulled out of each upload type, split into
+// sentence segments and counted. Chinese and Japanese are written without
+// spaces, so each Han, Hiragana or Katakana character counts as a word, the
+// way CAT tools count them.
+
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]/gu;
+// Runs of letters and digits, joined by apostrophes, hyphens or dots
+// (don't, e-mail, 3.5), excluding CJK
+const WORD = /[^\s\p{P}\p{S}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+(?:['’.\-][^\s\p{P}\p{S}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+)*/gu;
+const HAS_TEXT = /[\p{L}\p{N}]/u;
+
+// RTF code pages with a TextDecoder label
+const RTF_CODE_PAGES = {
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5'
+};
+
+// RTF groups that hold no document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'fldinst', 'xmlnstbl', 'filetbl'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  '~': ' '
+};
+
+class DocumentAnalysisError extends Error {
+  constructor(message, { status = 422, code = 'UNREADABLE_DOCUMENT' } = {}) {
+    super(message);
+    this.name = 'DocumentAnalysisError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Plain text in UTF-8 or UTF-16 (by byte order mark), else Windows-1252
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+// Text of an RTF document: drops control words and non-text groups, decodes
+// \'hh bytes in the document's code page and \uN characters
+const rtfToText = (rtf) => {
+  const codePage = rtf.match(/\\ansicpg(\d+)/);
+  const decoder = new TextDecoder(
+    (codePage && (RTF_CODE_PAGES[codePage[1]] || `windows-${codePage[1]}`)) || 'windows-1252'
+  );
+
+  let text = '';
+  let bytes = [];
+  let state = { skip: false, uc: 1 };
+  const stack = [];
+  let pendingSkips = 0;
+  let i = 0;
+
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      text += decoder.decode(Uint8Array.from(bytes));
+      bytes = [];
+    }
+  };
+
+  const emit = (value) => {
+    if (pendingSkips > 0) {
+      pendingSkips--;
+      return;
+    }
+    if (!state.skip) {
+      flushBytes();
+      text += value;
+    }
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === '\'') {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        if (pendingSkips > 0) {
+          pendingSkips--;
+        } else if (!state.skip && !Number.isNaN(byte)) {
+          bytes.push(byte);
+        }
+        i += 4;
+      } else if (next === '*') {
+        state.skip = true;
+        i += 2;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40)) || [`${next}`, next];
+        const [token, word, param] = match;
+        i += 1 + token.length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'u') {
+          const code = parseInt(param, 10);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkips = state.uc;
+        } else if (word === 'uc') {
+          state.uc = parseInt(param, 10) || 0;
+        } else if (RTF_SYMBOLS[word] !== undefined) {
+          emit(RTF_SYMBOLS[word]);
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  flushBytes();
+  return text;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const decodeXmlEntities = (value) => value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  }
+  return XML_ENTITIES[name] ?? entity;
+});
+
+// Text of an OpenDocument content.xml, a paragraph per line
+const odfXmlToText = (xml) => {
+  const body = xml.slice(xml.indexOf('<office:body'));
+  return decodeXmlEntities(body
+    .replace(/<text:s\b[^>]*?text:c="(\d+)"[^>]*\/>/g, (tag, count) => ' '.repeat(parseInt(count, 10)))
+    .replace(/<text:s\b[^>]*\/>/g, ' ')
+    .replace(/<text:tab\b[^>]*\/>/g, '\t')
+    .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+};
+
+const extractWord = async (buffer) => {
+  const document = await new WordExtractor().extract(buffer);
+  return [
+    document.getBody(),
+    document.getFootnotes(),
+    document.getEndnotes(),
+    document.getHeaders({ includeFooters: true })
+  ].filter(Boolean).join('\n');
+};
+
+const extractOdt = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new DocumentAnalysisError('Not an OpenDocument text file');
+  }
+  return odfXmlToText(await content.async('string'));
+};
+
+const extractPdf = async (buffer) => (await pdfParse(buffer)).text;
+
+// Only the source side of bilingual files counts
+const extractXliff = async (buffer) => xliffToText(buffer);
+
+const EXTRACTORS = {
+  '.txt': async (buffer) => decodeText(buffer),
+  '.rtf': async (buffer) => rtfToText(buffer.toString('latin1')),
+  '.doc': extractWord,
+  '.docx': extractWord,
+  '.odt': extractOdt,
+  '.pdf': extractPdf,
+  '.xlf': extractXliff,
+  '.xliff': extractXliff,
+  '.sdlxliff': extractXliff,
+  '.mqxliff': extractXliff
+};
+
+// The text of an uploaded document, by its file extension
+const extractText = async (buffer, filename) => {
+  const extractor = EXTRACTORS[path.extname(filename).toLowerCase()];
+  if (!extractor) {
+    throw new DocumentAnalysisError(`Cannot analyze ${path.extname(filename) || 'this'} files`, {
+      code: 'UNSUPPORTED_DOCUMENT'
+    });
+  }
+
+  try {
+    return await extractor(buffer);
+  } catch (error) {
+    if (error instanceof DocumentAnalysisError) {
+      throw error;
+    }
+    throw new DocumentAnalysisError(`Could not read ${filename}: ${error.message}`);
+  }
+};
+
+const countWords = (text) => {
+  const cjkCharacters = (text.match(CJK_CHARACTER) || []).length;
+  return {
+    words: (text.match(WORD) || []).length + cjkCharacters,
+    cjkCharacters
+  };
+};
+
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+// Sentence segments, never spanning a line break
+const segmentText = (text) => {
+  const segments = [];
+  for (const line of text.split(/\r?\n|\r|\u2029/)) {
+    for (const { segment } of sentenceSegmenter.segment(line)) {
+      const normalized = segment.replace(/\s+/g, ' ').trim();
+      if (HAS_TEXT.test(normalized)) {
+        segments.push(normalized);
+      }
+    }
+  }
+  return segments;
+};
+
+// Counts for a list of document texts. A segment that already appeared,
+// earlier in the same document or in an earlier one, is a repetition.
+const analyzeTexts = (texts) => {
+  const seen = new Set();
+
+  const files = texts.map(text => {
+    const stats = {
+      wordCount: 0,
+      characterCount: (text.match(/\S/gu) || []).length,
+      cjkCharacterCount: 0,
+      segmentCount: 0,
+      repeatedSegmentCount: 0,
+      repeatedWordCount: 0
+    };
+
+    for (const segment of segmentText(text)) {
+      const { words, cjkCharacters } = countWords(segment);
+      stats.wordCount += words;
+      stats.cjkCharacterCount += cjkCharacters;
+      stats.segmentCount++;
+
+      if (seen.has(segment)) {
+        stats.repeatedSegmentCount++;
+        stats.repeatedWordCount += words;
+      } else {
+        seen.add(segment);
+      }
+    }
+
+    return stats;
+  });
+
+  const totals = Object.fromEntries(Object.keys(files[0] || {}).map(field => (
+    [field, files.reduce((sum, stats) => sum + stats[field], 0)]
+  )));
+
+  return { files, totals };
+};
+
+// Analyze every file of a project and store the counts on the files and the
+// project. A file that cannot be read gets an analysisError and adds
+// nothing. Returns the project's new counts.
+const analyzeProjectFiles = async (db, projectId) => {
+  const files = await db.projectFile.findMany({
+    where: { projectId },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const texts = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      const buffer = await getStorage().get(file.storagePath);
+      texts.push(await extractText(buffer, file.originalName));
+      errors.push(null);
+    } catch (error) {
+      if (!(error instanceof DocumentAnalysisError)) {
+        console.error('Document analysis error:', error);
+      }
+      texts.push('');
+      errors.push(error instanceof DocumentAnalysisError ? error.message : 'Could not read this file');
+    }
+  }
+
+  const { files: fileStats, totals } = analyzeTexts(texts);
+  const analyzed = errors.some(error => !error);
+  const counts = {
+    wordCount: analyzed ? totals.wordCount : null,
+    characterCount: analyzed ? totals.characterCount : null,
+    segmentCount: analyzed ? totals.segmentCount : null,
+    repeatedWordCount: analyzed ? totals.repeatedWordCount : null,
+    analyzedAt: new Date()
+  };
+
+  await db.$transaction([
+    ...files.map((file, index) => db.projectFile.update({
+      where: { id: file.id },
+      data: {
+        analysis: errors[index] ? null : fileStats[index],
+        analysisError: errors[index]
+      }
+    })),
+    db.project.update({
+      where: { id: projectId },
+      data: counts
+    })
+  ]);
+
+  return counts;
+};
+
+module.exports = {
+  DocumentAnalysisError,
+  extractText,
+  rtfToText,
+  analyzeTexts,
+  analyzeProjectFiles
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+// Single-use links for verifying an email address, resetting a password,
+// unlocking an account after repeated failed sign-ins and joining an
+// organization.
+// Only a hash of each token is stored, issuing a new token voids the user's
+// earlier ones for the same purpose, and a token is spent by a guarded
+// update so it can be redeemed at most once.
+
+const TOKEN_TTL_MINUTES = {
+  VERIFY_EMAIL: 24 * 60,
+  RESET_PASSWORD: 60,
+  UNLOCK_ACCOUNT: 60
+};
+
+class EmailTokenError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_TOKEN' } = {}) {
+    super(message);
+    this.name = 'EmailTokenError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueEmailToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.emailToken.updateMany({
+    where: { userId, purpose, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  await db.emailToken.create({
+    data: {
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+// Redeem a token and return its user. Call inside the database transaction
+// that applies the change, so a failed change leaves the token unspent.
+const consumeEmailToken = async (db, token, purpose) => {
+  const emailToken = typeof token === 'string'
+    ? await db.emailToken.findUnique({ where: { tokenHash: hashToken(token) } })
+    : null;
+
+  if (!emailToken || emailToken.purpose !== purpose) {
+    throw new EmailTokenError('Invalid link');
+  }
+
+  if (emailToken.expiresAt < new Date()) {
+    throw new EmailTokenError('This link has expired', { code: 'TOKEN_EXPIRED' });
+  }
+
+  const { count } = await db.emailToken.updateMany({
+    where: { id: emailToken.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new EmailTokenError('This link has already been used', { code: 'TOKEN_USED' });
+  }
+
+  return db.user.findUnique({ where: { id: emailToken.userId } });
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const clientLink = (pathname, token) => {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (db, user) => {
+  const token = await issueEmailToken(db, user.id, 'VERIFY_EMAIL');
+  const link = clientLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your TranslateHub email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (db, user) => {
+  const token = await issueEmailToken(db, user.id, 'RESET_PASSWORD');
+  const link = clientLink('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your TranslateHub password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If it was you, open this link to choose a new password:\n\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for your account. If it was you, choose a new password here:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+const sendUnlockEmail = async (db, user) => {
+  const token = await issueEmailToken(db, user.id, 'UNLOCK_ACCOUNT');
+  const link = clientLink('/unlock-account', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your TranslateHub account has been locked',
+    text: `Hi ${user.name},\n\nThere were several failed attempts to sign in to your account, so sign-ins are paused for a while. If it was you, open this link to unlock your account now:\n\n${link}\n\nIf it was not you, consider resetting your password. The link expires in 1 hour.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>There were several failed attempts to sign in to your account, so sign-ins are paused for a while. If it was you, unlock your account now:</p><p><a href="${link}">Unlock account</a></p><p>If it was not you, consider resetting your password. The link expires in 1 hour.</p>`
+  });
+};
+
+// Invitation tokens are issued by the organizations service and stored on
+// the invitation itself
+const sendInvitationEmail = ({ email, token, organization, inviter, role, expiresInDays }) => {
+  const link = clientLink('/invitations', token);
+  const roleName = role.toLowerCase();
+
+  return sendMail({
+    to: email,
+    subject: `Join ${organization.name} on TranslateHub`,
+    text: `Hi,\n\n${inviter.name} has invited you to join ${organization.name} on TranslateHub as a ${roleName}. Sign in or create a client account with this email address, then open this link to accept:\n\n${link}\n\nThe invitation expires in ${expiresInDays} days.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviter.name)} has invited you to join ${escapeHtml(organization.name)} on TranslateHub as a ${roleName}. Sign in or create a client account with this email address, then accept the invitation:</p><p><a href="${link}">Accept invitation</a></p><p>The invitation expires in ${expiresInDays} days.</p>`
+  });
+};
+
+module.exports = {
+  EmailTokenError,
+  issueEmailToken,
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendUnlockEmail,
+  sendInvitationEmail
+};
@@ -0,0 +1,216 @@
+const { stripe, toCents } = require('./stripe');
+const { transitionProject } = require('./projectLifecycle');
+const { chargeAmount, payoutAmount } = require('./fees');
+const { postFunding } = require('./ledger');
+const { syncProjectStatus } = require('./milestones');
+const { recordAudit } = require('./auditLog');
+
+// Money movements for escrowed transactions. Every Stripe call carries an
+// idempotency key derived from the transaction id, so retrying after a
+// failed database write never moves money twice.
+
+class EscrowError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'EscrowError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Transaction statuses in which the client's money is still held in escrow.
+// Release and refund routes only act on FUNDED; DISPUTED escrow is paid out
+// by dispute resolution.
+const HELD_STATUSES = ['FUNDED', 'DISPUTED'];
+
+// PaymentIntents that can still be confirmed by the client
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing'];
+
+// Get a PaymentIntent for an AWAITING_FUNDING transaction, reusing the one
+// already bound to it while it can still be paid
+const getFundingIntent = async (transaction) => {
+  if (transaction.stripePaymentId) {
+    const existing = await stripe.paymentIntents.retrieve(transaction.stripePaymentId);
+
+    if (existing.status === 'succeeded') {
+      throw new EscrowError('Payment already completed', { status: 409, code: 'ALREADY_PAID' });
+    }
+
+    if (REUSABLE_INTENT_STATUSES.includes(existing.status) && existing.amount === toCents(chargeAmount(transaction))) {
+      return existing;
+    }
+  }
+
+  // The client pays the gross amount plus the platform service fee
+  return stripe.paymentIntents.create({
+    amount: toCents(chargeAmount(transaction)),
+    currency: 'usd',
+    transfer_group: `project_${transaction.projectId}`,
+    metadata: {
+      transactionId: transaction.id,
+      projectId: transaction.projectId,
+      clientId: transaction.clientId,
+      type: 'escrow'
+    }
+  }, {
+    idempotencyKey: `fund-${transaction.id}-${transaction.stripePaymentId || 'initial'}`
+  });
+};
+
+// Mark a transaction FUNDED from a succeeded PaymentIntent and start the
+// project. Safe to call from both /confirm-payment and the webhook: the
+// status change is guarded on AWAITING_FUNDING, so when the two race only
+// one of them starts the project and posts to the ledger.
+const recordFunding = async (db, { transaction, paymentIntent, actorId = null, actorRole }) => {
+  if (transaction.status === 'FUNDED' && transaction.stripePaymentId === paymentIntent.id) {
+    return transaction;
+  }
+
+  if (transaction.status !== 'AWAITING_FUNDING') {
+    throw new EscrowError('Transaction is not awaiting funding', { status: 409, code: 'NOT_AWAITING_FUNDING' });
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    throw new EscrowError('Payment not completed', { code: 'PAYMENT_INCOMPLETE' });
+  }
+
+  if (paymentIntent.amount !== toCents(chargeAmount(transaction)) || paymentIntent.currency !== 'usd') {
+    throw new EscrowError('Payment amount does not match the escrow amount', { status: 409, code: 'AMOUNT_MISMATCH' });
+  }
+
+  const { count } = await db.transaction.updateMany({
+    where: { id: transaction.id, status: 'AWAITING_FUNDING' },
+    data: {
+      status: 'FUNDED',
+      stripePaymentId: paymentIntent.id,
+      failureReason: null,
+      fundedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    const current = await db.transaction.findUnique({ where: { id: transaction.id } });
+    if (current?.status === 'FUNDED' && current.stripePaymentId === paymentIntent.id) {
+      return current;
+    }
+    throw new EscrowError('Transaction is not awaiting funding', { status: 409, code: 'NOT_AWAITING_FUNDING' });
+  }
+
+  // A milestone project starts with its first funded milestone
+  if (transaction.milestoneId) {
+    await db.milestone.update({
+      where: { id: transaction.milestoneId },
+      data: { status: 'IN_PROGRESS' }
+    });
+
+    await syncProjectStatus(db, {
+      project: transaction.project,
+      actorId,
+      actorRole,
+      trigger: 'transaction.funded'
+    });
+  } else {
+    await transitionProject(db, {
+      project: transaction.project,
+      to: 'IN_PROGRESS',
+      actorId,
+      actorRole,
+      trigger: 'transaction.funded'
+    });
+  }
+
+  const fundedTransaction = await db.transaction.findUnique({ where: { id: transaction.id } });
+
+  await postFunding(db, fundedTransaction);
+
+  await recordAudit(db, null, {
+    action: 'transaction.funded',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    before: { status: transaction.status },
+    after: { status: 'FUNDED' },
+    metadata: { projectId: transaction.projectId, amount: transaction.amount, paymentIntentId: paymentIntent.id },
+    actorId,
+    actorRole
+  });
+
+  return fundedTransaction;
+};
+
+// Transfer the freelancer's net payout to their Connect account. A dispute
+// split passes a smaller amount.
+const transferToFreelancer = async (transaction, freelancer, { amount = payoutAmount(transaction) } = {}) => {
+  if (!HELD_STATUSES.includes(transaction.status)) {
+    throw new EscrowError('Only funded payments can be released', { status: 409, code: 'NOT_FUNDED' });
+  }
+
+  if (!freelancer.stripeAccountId) {
+    throw new EscrowError('Freelancer has not set up payouts yet', { status: 409, code: 'PAYOUT_ACCOUNT_MISSING' });
+  }
+
+  if (!freelancer.stripePayoutsEnabled) {
+    throw new EscrowError('Freelancer payout account is not ready to receive transfers', { status: 409, code: 'PAYOUT_ACCOUNT_RESTRICTED' });
+  }
+
+  // The platform keeps the commission; the freelancer receives the net
+  return stripe.transfers.create({
+    amount: toCents(amount),
+    currency: 'usd',
+    destination: freelancer.stripeAccountId,
+    transfer_group: `project_${transaction.projectId}`,
+    metadata: {
+      transactionId: transaction.id,
+      projectId: transaction.projectId
+    }
+  }, {
+    idempotencyKey: `release-${transaction.id}`
+  });
+};
+
+// Refund the client's payment for a funded transaction, in full unless an
+// amount is given
+const refundClient = async (transaction, { reason, amount } = {}) => {
+  if (!HELD_STATUSES.includes(transaction.status) || !transaction.stripePaymentId) {
+    throw new EscrowError('Only funded payments can be refunded', { status: 409, code: 'NOT_FUNDED' });
+  }
+
+  return stripe.refunds.create({
+    payment_intent: transaction.stripePaymentId,
+    ...(amount !== undefined && { amount: toCents(amount) }),
+    metadata: {
+      transactionId: transaction.id,
+      projectId: transaction.projectId,
+      reason: reason || ''
+    }
+  }, {
+    idempotencyKey: `refund-${transaction.id}`
+  });
+};
+
+// Abandon an unfunded transaction, cancelling any PaymentIntent bound to it
+const cancelFunding = async (transaction) => {
+  if (!transaction.stripePaymentId) {
+    return null;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(transaction.stripePaymentId);
+  if (!REUSABLE_INTENT_STATUSES.includes(paymentIntent.status) || paymentIntent.status === 'processing') {
+    throw new EscrowError('Payment can no longer be cancelled', { status: 409, code: 'PAYMENT_NOT_CANCELLABLE' });
+  }
+
+  return stripe.paymentIntents.cancel(paymentIntent.id);
+};
+
+module.exports = {
+  EscrowError,
+  HELD_STATUSES,
+  getFundingIntent,
+  recordFunding,
+  transferToFreelancer,
+  refundClient,
+  cancelFunding
+};
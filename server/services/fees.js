@@ -0,0 +1,138 @@
+const { toCents, fromCents } = require('./stripe');
+
+// Platform fee schedule. Clients pay a service fee on top of the accepted bid;
+// freelancers pay a commission out of it, tiered by their lifetime released
+// volume. Every value can be overridden from the environment, e.g.
+// FREELANCER_COMMISSION_TIERS='[{"upTo":500,"percent":20},{"upTo":null,"percent":10}]'
+const DEFAULT_COMMISSION_TIERS = [
+  { upTo: 500, percent: 20 },
+  { upTo: 10000, percent: 10 },
+  { upTo: null, percent: 5 }
+];
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Check the commission tiers: percentages of 0-100 under rising bounds,
+// ending with an unbounded tier. Throws with the reason if they are wrong.
+const parseCommissionTiers = (value) => {
+  if (!value) {
+    return DEFAULT_COMMISSION_TIERS;
+  }
+
+  let tiers;
+  try {
+    tiers = JSON.parse(value);
+  } catch (error) {
+    throw new Error('FREELANCER_COMMISSION_TIERS must be valid JSON');
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('FREELANCER_COMMISSION_TIERS must be a non-empty list');
+  }
+
+  tiers.forEach((tier, index) => {
+    const isLast = index === tiers.length - 1;
+    const { upTo, percent } = tier || {};
+
+    if (typeof percent !== 'number' || !(percent >= 0 && percent <= 100)) {
+      throw new Error(`FREELANCER_COMMISSION_TIERS tier ${index + 1}: percent must be a number from 0 to 100`);
+    }
+    if (isLast && upTo !== null) {
+      throw new Error('FREELANCER_COMMISSION_TIERS: the last tier must have "upTo": null');
+    }
+    if (!isLast && !(typeof upTo === 'number' && upTo > (index > 0 ? tiers[index - 1].upTo : 0))) {
+      throw new Error(`FREELANCER_COMMISSION_TIERS tier ${index + 1}: upTo must be a number above the previous tier's`);
+    }
+  });
+
+  return tiers;
+};
+
+// Parsed once when the server starts, so a bad value stops it there rather
+// than failing on the first payment
+const COMMISSION_TIERS = parseCommissionTiers(process.env.FREELANCER_COMMISSION_TIERS);
+
+const getFeeSchedule = () => {
+  return {
+    clientFeePercent: parseNumber(process.env.CLIENT_SERVICE_FEE_PERCENT, 5),
+    clientFeeFixed: parseNumber(process.env.CLIENT_SERVICE_FEE_FIXED, 0.3),
+    commissionFixed: parseNumber(process.env.FREELANCER_COMMISSION_FIXED, 0),
+    commissionTiers: COMMISSION_TIERS
+  };
+};
+
+// Tiers are ordered by upper bound; the last one has no bound
+const findCommissionTier = (tiers, lifetimeVolume) => {
+  return tiers.find(tier => tier.upTo === null || lifetimeVolume < tier.upTo) || tiers[tiers.length - 1];
+};
+
+// Break a gross amount down into what the client pays and the freelancer
+// receives. All arithmetic is done in cents to avoid float drift.
+const calculateFees = (amount, { lifetimeVolume = 0, schedule = getFeeSchedule() } = {}) => {
+  const grossCents = toCents(amount);
+  const tier = findCommissionTier(schedule.commissionTiers, lifetimeVolume);
+
+  const clientFeeCents = Math.round(grossCents * schedule.clientFeePercent / 100) + toCents(schedule.clientFeeFixed);
+  const commissionCents = Math.min(
+    grossCents,
+    Math.round(grossCents * tier.percent / 100) + toCents(schedule.commissionFixed)
+  );
+
+  return {
+    amount: fromCents(grossCents),
+    clientFee: fromCents(clientFeeCents),
+    clientTotal: fromCents(grossCents + clientFeeCents),
+    freelancerFee: fromCents(commissionCents),
+    freelancerNet: fromCents(grossCents - commissionCents),
+    commissionPercent: tier.percent
+  };
+};
+
+// Gross volume already released to a freelancer, used to pick their tier
+const getLifetimeVolume = async (db, freelancerId) => {
+  const result = await db.transaction.aggregate({
+    where: { freelancerId, status: 'RELEASED' },
+    _sum: { amount: true }
+  });
+
+  return result._sum.amount || 0;
+};
+
+const calculateFeesForFreelancer = async (db, freelancerId, amount) => {
+  const lifetimeVolume = await getLifetimeVolume(db, freelancerId);
+  return calculateFees(amount, { lifetimeVolume });
+};
+
+// Split a transaction's gross amount between freelancer and client when a
+// dispute is settled part-way. Commission is charged pro rata on the
+// released share; the client's service fee is not refunded.
+const calculateSplit = (transaction, releaseAmount) => {
+  const grossCents = toCents(transaction.amount);
+  const releaseCents = toCents(releaseAmount);
+  const commissionCents = Math.round(toCents(transaction.freelancerFee || 0) * releaseCents / grossCents);
+
+  return {
+    releaseAmount: fromCents(releaseCents),
+    refundAmount: fromCents(grossCents - releaseCents),
+    freelancerFee: fromCents(commissionCents),
+    freelancerNet: fromCents(releaseCents - commissionCents)
+  };
+};
+
+// Transactions created before fees existed carry no breakdown
+const chargeAmount = (transaction) => transaction.clientTotal ?? transaction.amount;
+const payoutAmount = (transaction) => transaction.freelancerNet ?? transaction.amount;
+
+module.exports = {
+  parseCommissionTiers,
+  getFeeSchedule,
+  calculateFees,
+  calculateFeesForFreelancer,
+  getLifetimeVolume,
+  calculateSplit,
+  chargeAmount,
+  payoutAmount
+};
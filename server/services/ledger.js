@@ -0,0 +1,250 @@
+const { toCents } = require('./stripe');
+const { chargeAmount } = require('./fees');
+
+// Double-entry ledger for every money movement. Each journal entry's lines
+// are signed cents (debit positive, credit negative) and must sum to zero,
+// so the ledger as a whole always sums to zero as well.
+//
+// Accounts:
+//   STRIPE_CLEARING       money received through (or returned via) Stripe
+//   CLIENT_ESCROW         funds a client has paid in and not yet released
+//   FREELANCER_PENDING    released earnings not yet transferred out
+//   FREELANCER_AVAILABLE  earnings transferred to the freelancer's Stripe account
+//   PLATFORM_REVENUE      service fees and commissions kept by the platform
+//
+// Escrow, freelancer and revenue accounts are liabilities/income, so their
+// natural balance is a credit; balances are reported with the sign flipped.
+
+class LedgerError extends Error {
+  constructor(message, { status = 500, code = 'LEDGER_ERROR' } = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const CREDIT_NORMAL_ACCOUNTS = ['CLIENT_ESCROW', 'FREELANCER_PENDING', 'FREELANCER_AVAILABLE', 'PLATFORM_REVENUE'];
+
+const accountKey = (type, userId) => (userId ? `${type}:${userId}` : type);
+
+const getAccount = (db, type, userId = null) => {
+  const key = accountKey(type, userId);
+  return db.ledgerAccount.upsert({
+    where: { key },
+    update: {},
+    create: { key, type, userId }
+  });
+};
+
+// Post one balanced entry. Lines are { type, userId?, amount } in cents;
+// zero-amount lines are dropped and an entry left with no lines is skipped.
+// A transaction's entries are named by step, and each step posts once.
+const postEntry = async (db, { kind, transactionId = null, step = null, description, lines }) => {
+  const postedLines = lines.filter(line => line.amount !== 0);
+
+  if (postedLines.some(line => !Number.isInteger(line.amount))) {
+    throw new LedgerError('Journal line amounts must be whole cents', { code: 'INVALID_AMOUNT' });
+  }
+
+  const total = postedLines.reduce((sum, line) => sum + line.amount, 0);
+  if (total !== 0) {
+    throw new LedgerError(`Unbalanced journal entry (${kind}): off by ${total} cents`, { code: 'UNBALANCED_ENTRY' });
+  }
+
+  if (postedLines.length === 0) {
+    return null;
+  }
+
+  const accounts = [];
+  for (const line of postedLines) {
+    accounts.push(await getAccount(db, line.type, line.userId));
+  }
+
+  try {
+    return await db.journalEntry.create({
+      data: {
+        kind,
+        transactionId,
+        step,
+        description,
+        lines: {
+          create: postedLines.map((line, index) => ({
+            accountId: accounts[index].id,
+            amount: line.amount
+          }))
+        }
+      },
+      include: { lines: true }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new LedgerError(`Transaction ${transactionId} already has a ${step} entry`, { status: 409, code: 'DUPLICATE_ENTRY' });
+    }
+    throw error;
+  }
+};
+
+// Client payment captured: the full charge lands in escrow, then the
+// service fee moves from escrow to platform revenue
+const postFunding = async (db, transaction) => {
+  const totalCents = toCents(chargeAmount(transaction));
+  const feeCents = toCents(transaction.clientFee || 0);
+
+  await postEntry(db, {
+    kind: 'FUNDING',
+    transactionId: transaction.id,
+    step: 'funding',
+    description: `Escrow funded for project ${transaction.projectId}`,
+    lines: [
+      { type: 'STRIPE_CLEARING', amount: totalCents },
+      { type: 'CLIENT_ESCROW', userId: transaction.clientId, amount: -totalCents }
+    ]
+  });
+
+  await postEntry(db, {
+    kind: 'FEE',
+    transactionId: transaction.id,
+    step: 'service-fee',
+    description: 'Client service fee',
+    lines: [
+      { type: 'CLIENT_ESCROW', userId: transaction.clientId, amount: feeCents },
+      { type: 'PLATFORM_REVENUE', amount: -feeCents }
+    ]
+  });
+};
+
+// Escrow released: the gross amount moves to the freelancer, the platform
+// takes its commission, and the net is transferred to their Stripe account.
+// A dispute split releases only part of the gross amount.
+const postRelease = async (db, transaction, {
+  grossCents = toCents(transaction.amount),
+  commissionCents = toCents(transaction.freelancerFee || 0)
+} = {}) => {
+  const netCents = grossCents - commissionCents;
+
+  await postEntry(db, {
+    kind: 'RELEASE',
+    transactionId: transaction.id,
+    step: 'release',
+    description: `Escrow released for project ${transaction.projectId}`,
+    lines: [
+      { type: 'CLIENT_ESCROW', userId: transaction.clientId, amount: grossCents },
+      { type: 'FREELANCER_PENDING', userId: transaction.freelancerId, amount: -grossCents }
+    ]
+  });
+
+  await postEntry(db, {
+    kind: 'FEE',
+    transactionId: transaction.id,
+    step: 'commission',
+    description: 'Freelancer commission',
+    lines: [
+      { type: 'FREELANCER_PENDING', userId: transaction.freelancerId, amount: commissionCents },
+      { type: 'PLATFORM_REVENUE', amount: -commissionCents }
+    ]
+  });
+
+  await postEntry(db, {
+    kind: 'PAYOUT',
+    transactionId: transaction.id,
+    step: 'payout',
+    description: `Transfer ${transaction.stripeTransferId || ''}`.trim(),
+    lines: [
+      { type: 'FREELANCER_PENDING', userId: transaction.freelancerId, amount: netCents },
+      { type: 'FREELANCER_AVAILABLE', userId: transaction.freelancerId, amount: -netCents }
+    ]
+  });
+};
+
+// Refund of funded escrow. A full refund returns the service fee to escrow
+// and the whole charge to the client; a partial refund returns only the
+// given gross amount and the platform keeps its fee.
+const postRefund = async (db, transaction, { refundCents } = {}) => {
+  const isPartial = refundCents !== undefined;
+  const feeCents = isPartial ? 0 : toCents(transaction.clientFee || 0);
+  const totalCents = isPartial ? refundCents : toCents(chargeAmount(transaction));
+
+  await postEntry(db, {
+    kind: 'FEE',
+    transactionId: transaction.id,
+    step: 'service-fee-refund',
+    description: 'Client service fee returned',
+    lines: [
+      { type: 'PLATFORM_REVENUE', amount: feeCents },
+      { type: 'CLIENT_ESCROW', userId: transaction.clientId, amount: -feeCents }
+    ]
+  });
+
+  await postEntry(db, {
+    kind: 'REFUND',
+    transactionId: transaction.id,
+    step: 'refund',
+    description: `Escrow refunded for project ${transaction.projectId}`,
+    lines: [
+      { type: 'CLIENT_ESCROW', userId: transaction.clientId, amount: totalCents },
+      { type: 'STRIPE_CLEARING', amount: -totalCents }
+    ]
+  });
+};
+
+const toBalance = (type, cents) => {
+  const balance = CREDIT_NORMAL_ACCOUNTS.includes(type) ? -cents : cents;
+  return balance / 100;
+};
+
+// Balances of a user's accounts (or the platform accounts when userId is null)
+const getBalances = async (db, userId = null) => {
+  const accounts = await db.ledgerAccount.findMany({
+    where: { userId }
+  });
+
+  const sums = await db.journalLine.groupBy({
+    by: ['accountId'],
+    where: { accountId: { in: accounts.map(account => account.id) } },
+    _sum: { amount: true }
+  });
+
+  const balances = {};
+  for (const account of accounts) {
+    const sum = sums.find(row => row.accountId === account.id);
+    balances[account.type] = toBalance(account.type, sum?._sum.amount || 0);
+  }
+
+  return balances;
+};
+
+// Prove the ledger is balanced: the grand total and every entry must be zero
+const checkConsistency = async (db) => {
+  const total = await db.journalLine.aggregate({
+    _sum: { amount: true }
+  });
+
+  const unbalanced = await db.journalLine.groupBy({
+    by: ['entryId'],
+    _sum: { amount: true },
+    having: { amount: { _sum: { not: 0 } } }
+  });
+
+  const totalCents = total._sum.amount || 0;
+
+  return {
+    balanced: totalCents === 0 && unbalanced.length === 0,
+    totalCents,
+    unbalancedEntries: unbalanced.map(row => ({ entryId: row.entryId, offByCents: row._sum.amount }))
+  };
+};
+
+module.exports = {
+  LedgerError,
+  postEntry,
+  postFunding,
+  postRelease,
+  postRefund,
+  getBalances,
+  checkConsistency
+};
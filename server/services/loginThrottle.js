@@ -0,0 +1,106 @@
+// Failed sign-in tracking with exponential backoff. Failures are counted per
+// account (by email, whether or not it exists) and per client IP. After a
+// few free attempts each further failure locks that key for twice as long
+// as the last, up to a cap; a quiet period wipes the count. The first
+// account lockout emails the owner a link to unlock it early.
+
+const POLICIES = {
+  account: {
+    freeAttempts: 5,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    forgetAfterMs: 24 * 60 * 60 * 1000
+  },
+  ip: {
+    freeAttempts: 20,
+    baseDelayMs: 10 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    forgetAfterMs: 60 * 60 * 1000
+  }
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const throttleKeys = ({ email, ip }) => [
+  { scope: 'account', key: accountKey(email), policy: POLICIES.account },
+  { scope: 'ip', key: ipKey(ip), policy: POLICIES.ip }
+];
+
+const lockDuration = (failures, policy) => {
+  if (failures < policy.freeAttempts) {
+    return 0;
+  }
+  return Math.min(policy.baseDelayMs * 2 ** (failures - policy.freeAttempts), policy.maxDelayMs);
+};
+
+// Null if a sign-in may be attempted, otherwise which key is locked and for
+// how many more seconds
+const checkLoginAllowed = async (db, { email, ip }) => {
+  const keys = throttleKeys({ email, ip });
+  const throttles = await db.loginThrottle.findMany({
+    where: { key: { in: keys.map(entry => entry.key) } }
+  });
+
+  const now = Date.now();
+  for (const { scope, key } of keys) {
+    const throttle = throttles.find(row => row.key === key);
+    if (throttle?.lockedUntil && throttle.lockedUntil.getTime() > now) {
+      return {
+        scope,
+        retryAfterSeconds: Math.ceil((throttle.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed attempt against the account and the IP. Returns
+// { accountLockedNow } so the caller can send the unlock email once.
+const recordLoginFailure = async (db, { email, ip }) => {
+  const result = { accountLockedNow: false };
+  const now = new Date();
+
+  for (const { scope, key, policy } of throttleKeys({ email, ip })) {
+    const staleBefore = new Date(now.getTime() - policy.forgetAfterMs);
+
+    // Atomic, so parallel guesses cannot slip past the counter
+    const [{ failures }] = await db.$queryRaw`
+      INSERT INTO login_throttles (key, failures, last_failure_at)
+      VALUES (${key}, 1, ${now})
+      ON CONFLICT (key) DO UPDATE SET
+        failures = CASE WHEN login_throttles.last_failure_at < ${staleBefore} THEN 1 ELSE login_throttles.failures + 1 END,
+        last_failure_at = EXCLUDED.last_failure_at
+      RETURNING failures`;
+
+    const lockMs = lockDuration(failures, policy);
+    if (lockMs > 0) {
+      await db.loginThrottle.update({
+        where: { key },
+        data: { lockedUntil: new Date(now.getTime() + lockMs) }
+      });
+    }
+
+    if (scope === 'account' && failures === policy.freeAttempts) {
+      result.accountLockedNow = true;
+    }
+  }
+
+  return result;
+};
+
+// Forget an account's failures after a successful sign-in or an unlock
+const clearAccountFailures = (db, email) => {
+  return db.loginThrottle.deleteMany({
+    where: { key: accountKey(email) }
+  });
+};
+
+module.exports = {
+  POLICIES,
+  lockDuration,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures
+};
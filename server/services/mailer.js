@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email. MAIL_TRANSPORT picks where messages go:
+//   smtp     delivered through SMTP_HOST (the default when it is set)
+//   file     written as .eml files to MAIL_DIR, for development and tests
+//   console  printed to the server log (the default otherwise)
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TranslateHub <no-reply@translatehub.local>';
+const MAIL_DIR = process.env.MAIL_DIR || './mail';
+
+const transportName = () => process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+});
+
+// Render the message with nodemailer's stream transport so the file and
+// console transports produce exactly what SMTP would have sent
+const renderMessage = async (message) => {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const info = await renderer.sendMail(message);
+  return info.message.toString();
+};
+
+const fileTransport = {
+  sendMail: async (message) => {
+    fs.mkdirSync(MAIL_DIR, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9.@-]/gi, '_')}.eml`;
+    const filePath = path.join(MAIL_DIR, filename);
+    fs.writeFileSync(filePath, await renderMessage(message));
+    return { messageId: filename, path: filePath };
+  }
+};
+
+const consoleTransport = {
+  sendMail: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = transportName();
+    if (name === 'smtp') {
+      transport = createSmtpTransport();
+    } else if (name === 'file') {
+      transport = fileTransport;
+    } else if (name === 'console') {
+      transport = consoleTransport;
+    } else {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for one that records messages in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().sendMail({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,122 @@
+const { toCents, fromCents } = require('./stripe');
+const { transitionProject } = require('./projectLifecycle');
+
+// Milestone projects are funded, delivered and released one milestone at a
+// time. The project's own status follows from its milestones: it starts once
+// any milestone is funded, completes when every milestone is approved and is
+// PAID once every milestone has been released.
+
+const MAX_MILESTONES = 20;
+
+// Parse milestones sent with a new project. Multipart forms send them as a
+// JSON string. Throws with a message suitable for a validation error.
+const parseMilestones = (value) => {
+  let milestones = value;
+  if (typeof value === 'string') {
+    try {
+      milestones = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Milestones must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(milestones) || milestones.length === 0 || milestones.length > MAX_MILESTONES) {
+    throw new Error(`Milestones must be a list of 1-${MAX_MILESTONES} items`);
+  }
+
+  return milestones.map((milestone, index) => {
+    const title = typeof milestone.title === 'string' ? milestone.title.trim() : '';
+    if (title.length < 3 || title.length > 100) {
+      throw new Error(`Milestone ${index + 1}: title must be 3-100 characters`);
+    }
+
+    const amount = parseFloat(milestone.amount);
+    if (!Number.isFinite(amount) || amount < 1) {
+      throw new Error(`Milestone ${index + 1}: amount must be at least $1`);
+    }
+
+    const dueDate = milestone.dueDate ? new Date(milestone.dueDate) : null;
+    if (dueDate && Number.isNaN(dueDate.getTime())) {
+      throw new Error(`Milestone ${index + 1}: invalid due date`);
+    }
+
+    const description = typeof milestone.description === 'string' ? milestone.description.trim() : '';
+    if (description.length > 2000) {
+      throw new Error(`Milestone ${index + 1}: description must be at most 2000 characters`);
+    }
+
+    return {
+      position: index + 1,
+      title,
+      description: description || null,
+      amount: fromCents(toCents(amount)),
+      dueDate
+    };
+  });
+};
+
+// Prorate an accepted bid across milestones in proportion to their budgeted
+// amounts. Each share is the rounded running total minus the one before it,
+// so the shares never go negative and always add up to the bid.
+const allocateBidAmount = (bidAmount, milestones) => {
+  const bidCents = toCents(bidAmount);
+  const budgetCents = milestones.reduce((sum, milestone) => sum + toCents(milestone.amount), 0);
+  let budgetSoFar = 0;
+  let allocatedCents = 0;
+
+  return milestones.map((milestone) => {
+    budgetSoFar += toCents(milestone.amount);
+    const runningCents = Math.round(bidCents * budgetSoFar / budgetCents);
+    const cents = runningCents - allocatedCents;
+    allocatedCents = runningCents;
+    return fromCents(cents);
+  });
+};
+
+// The project status implied by a project's milestones
+const projectStatusFromMilestones = (milestones) => {
+  const live = milestones.filter(milestone => milestone.status !== 'CANCELLED');
+
+  if (live.length === 0) {
+    return 'CANCELLED';
+  }
+  if (live.every(milestone => milestone.status === 'RELEASED')) {
+    return 'PAID';
+  }
+  if (live.every(milestone => ['APPROVED', 'RELEASED'].includes(milestone.status))) {
+    return 'COMPLETED';
+  }
+  if (live.some(milestone => milestone.status !== 'PENDING')) {
+    return 'IN_PROGRESS';
+  }
+  return 'AWAITING_FUNDING';
+};
+
+const getTargetStatus = async (db, projectId) => {
+  const milestones = await db.milestone.findMany({
+    where: { projectId }
+  });
+
+  return projectStatusFromMilestones(milestones);
+};
+
+// Move a milestone project to the status its milestones imply. Call after
+// updating a milestone, inside the same database transaction.
+const syncProjectStatus = async (db, { project, actorId = null, actorRole, trigger, note }) => {
+  const to = await getTargetStatus(db, project.id);
+
+  if (to === project.status) {
+    return to;
+  }
+
+  return transitionProject(db, { project, to, actorId, actorRole, trigger, note });
+};
+
+module.exports = {
+  MAX_MILESTONES,
+  parseMilestones,
+  allocateBidAmount,
+  projectStatusFromMilestones,
+  getTargetStatus,
+  syncProjectStatus
+};
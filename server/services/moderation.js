@@ -0,0 +1,76 @@
+// Account moderation. A suspended or banned user cannot sign in, and every
+// session they hold is revoked so their tokens stop working at once.
+
+class ModerationError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Why the user may not use the API right now, or null if they may. A
+// suspension with a date lifts itself once the date has passed.
+const getAccountBlock = (user, now = new Date()) => {
+  if (user.status === 'BANNED') {
+    return {
+      error: 'This account has been banned',
+      code: 'ACCOUNT_BANNED',
+      reason: user.statusReason || null
+    };
+  }
+
+  if (user.status === 'SUSPENDED' && (!user.suspendedUntil || user.suspendedUntil > now)) {
+    return {
+      error: user.suspendedUntil
+        ? `This account is suspended until ${user.suspendedUntil.toISOString()}`
+        : 'This account is suspended',
+      code: 'ACCOUNT_SUSPENDED',
+      reason: user.statusReason || null,
+      suspendedUntil: user.suspendedUntil
+    };
+  }
+
+  return null;
+};
+
+// Suspend, ban or reinstate a user inside the given Prisma client or
+// interactive transaction
+const setUserStatus = async (db, { user, status, reason = null, suspendedUntil = null, actorId }) => {
+  if (user.id === actorId) {
+    throw new ModerationError('You cannot change the status of your own account', { status: 409, code: 'SELF_MODERATION' });
+  }
+
+  if (status === 'SUSPENDED' && suspendedUntil && suspendedUntil <= new Date()) {
+    throw new ModerationError('Suspension end must be in the future', { code: 'INVALID_SUSPENSION' });
+  }
+
+  const updated = await db.user.update({
+    where: { id: user.id },
+    data: {
+      status,
+      statusReason: status === 'ACTIVE' ? null : reason,
+      suspendedUntil: status === 'SUSPENDED' ? suspendedUntil : null
+    }
+  });
+
+  if (status !== 'ACTIVE') {
+    await db.session.updateMany({
+      where: { userId: user.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: status === 'BANNED' ? 'account_banned' : 'account_suspended' }
+    });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  ModerationError,
+  getAccountBlock,
+  setUserStatus
+};
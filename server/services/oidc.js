@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect sign-in (authorization code flow with PKCE) for any number
+// of providers. Providers are configured in OIDC_PROVIDERS as a JSON list:
+//
+//   [{ "id": "google", "name": "Google",
+//      "issuer": "https://accounts.google.com",
+//      "clientId": "...", "clientSecret": "...",
+//      "scopes": "openid email profile",
+//      "tokenAuthMethod": "client_secret_post" }]
+//
+// Endpoints come from the issuer's discovery document, and ID tokens are
+// checked against the issuer's published signing keys.
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+class OidcError extends Error {
+  constructor(message, { status = 400, code = 'OIDC_ERROR' } = {}) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+let providers = null;
+
+const loadProviders = () => {
+  if (!providers) {
+    let configured = [];
+    try {
+      configured = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+    } catch (error) {
+      console.error('OIDC_PROVIDERS is not valid JSON; social login is disabled');
+    }
+
+    providers = configured.map(provider => ({
+      scopes: 'openid email profile',
+      tokenAuthMethod: 'client_secret_post',
+      ...provider,
+      issuer: provider.issuer.replace(/\/$/, '')
+    }));
+  }
+  return providers;
+};
+
+// Provider ids and display names, safe to show to the browser
+const listProviders = () => loadProviders().map(({ id, name }) => ({ id, name: name || id }));
+
+const getProvider = (id) => {
+  const provider = loadProviders().find(candidate => candidate.id === id);
+  if (!provider) {
+    throw new OidcError('Unknown sign-in provider', { status: 404, code: 'UNKNOWN_PROVIDER' });
+  }
+  return provider;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new OidcError(`Identity provider request failed: ${detail}`, { status: 502, code: 'PROVIDER_ERROR' });
+  }
+  return body;
+};
+
+// Discovery documents and key sets are cached per issuer
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const discover = async (provider) => {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new OidcError('Identity provider issuer mismatch', { status: 502, code: 'PROVIDER_ERROR' });
+  }
+
+  metadataCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+const getSigningKey = async (metadata, kid) => {
+  let jwks = jwksCache.get(metadata.jwks_uri);
+  let jwk = jwks?.keys.find(key => key.kid === kid);
+
+  // Unknown key id: the provider may have rotated its keys
+  if (!jwk) {
+    jwks = await fetchJson(metadata.jwks_uri);
+    jwksCache.set(metadata.jwks_uri, jwks);
+    jwk = jwks.keys.find(key => !kid || key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new OidcError('ID token signed with an unknown key', { status: 401, code: 'INVALID_ID_TOKEN' });
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Everything the callback needs to finish the flow. The caller keeps it in a
+// short-lived cookie bound to the browser that started the sign-in.
+const createAuthorizationRequest = async (provider, redirectUri) => {
+  const metadata = await discover(provider);
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    url: `${metadata.authorization_endpoint}?${params}`,
+    flow: { provider: provider.id, state, nonce, codeVerifier }
+  };
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Malformed ID token', { status: 401, code: 'INVALID_ID_TOKEN' });
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw new OidcError(`Invalid ID token: ${error.message}`, { status: 401, code: 'INVALID_ID_TOKEN' });
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce mismatch', { status: 401, code: 'INVALID_ID_TOKEN' });
+  }
+  return claims;
+};
+
+// Exchange the authorization code and return the verified identity
+const completeAuthorization = async (provider, flow, { code, redirectUri }) => {
+  const metadata = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: flow.codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  if (provider.tokenAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+    if (provider.clientSecret) {
+      params.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+  if (!tokens.id_token) {
+    throw new OidcError('Identity provider did not return an ID token', { status: 502, code: 'PROVIDER_ERROR' });
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, flow.nonce);
+
+  return {
+    provider: provider.id,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+};
+
+module.exports = {
+  OidcError,
+  listProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+};
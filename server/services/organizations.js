@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+// Client organizations. A personal project belongs to its client alone; a
+// team project belongs to an organization and its members act on it by
+// role. Every project route asks getProjectAccess what the user may do.
+
+const INVITATION_TTL_DAYS = 7;
+
+// Roles that may run projects: accept bids, fund, release and refund escrow,
+// review deliveries
+const MANAGING_ROLES = ['OWNER', 'MANAGER'];
+
+class OrganizationError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getMembership = (db, organizationId, userId) => {
+  return db.membership.findUnique({
+    where: { organizationId_userId: { organizationId, userId } }
+  });
+};
+
+// The user's role on a project (OWNER, MANAGER, VIEWER or null) and what it
+// allows. The client of a personal project is its owner.
+const getProjectAccess = async (db, project, userId) => {
+  let role = null;
+
+  if (project.organizationId) {
+    const membership = await getMembership(db, project.organizationId, userId);
+    role = membership ? membership.role : null;
+  } else if (project.clientId === userId) {
+    role = 'OWNER';
+  }
+
+  return {
+    role,
+    canView: role !== null,
+    canManage: MANAGING_ROLES.includes(role)
+  };
+};
+
+// Prisma filter for the projects a user can see, or run with
+// `{ manage: true }`, as a client or organization member
+const projectAccessFilter = (userId, { manage = false } = {}) => ({
+  OR: [
+    { organizationId: null, clientId: userId },
+    {
+      organization: {
+        memberships: {
+          some: manage ? { userId, role: { in: MANAGING_ROLES } } : { userId }
+        }
+      }
+    }
+  ]
+});
+
+// Refuse to demote or remove the last owner. `nextRole` is the member's new
+// role, or null when they are leaving.
+const assertOwnerRemains = async (db, membership, nextRole = null) => {
+  if (membership.role !== 'OWNER' || nextRole === 'OWNER') {
+    return;
+  }
+
+  const owners = await db.membership.count({
+    where: { organizationId: membership.organizationId, role: 'OWNER' }
+  });
+
+  if (owners <= 1) {
+    throw new OrganizationError('An organization needs at least one owner', { status: 409, code: 'LAST_OWNER' });
+  }
+};
+
+// Invite an email address. Earlier pending invitations for the address are
+// revoked. Returns the invitation and the token to email.
+const createInvitation = async (db, { organizationId, email, role, invitedById }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.organizationInvitation.updateMany({
+    where: { organizationId, email, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  const invitation = await db.organizationInvitation.create({
+    data: {
+      organizationId,
+      email,
+      role,
+      invitedById,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return { invitation, token };
+};
+
+// The pending invitation for a token, or an OrganizationError
+const findInvitation = async (db, token) => {
+  const invitation = typeof token === 'string'
+    ? await db.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        organization: { select: { id: true, name: true } },
+        invitedBy: { select: { id: true, name: true } }
+      }
+    })
+    : null;
+
+  if (!invitation || invitation.revokedAt) {
+    throw new OrganizationError('Invalid invitation', { code: 'INVALID_INVITATION' });
+  }
+
+  if (invitation.acceptedAt) {
+    throw new OrganizationError('This invitation has already been used', { code: 'INVITATION_USED' });
+  }
+
+  if (invitation.expiresAt < new Date()) {
+    throw new OrganizationError('This invitation has expired', { code: 'INVITATION_EXPIRED' });
+  }
+
+  return invitation;
+};
+
+// Join the organization an invitation is for. Call inside a transaction.
+// Only the invited address can accept, and only a client account.
+const acceptInvitation = async (db, { token, user }) => {
+  const invitation = await findInvitation(db, token);
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new OrganizationError('This invitation was sent to a different email address', { status: 403, code: 'INVITATION_EMAIL_MISMATCH' });
+  }
+
+  if (user.role !== 'CLIENT') {
+    throw new OrganizationError('Only client accounts can join an organization', { status: 403, code: 'NOT_A_CLIENT' });
+  }
+
+  if (await getMembership(db, invitation.organizationId, user.id)) {
+    throw new OrganizationError('You are already a member of this organization', { status: 409, code: 'ALREADY_MEMBER' });
+  }
+
+  const { count } = await db.organizationInvitation.updateMany({
+    where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+    data: { acceptedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new OrganizationError('This invitation has already been used', { code: 'INVITATION_USED' });
+  }
+
+  const membership = await db.membership.create({
+    data: {
+      organizationId: invitation.organizationId,
+      userId: user.id,
+      role: invitation.role
+    }
+  });
+
+  return { invitation, membership };
+};
+
+module.exports = {
+  MANAGING_ROLES,
+  INVITATION_TTL_DAYS,
+  OrganizationError,
+  getMembership,
+  getProjectAccess,
+  projectAccessFilter,
+  assertOwnerRemains,
+  createInvitation,
+  findInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,177 @@
+const { toCents, fromCents } = require('./stripe');
+
+// Per-word pricing. Freelancers keep a rate per language pair on their
+// profile (LanguagePairRate). A rate-based bid is rate × the project's
+// analyzed word count (services/documentAnalysis.js) plus percentage
+// surcharges, and is stored with its breakdown; bidAmount stays the total,
+// so escrow and fees work the same as for a fixed-price bid.
+
+const MIN_RATE_PER_WORD = 0.01;
+const MAX_RATE_PER_WORD = 5;
+const MAX_RATES_PER_FREELANCER = 50;
+const MAX_SURCHARGE_PERCENT = 200;
+
+const SURCHARGE_TYPES = {
+  RUSH: 'Rush delivery',
+  SPECIALIZED: 'Specialized domain',
+  CERTIFIED: 'Certified translation'
+};
+
+const parseList = (value, name) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON`);
+  }
+};
+
+// Parse a freelancer's language pair rates. Throws with a message suitable
+// for a validation error.
+const parseRates = (value) => {
+  const rates = parseList(value, 'Rates');
+  if (!Array.isArray(rates) || rates.length > MAX_RATES_PER_FREELANCER) {
+    throw new Error(`Rates must be a list of at most ${MAX_RATES_PER_FREELANCER} language pairs`);
+  }
+
+  const pairs = new Set();
+  return rates.map((rate, index) => {
+    const sourceLanguage = typeof rate.sourceLanguage === 'string' ? rate.sourceLanguage.trim() : '';
+    const targetLanguage = typeof rate.targetLanguage === 'string' ? rate.targetLanguage.trim() : '';
+    if (!sourceLanguage || !targetLanguage || sourceLanguage.length > 50 || targetLanguage.length > 50) {
+      throw new Error(`Rate ${index + 1}: source and target language required`);
+    }
+
+    const pair = `${sourceLanguage}→${targetLanguage}`.toLowerCase();
+    if (pairs.has(pair)) {
+      throw new Error(`Rate ${index + 1}: ${sourceLanguage} → ${targetLanguage} is listed twice`);
+    }
+    pairs.add(pair);
+
+    const ratePerWord = parseFloat(rate.ratePerWord);
+    if (!Number.isFinite(ratePerWord) || ratePerWord < MIN_RATE_PER_WORD || ratePerWord > MAX_RATE_PER_WORD) {
+      throw new Error(`Rate ${index + 1}: rate per word must be between $${MIN_RATE_PER_WORD} and $${MAX_RATE_PER_WORD}`);
+    }
+
+    const hasMinimum = rate.minimumCharge !== undefined && rate.minimumCharge !== null && rate.minimumCharge !== '';
+    const minimumCharge = hasMinimum ? parseFloat(rate.minimumCharge) : null;
+    if (hasMinimum && (!Number.isFinite(minimumCharge) || minimumCharge < 0)) {
+      throw new Error(`Rate ${index + 1}: minimum charge must be a positive amount`);
+    }
+
+    return {
+      sourceLanguage,
+      targetLanguage,
+      ratePerWord: Math.round(ratePerWord * 10000) / 10000,
+      minimumCharge: hasMinimum ? fromCents(toCents(minimumCharge)) : null
+    };
+  });
+};
+
+// Parse the surcharges of a rate-based bid, at most one of each type
+const parseSurcharges = (value) => {
+  const surcharges = parseList(value, 'Surcharges');
+  if (!Array.isArray(surcharges)) {
+    throw new Error('Surcharges must be a list');
+  }
+
+  const types = new Set();
+  return surcharges.map((surcharge, index) => {
+    if (!SURCHARGE_TYPES[surcharge.type] || types.has(surcharge.type)) {
+      throw new Error(`Surcharge ${index + 1}: type must be one of ${Object.keys(SURCHARGE_TYPES).join(', ')}, once each`);
+    }
+    types.add(surcharge.type);
+
+    const percent = parseFloat(surcharge.percent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > MAX_SURCHARGE_PERCENT) {
+      throw new Error(`Surcharge ${index + 1}: percent must be between 0 and ${MAX_SURCHARGE_PERCENT}`);
+    }
+
+    return { type: surcharge.type, percent: Math.round(percent * 100) / 100 };
+  });
+};
+
+// The price of a rate-based bid: the base and each surcharge in dollars,
+// computed in cents
+const priceRateBid = ({ ratePerWord, wordCount, surcharges = [] }) => {
+  const baseCents = Math.round(ratePerWord * wordCount * 100);
+  const priced = surcharges.map(surcharge => ({
+    ...surcharge,
+    amount: fromCents(Math.round(baseCents * surcharge.percent / 100))
+  }));
+
+  return {
+    ratePerWord,
+    wordCount,
+    base: fromCents(baseCents),
+    surcharges: priced,
+    total: fromCents(baseCents + priced.reduce((sum, surcharge) => sum + toCents(surcharge.amount), 0))
+  };
+};
+
+// What a translator with this rate would charge for a job
+const priceForRate = (rate, wordCount) => {
+  const base = Math.round(rate.ratePerWord * wordCount * 100);
+  return fromCents(Math.max(base, rate.minimumCharge ? toCents(rate.minimumCharge) : 0));
+};
+
+// Linear interpolation between the closest ranks of a sorted list
+const percentile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// The rates of active freelancers for a language pair, matched without
+// regard to case
+const findPairRates = (db, sourceLanguage, targetLanguage) => {
+  return db.languagePairRate.findMany({
+    where: {
+      sourceLanguage: { equals: sourceLanguage, mode: 'insensitive' },
+      targetLanguage: { equals: targetLanguage, mode: 'insensitive' },
+      freelancer: { role: 'FREELANCER', status: 'ACTIVE' }
+    },
+    select: { ratePerWord: true, minimumCharge: true }
+  });
+};
+
+// An instant price range for a job from the rates of matching translators:
+// the middle half of what they would charge, and the median
+const quotePrice = async (db, { sourceLanguage, targetLanguage, wordCount }) => {
+  const rates = await findPairRates(db, sourceLanguage, targetLanguage);
+  const quote = { sourceLanguage, targetLanguage, wordCount, translators: rates.length };
+
+  if (rates.length === 0) {
+    return { ...quote, ratePerWord: null, price: null };
+  }
+
+  const perWord = rates.map(rate => rate.ratePerWord).sort((a, b) => a - b);
+  const prices = rates.map(rate => priceForRate(rate, wordCount)).sort((a, b) => a - b);
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  return {
+    ...quote,
+    ratePerWord: {
+      low: round(percentile(perWord, 0.25), 4),
+      median: round(percentile(perWord, 0.5), 4),
+      high: round(percentile(perWord, 0.75), 4)
+    },
+    price: {
+      low: round(percentile(prices, 0.25), 2),
+      median: round(percentile(prices, 0.5), 2),
+      high: round(percentile(prices, 0.75), 2)
+    }
+  };
+};
+
+module.exports = {
+  MAX_RATE_PER_WORD,
+  SURCHARGE_TYPES,
+  parseRates,
+  parseSurcharges,
+  priceRateBid,
+  quotePrice
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getProjectAccess } = require('./organizations');
+const { getStorage } = require('./storage');
+const { segmentRows } = require('./xliff');
+
+// Project documents are often confidential, so they live in the private file
+// store (services/storage.js) under projects/. Users who may see them get a
+// short-lived signed URL for GET /api/files/:id; the signature is the
+// authorization, so the link works from a plain <a href>. XLIFF files also
+// get an export link, GET /api/files/:id/xliff, signed separately since it
+// carries the delivered translation.
+//
+// Deliveries, revision markups and dispute evidence are kept as bare store
+// keys on their rows (deliveries/..., revisions/..., disputes/...). The
+// routes that list them check access and swap each key for a signed link to
+// GET /api/files/attachments/<key>.
+
+// Store prefixes of the files served as attachments
+const ATTACHMENT_PREFIXES = ['deliveries', 'revisions', 'disputes'];
+
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 300;
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const signingKey = () => {
+  return process.env.FILE_URL_SECRET
+    || crypto.createHash('sha256').update(`file-urls:${process.env.JWT_SECRET}`).digest('hex');
+};
+
+// `resource` is the file id, "<id>/xliff" for the export, or
+// "attachments/<key>" for other stored files
+const sign = (resource, userId, expires) => {
+  return crypto.createHmac('sha256', signingKey())
+    .update(`${resource}.${userId}.${expires}`)
+    .digest('base64url');
+};
+
+// Whether a user may download a project's files: the client or organization
+// members, the hired freelancer, admins, and freelancers with an open bid
+// when the client shares files with bidders
+const canDownloadProjectFiles = async (db, project, user) => {
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+
+  const { canView } = await getProjectAccess(db, project, user.id);
+  if (canView) {
+    return true;
+  }
+
+  const bid = await db.bid.findFirst({
+    where: {
+      projectId: project.id,
+      freelancerId: user.id,
+      status: project.shareFilesWithBidders ? { in: ['PENDING', 'ACCEPTED'] } : 'ACCEPTED'
+    }
+  });
+  return !!bid;
+};
+
+// Whether a user may export XLIFF files with the delivered translation: the
+// client or organization members, the hired freelancer and admins, but not
+// other bidders
+const canExportProjectFiles = async (db, project, user) => {
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+
+  const { canView } = await getProjectAccess(db, project, user.id);
+  if (canView) {
+    return true;
+  }
+
+  const bid = await db.bid.findFirst({
+    where: { projectId: project.id, freelancerId: user.id, status: 'ACCEPTED' }
+  });
+  return !!bid;
+};
+
+// A URL under /api/files for one user, valid for FILE_URL_TTL_SECONDS
+const signedUrl = (resource, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+  const params = new URLSearchParams({
+    user: userId,
+    expires: String(expires),
+    signature: sign(resource, userId, expires)
+  });
+
+  return {
+    url: `${API_URL}/api/files/${resource}?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// A project file's download URL
+const signFileUrl = (file, userId, { xliff = false } = {}) => {
+  return signedUrl(xliff ? `${file.id}/xliff` : file.id, userId);
+};
+
+// Links for a delivery's, revision request's or dispute evidence's files.
+// Keys left from before the file store have no link until
+// scripts/migrate-storage.js moves them.
+const serializeAttachments = (keys, userId) => keys.map(key => ({
+  name: path.basename(key),
+  ...(ATTACHMENT_PREFIXES.some(prefix => key.startsWith(`${prefix}/`)) ? signedUrl(`attachments/${key}`, userId) : { url: null })
+}));
+
+// Check a signed URL's parameters
+const verifyFileSignature = (resource, { user, expires, signature }) => {
+  if (!user || !expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(resource, user, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// ProjectFile data for files multer has just streamed into the store, with
+// the segments of those that are XLIFF (parsed[i], from services/xliff.js)
+const projectFileData = (files, uploadedById, parsed = []) => files.map((file, index) => ({
+  uploadedById,
+  originalName: file.originalname,
+  storagePath: file.key,
+  mimeType: file.mimetype,
+  size: file.size,
+  ...(parsed[index] && {
+    xliffVersion: parsed[index].version,
+    segments: { createMany: { data: segmentRows(parsed[index]) } }
+  })
+}));
+
+// Delete files from the store after their rows are gone
+const removeStoredFiles = (files) => {
+  files.forEach(file => {
+    getStorage().delete(file.storagePath)
+      .catch(error => console.error('Remove project file error:', error));
+  });
+};
+
+// What the API returns for a file, with a fresh download URL for the user.
+// For XLIFF, `progress` holds its segment counts and `canExport` adds the
+// export URL.
+const serializeProjectFile = (file, userId, { progress, canExport = false } = {}) => ({
+  id: file.id,
+  originalName: file.originalName,
+  mimeType: file.mimeType,
+  size: file.size,
+  analysis: file.analysis,
+  analysisError: file.analysisError,
+  xliff: file.xliffVersion
+    ? {
+      version: file.xliffVersion,
+      ...progress,
+      exportUrl: canExport ? signFileUrl(file, userId, { xliff: true }).url : null
+    }
+    : null,
+  createdAt: file.createdAt,
+  ...signFileUrl(file, userId)
+});
+
+module.exports = {
+  ATTACHMENT_PREFIXES,
+  FILE_URL_TTL_SECONDS,
+  canDownloadProjectFiles,
+  canExportProjectFiles,
+  signFileUrl,
+  serializeAttachments,
+  verifyFileSignature,
+  projectFileData,
+  removeStoredFiles,
+  serializeProjectFile
+};
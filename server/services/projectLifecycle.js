@@ -0,0 +1,145 @@
+const { recordAudit } = require('./auditLog');
+
+// Project lifecycle state machine. Every project status change goes through
+// transitionProject so illegal moves are rejected in one place and each move
+// is recorded in ProjectStatusHistory and the audit log.
+
+// Legal transitions, who may trigger them and through which action.
+// Actors: CLIENT (project owner or organization manager), FREELANCER
+// (accepted freelancer), ADMIN, SYSTEM.
+const TRANSITIONS = [
+  { from: 'POSTED', to: 'AWAITING_FUNDING', actors: ['CLIENT'], triggers: ['bid.accept'] },
+  { from: 'POSTED', to: 'CANCELLED', actors: ['CLIENT', 'ADMIN'], triggers: ['project.update', 'admin.cancel'] },
+  { from: 'AWAITING_FUNDING', to: 'IN_PROGRESS', actors: ['CLIENT', 'SYSTEM'], triggers: ['transaction.funded'] },
+  { from: 'AWAITING_FUNDING', to: 'CANCELLED', actors: ['CLIENT', 'ADMIN'], triggers: ['transaction.refund', 'admin.cancel', 'admin.force_resolve'] },
+  { from: 'IN_PROGRESS', to: 'COMPLETED', actors: ['CLIENT', 'ADMIN'], triggers: ['delivery.accept', 'admin.force_resolve'] },
+  { from: 'IN_PROGRESS', to: 'CANCELLED', actors: ['CLIENT', 'SYSTEM', 'ADMIN'], triggers: ['transaction.refund', 'stripe.charge_refunded', 'admin.force_resolve'] },
+  { from: 'COMPLETED', to: 'PAID', actors: ['CLIENT', 'ADMIN'], triggers: ['transaction.release', 'admin.force_resolve'] },
+  { from: 'COMPLETED', to: 'CANCELLED', actors: ['SYSTEM', 'ADMIN'], triggers: ['stripe.charge_refunded', 'admin.force_resolve'] },
+  { from: 'IN_PROGRESS', to: 'DISPUTED', actors: ['CLIENT', 'FREELANCER', 'SYSTEM'], triggers: ['dispute.open', 'stripe.dispute_created'] },
+  { from: 'COMPLETED', to: 'DISPUTED', actors: ['CLIENT', 'FREELANCER', 'SYSTEM'], triggers: ['dispute.open', 'stripe.dispute_created'] },
+  { from: 'DISPUTED', to: 'PAID', actors: ['ADMIN'], triggers: ['dispute.resolve', 'admin.force_resolve'] },
+  { from: 'DISPUTED', to: 'CANCELLED', actors: ['ADMIN', 'SYSTEM'], triggers: ['dispute.resolve', 'admin.force_resolve', 'stripe.dispute_closed'] },
+  // Settling a dispute over one milestone, or a chargeback the platform won,
+  // returns the project to where its milestones or its work put it
+  { from: 'DISPUTED', to: 'AWAITING_FUNDING', actors: ['ADMIN', 'SYSTEM'], triggers: ['dispute.resolve', 'admin.force_resolve', 'stripe.dispute_closed'] },
+  { from: 'DISPUTED', to: 'IN_PROGRESS', actors: ['ADMIN', 'SYSTEM'], triggers: ['dispute.resolve', 'admin.force_resolve', 'stripe.dispute_closed'] },
+  { from: 'DISPUTED', to: 'COMPLETED', actors: ['ADMIN', 'SYSTEM'], triggers: ['dispute.resolve', 'admin.force_resolve', 'stripe.dispute_closed'] },
+  // An admin can pay out or refund escrow without waiting for the parties
+  { from: 'IN_PROGRESS', to: 'PAID', actors: ['ADMIN'], triggers: ['admin.force_resolve'] },
+  { from: 'IN_PROGRESS', to: 'AWAITING_FUNDING', actors: ['ADMIN'], triggers: ['admin.force_resolve'] }
+];
+
+class ProjectTransitionError extends Error {
+  constructor(message, { status = 409, code = 'ILLEGAL_TRANSITION', from, to, trigger } = {}) {
+    super(message);
+    this.name = 'ProjectTransitionError';
+    this.status = status;
+    this.code = code;
+    this.from = from;
+    this.to = to;
+    this.trigger = trigger;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      from: this.from,
+      to: this.to,
+      trigger: this.trigger,
+      allowed: getAllowedTransitions(this.from)
+    };
+  }
+}
+
+const getAllowedTransitions = (from) => {
+  return TRANSITIONS
+    .filter(transition => transition.from === from)
+    .map(({ to, actors, triggers }) => ({ to, actors, triggers }));
+};
+
+const findTransition = (from, to) => {
+  return TRANSITIONS.find(transition => transition.from === from && transition.to === to);
+};
+
+// Move a project to a new status inside the given Prisma client or
+// interactive transaction. Throws ProjectTransitionError on illegal moves.
+const transitionProject = async (db, { project, to, actorId = null, actorRole, trigger, note }) => {
+  const from = project.status;
+  const transition = findTransition(from, to);
+
+  if (!transition || !transition.triggers.includes(trigger)) {
+    throw new ProjectTransitionError(
+      `Cannot move project from ${from} to ${to}`,
+      { from, to, trigger }
+    );
+  }
+
+  if (!transition.actors.includes(actorRole)) {
+    throw new ProjectTransitionError(
+      `${actorRole} is not allowed to move project from ${from} to ${to}`,
+      { status: 403, code: 'TRANSITION_FORBIDDEN', from, to, trigger }
+    );
+  }
+
+  // Guard against a concurrent request having moved the project already
+  const { count } = await db.project.updateMany({
+    where: { id: project.id, status: from },
+    data: { status: to }
+  });
+
+  if (count === 0) {
+    throw new ProjectTransitionError(
+      'Project status changed by another request',
+      { code: 'STALE_STATUS', from, to, trigger }
+    );
+  }
+
+  await db.projectStatusHistory.create({
+    data: {
+      projectId: project.id,
+      fromStatus: from,
+      toStatus: to,
+      actorId,
+      actorRole,
+      trigger,
+      note
+    }
+  });
+
+  await recordAudit(db, null, {
+    actorId,
+    actorRole,
+    action: 'project.status_change',
+    entityType: 'Project',
+    entityId: project.id,
+    before: { status: from },
+    after: { status: to },
+    metadata: { trigger, note }
+  });
+
+  return to;
+};
+
+// Record the initial status of a newly created project
+const recordInitialStatus = async (db, { project, actorId }) => {
+  return db.projectStatusHistory.create({
+    data: {
+      projectId: project.id,
+      fromStatus: null,
+      toStatus: project.status,
+      actorId,
+      actorRole: 'CLIENT',
+      trigger: 'project.create'
+    }
+  });
+};
+
+module.exports = {
+  TRANSITIONS,
+  ProjectTransitionError,
+  getAllowedTransitions,
+  transitionProject,
+  recordInitialStatus
+};
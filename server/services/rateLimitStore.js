@@ -0,0 +1,93 @@
+const { PrismaClient } = require('@prisma/client');
+
+// Storage for express-rate-limit counters. RATE_LIMIT_STORE picks it:
+//   memory    per-process counters (the default; fine for one instance)
+//   database  counters in the rate_limit_buckets table, shared by every
+//             server instance pointing at the same database
+
+const prisma = new PrismaClient();
+
+// Expired buckets are reused by their key; sweep the rest now and then
+const PRUNE_EVERY = 1000;
+
+class DatabaseStore {
+  constructor(db, prefix) {
+    this.db = db;
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.increments = 0;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  async get(key) {
+    const bucket = await this.db.rateLimitBucket.findUnique({
+      where: { key: this.key(key) }
+    });
+
+    if (!bucket || bucket.resetAt <= new Date()) {
+      return undefined;
+    }
+    return { totalHits: bucket.hits, resetTime: bucket.resetAt };
+  }
+
+  // One statement so concurrent requests on different instances cannot lose
+  // hits: start a new window if the old one is over, otherwise count up
+  async increment(key) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + this.windowMs);
+
+    const [bucket] = await this.db.$queryRaw`
+      INSERT INTO rate_limit_buckets (key, hits, reset_at)
+      VALUES (${this.key(key)}, 1, ${resetAt})
+      ON CONFLICT (key) DO UPDATE SET
+        hits = CASE WHEN rate_limit_buckets.reset_at <= ${now} THEN 1 ELSE rate_limit_buckets.hits + 1 END,
+        reset_at = CASE WHEN rate_limit_buckets.reset_at <= ${now} THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END
+      RETURNING hits, reset_at`;
+
+    if (++this.increments % PRUNE_EVERY === 0) {
+      this.db.rateLimitBucket.deleteMany({ where: { resetAt: { lt: now } } })
+        .catch(error => console.error('Rate limit prune error:', error));
+    }
+
+    return { totalHits: bucket.hits, resetTime: bucket.reset_at };
+  }
+
+  async decrement(key) {
+    await this.db.rateLimitBucket.updateMany({
+      where: { key: this.key(key), hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } }
+    });
+  }
+
+  async resetKey(key) {
+    await this.db.rateLimitBucket.deleteMany({
+      where: { key: this.key(key) }
+    });
+  }
+}
+
+// The store for one named limiter, or undefined for express-rate-limit's
+// built-in memory store
+const createRateLimitStore = (name) => {
+  const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (storeName === 'memory') {
+    return undefined;
+  }
+  if (storeName === 'database') {
+    return new DatabaseStore(prisma, name);
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}"`);
+};
+
+module.exports = {
+  DatabaseStore,
+  createRateLimitStore
+};
@@ -0,0 +1,21 @@
+// Recalculate a user's average rating from their visible reviews. Call after
+// creating, editing, hiding or unhiding a review.
+const updateUserRating = async (db, userId) => {
+  const reviews = await db.review.findMany({
+    where: { revieweeId: userId, hiddenAt: null },
+    select: { rating: true }
+  });
+
+  const averageRating = reviews.length > 0
+    ? reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length
+    : 0;
+
+  return db.user.update({
+    where: { id: userId },
+    data: { rating: Math.round(averageRating * 10) / 10 }
+  });
+};
+
+module.exports = {
+  updateUserRating
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getAccountBlock } = require('./moderation');
+
+// Sessions back short-lived access tokens with rotating refresh tokens.
+// Access tokens carry the session id so revoking a session takes effect
+// immediately; refresh tokens are single use, and presenting the one just
+// spent revokes the session because it means the token was copied. Any other
+// wrong secret is refused without touching the session, so knowing a session
+// id is not enough to end it.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class SessionError extends Error {
+  constructor(message, { status = 401, code = 'INVALID_REFRESH_TOKEN' } = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const issueTokens = (session, secret) => ({
+  token: signAccessToken(session.userId, session.id),
+  refreshToken: `${session.id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 255) || null,
+  ipAddress: req.ip || null
+});
+
+// Start a session for a user who just proved who they are. Pass
+// twoFactorVerifiedAt when they also passed a 2FA check to sign in.
+const createSession = async (db, userId, req, { twoFactorVerifiedAt = null } = {}) => {
+  const secret = newSecret();
+  const session = await db.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: refreshExpiry(),
+      twoFactorVerifiedAt,
+      ...clientInfo(req)
+    }
+  });
+
+  return { session, ...issueTokens(session, secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret) {
+    throw new SessionError('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+const revokeSession = (db, sessionId, reason) => {
+  return db.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Revoke the session a refresh token belongs to, if the token is still
+// its current one
+const revokeRefreshToken = async (db, refreshToken, reason) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const { count } = await db.session.updateMany({
+    where: { id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  if (count === 0) {
+    throw new SessionError('Invalid refresh token');
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const rotateSession = async (db, refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const session = await db.session.findUnique({
+    where: { id: sessionId },
+    include: { user: true }
+  });
+
+  if (!session || session.revokedAt) {
+    throw new SessionError('Session has been revoked', { code: 'SESSION_REVOKED' });
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw new SessionError('Session has expired', { code: 'SESSION_EXPIRED' });
+  }
+
+  const nextSecret = newSecret();
+
+  // Swap the secret only if it is still the one presented, so two
+  // concurrent refreshes with the same token cannot both succeed
+  const { count } = await db.session.updateMany({
+    where: { id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(nextSecret),
+      previousRefreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      ...clientInfo(req)
+    }
+  });
+
+  if (count === 0) {
+    const current = await db.session.findUnique({ where: { id: sessionId } });
+    if (current?.previousRefreshTokenHash !== hashSecret(secret)) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    await revokeSession(db, sessionId, 'refresh_token_reused');
+    console.error(`Refresh token reuse detected for session ${sessionId}; session revoked`);
+    throw new SessionError('Refresh token has already been used', { code: 'REFRESH_TOKEN_REUSED' });
+  }
+
+  // Suspending an account revokes its sessions; this also covers a refresh
+  // in the moment before that. Checked once the token has proven to be
+  // the session's, so the block is only shown to its owner.
+  const block = getAccountBlock(session.user);
+  if (block) {
+    await revokeSession(db, sessionId, block.code.toLowerCase());
+    throw new SessionError(block.error, { status: 403, code: block.code });
+  }
+
+  return issueTokens(session, nextSecret);
+};
+
+// Resolve the session an access token belongs to, or null if it is no
+// longer valid
+const findActiveSession = async (db, sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await db.session.findUnique({ where: { id: sessionId } });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  findActiveSession,
+  parseRefreshToken,
+  signAccessToken
+};
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { PassThrough, Readable } = stream;
+const { pipeline } = require('stream/promises');
+
+// Where uploaded files live. STORAGE_DRIVER picks the backend:
+//   local  files under STORAGE_DIR (the default; one instance only)
+//   s3     an S3-compatible bucket (AWS S3, MinIO, R2, ...), shared by every
+//          server instance
+//
+// Every driver has the same interface, with keys like "projects/<name>":
+//   put(key, body, { contentType })  store a Buffer or stream; { key, size }
+//   get(key)                         the contents as a Buffer
+//   stream(key)                      the contents as a readable stream
+//   delete(key)                      remove; a missing key is fine
+//   signedUrl(key, options)          a temporary direct download URL, or
+//                                    null when the app must stream the file
+
+class StorageError extends Error {
+  constructor(message, { status = 404, code = 'NOT_FOUND' } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const toStream = (body) => (Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body);
+
+const streamToBuffer = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Counts the bytes that pass through, for drivers that cannot report a size
+const byteCounter = () => {
+  const counter = new PassThrough();
+  counter.bytes = 0;
+  counter.on('data', chunk => {
+    counter.bytes += chunk.length;
+  });
+  return counter;
+};
+
+class LocalStorage {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are generated by the app, but never let one escape the root
+  pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new StorageError(`Invalid storage key "${key}"`, { status: 400, code: 'INVALID_KEY' });
+    }
+    return filePath;
+  }
+
+  // Write to a temporary file first, so readers never see half a file
+  async put(key, body) {
+    const filePath = this.pathFor(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const counter = byteCounter();
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(toStream(body), counter, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return { key, size: counter.bytes };
+  }
+
+  async get(key) {
+    return streamToBuffer(await this.stream(key));
+  }
+
+  async stream(key) {
+    const filePath = this.pathFor(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      throw new StorageError(`No stored file "${key}"`);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathFor(key), { force: true });
+  }
+
+  // Local files have no URL of their own; the app streams them
+  async signedUrl() {
+    return null;
+  }
+}
+
+class S3Storage {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    // Loaded here so local-only installs never touch the SDK
+    const s3 = require('@aws-sdk/client-s3');
+    this.s3 = s3;
+    this.bucket = bucket;
+    this.client = new s3.S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  // Multipart upload, so streams of unknown length work
+  async put(key, body, { contentType } = {}) {
+    const { Upload } = require('@aws-sdk/lib-storage');
+    // stream.pipeline passes a failing upload stream's error on to the SDK
+    const counter = byteCounter();
+    stream.pipeline(toStream(body), counter, () => {});
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: counter,
+        ContentType: contentType
+      }
+    });
+
+    await upload.done();
+    return { key, size: counter.bytes };
+  }
+
+  async get(key) {
+    return streamToBuffer(await this.stream(key));
+  }
+
+  async stream(key) {
+    try {
+      const response = await this.client.send(new this.s3.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw new StorageError(`No stored file "${key}"`);
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new this.s3.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  // A presigned GET. `filename` makes the browser save the file under that
+  // name; `inline` lets images display.
+  async signedUrl(key, { expiresIn = 60, filename, contentType, inline = false } = {}) {
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    const disposition = filename
+      ? `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`
+      : undefined;
+
+    return getSignedUrl(this.client, new this.s3.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentDisposition: disposition,
+      ResponseContentType: contentType
+    }), { expiresIn });
+  }
+}
+
+// The backend chosen by the environment
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return new LocalStorage({ root: env.STORAGE_DIR || 'storage' });
+  }
+  if (driver === 's3') {
+    if (!env.S3_BUCKET) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+let storage;
+
+// The shared backend, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// A new, unguessable key under a prefix, keeping the upload's extension
+const newStorageKey = (prefix, originalName) => {
+  const extension = path.extname(originalName).toLowerCase();
+  return `${prefix}/${Date.now()}-${crypto.randomBytes(12).toString('hex')}${extension}`;
+};
+
+// multer storage engine that streams each upload straight into the backend.
+// The stored key ends up in file.key and its size in file.size.
+const multerStorage = (prefix) => ({
+  _handleFile(req, file, cb) {
+    const key = newStorageKey(prefix, file.originalname);
+    getStorage().put(key, file.stream, { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { key, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage().delete(file.key).then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  StorageError,
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  getStorage,
+  newStorageKey,
+  multerStorage
+};
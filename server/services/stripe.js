@@ -0,0 +1,27 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client. Setting STRIPE_API_HOST points every call at a local
+// stripe-mock (e.g. STRIPE_API_HOST=localhost STRIPE_API_PORT=12111
+// STRIPE_API_PROTOCOL=http) so the escrow flow can be exercised offline.
+const options = {};
+
+if (process.env.STRIPE_API_HOST) {
+  options.host = process.env.STRIPE_API_HOST;
+  options.port = process.env.STRIPE_API_PORT || 443;
+  options.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+}
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, options);
+
+// Stripe works in the smallest currency unit
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const isStripeError = (error) => error instanceof Stripe.errors.StripeError;
+
+module.exports = {
+  stripe,
+  toCents,
+  fromCents,
+  isStripeError
+};
@@ -0,0 +1,333 @@
+const { PrismaClient } = require('@prisma/client');
+const { stripe } = require('./stripe');
+const { transitionProject } = require('./projectLifecycle');
+const { recordFunding, EscrowError } = require('./escrow');
+const { postRefund } = require('./ledger');
+const { chargeAmount } = require('./fees');
+const { getTargetStatus, syncProjectStatus } = require('./milestones');
+const { recordAudit } = require('./auditLog');
+
+const prisma = new PrismaClient();
+
+// Verify the Stripe-Signature header against the raw request body
+const constructEvent = (rawBody, signature) => {
+  return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
+const findByPaymentIntent = (tx, paymentIntentId) => {
+  return tx.transaction.findFirst({
+    where: { stripePaymentId: paymentIntentId },
+    include: { project: true }
+  });
+};
+
+// Prefer the transaction id the intent was created with
+const findIntentTransaction = async (tx, paymentIntent) => {
+  if (paymentIntent.metadata?.transactionId) {
+    return tx.transaction.findUnique({
+      where: { id: paymentIntent.metadata.transactionId },
+      include: { project: true }
+    });
+  }
+
+  return findByPaymentIntent(tx, paymentIntent.id);
+};
+
+const handlePaymentSucceeded = async (tx, paymentIntent) => {
+  const transaction = await findIntentTransaction(tx, paymentIntent);
+  if (!transaction) {
+    return;
+  }
+
+  try {
+    await recordFunding(tx, {
+      transaction,
+      paymentIntent,
+      actorRole: 'SYSTEM'
+    });
+  } catch (error) {
+    // Retrying cannot fix a mismatched or stale payment; flag it for follow-up
+    if (!(error instanceof EscrowError)) {
+      throw error;
+    }
+
+    console.error(`Unreconciled payment ${paymentIntent.id}: ${error.message}`);
+    await tx.transaction.update({
+      where: { id: transaction.id },
+      data: { failureReason: `Unreconciled payment ${paymentIntent.id}: ${error.message}` }
+    });
+  }
+};
+
+const handlePaymentFailed = async (tx, paymentIntent) => {
+  const transaction = await findByPaymentIntent(tx, paymentIntent.id);
+  if (!transaction) {
+    return;
+  }
+
+  const failureReason = paymentIntent.last_payment_error?.message || 'Payment failed';
+  await tx.transaction.update({
+    where: { id: transaction.id },
+    data: { failureReason }
+  });
+
+  await recordAudit(tx, null, {
+    action: 'transaction.payment_failed',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    metadata: { paymentIntentId: paymentIntent.id, failureReason }
+  });
+};
+
+const handleChargeRefunded = async (tx, charge) => {
+  const transaction = await findByPaymentIntent(tx, charge.payment_intent);
+
+  // Partial refunds are handled by the flow that issued them
+  if (!transaction || !charge.refunded || transaction.status === 'REFUNDED') {
+    return;
+  }
+
+  // An outside refund of one milestone cancels only that milestone; the
+  // project is cancelled once nothing is left to deliver
+  let cancelsProject = true;
+  if (transaction.milestoneId) {
+    await tx.milestone.update({
+      where: { id: transaction.milestoneId },
+      data: { status: 'CANCELLED' }
+    });
+    cancelsProject = await getTargetStatus(tx, transaction.projectId) === 'CANCELLED';
+  }
+
+  if (cancelsProject && ['IN_PROGRESS', 'COMPLETED'].includes(transaction.project.status)) {
+    await transitionProject(tx, {
+      project: transaction.project,
+      to: 'CANCELLED',
+      actorRole: 'SYSTEM',
+      trigger: 'stripe.charge_refunded',
+      note: 'Refund issued outside the marketplace'
+    });
+  }
+
+  const refundedTransaction = await tx.transaction.update({
+    where: { id: transaction.id },
+    data: {
+      status: 'REFUNDED',
+      stripeRefundId: transaction.stripeRefundId || charge.refunds?.data?.[0]?.id || null
+    }
+  });
+
+  // Only money still held in escrow is on the ledger to be returned
+  if (['FUNDED', 'DISPUTED'].includes(transaction.status)) {
+    await postRefund(tx, refundedTransaction);
+  }
+
+  await recordAudit(tx, null, {
+    action: 'transaction.refund',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    before: { status: transaction.status },
+    after: { status: 'REFUNDED', stripeRefundId: refundedTransaction.stripeRefundId },
+    metadata: { projectId: transaction.projectId, amount: transaction.amount, chargeId: charge.id, source: 'stripe' }
+  });
+};
+
+// A chargeback freezes funded escrow until the card issuer decides it. It
+// is recorded as a Dispute so admins see it with the others, but Stripe
+// reports the outcome (charge.dispute.closed). If a party had already
+// opened a dispute, that one stays in charge.
+const handleDisputeCreated = async (tx, dispute) => {
+  const transaction = await findByPaymentIntent(tx, dispute.payment_intent);
+  if (!transaction) {
+    return;
+  }
+
+  const freezes = transaction.status === 'FUNDED';
+  const updated = await tx.transaction.update({
+    where: { id: transaction.id },
+    data: {
+      status: freezes ? 'DISPUTED' : transaction.status,
+      stripeDisputeId: dispute.id
+    }
+  });
+
+  let chargeback = null;
+  if (freezes) {
+    const note = `Chargeback filed with the card issuer (${dispute.reason})`;
+
+    if (['IN_PROGRESS', 'COMPLETED'].includes(transaction.project.status)) {
+      await transitionProject(tx, {
+        project: transaction.project,
+        to: 'DISPUTED',
+        actorRole: 'SYSTEM',
+        trigger: 'stripe.dispute_created',
+        note
+      });
+    }
+
+    chargeback = await tx.dispute.create({
+      data: {
+        transactionId: transaction.id,
+        projectId: transaction.projectId,
+        openedById: transaction.clientId,
+        reason: note,
+        stripeDisputeId: dispute.id
+      }
+    });
+  }
+
+  await recordAudit(tx, null, {
+    action: 'transaction.chargeback',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    before: { status: transaction.status },
+    after: { status: updated.status },
+    metadata: { stripeDisputeId: dispute.id, disputeId: chargeback?.id, reason: dispute.reason }
+  });
+};
+
+// Where a project was before it was disputed
+const statusBeforeDispute = async (tx, projectId) => {
+  const entry = await tx.projectStatusHistory.findFirst({
+    where: { projectId, toStatus: 'DISPUTED' },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return entry?.fromStatus || 'IN_PROGRESS';
+};
+
+// A lost chargeback has returned the money to the client, so the escrow is
+// refunded. A won one (or an inquiry that closed without one) puts the
+// payment back in escrow and the project back to work, unless a party's
+// own dispute is holding it.
+const handleDisputeClosed = async (tx, dispute) => {
+  const transaction = await tx.transaction.findFirst({
+    where: { stripeDisputeId: dispute.id },
+    include: { project: true, dispute: true }
+  });
+  if (!transaction || transaction.status !== 'DISPUTED') {
+    return;
+  }
+
+  const lost = dispute.status === 'lost';
+  const isChargeback = transaction.dispute?.stripeDisputeId === dispute.id;
+  const note = lost
+    ? 'Chargeback lost; the card issuer returned the payment to the client'
+    : 'Chargeback closed in the marketplace\'s favour; the payment is back in escrow';
+
+  if (lost || isChargeback) {
+    if (transaction.milestoneId) {
+      if (lost) {
+        await tx.milestone.update({
+          where: { id: transaction.milestoneId },
+          data: { status: 'CANCELLED' }
+        });
+      }
+
+      await syncProjectStatus(tx, {
+        project: transaction.project,
+        actorRole: 'SYSTEM',
+        trigger: 'stripe.dispute_closed',
+        note
+      });
+    } else if (transaction.project.status === 'DISPUTED') {
+      await transitionProject(tx, {
+        project: transaction.project,
+        to: lost ? 'CANCELLED' : await statusBeforeDispute(tx, transaction.projectId),
+        actorRole: 'SYSTEM',
+        trigger: 'stripe.dispute_closed',
+        note
+      });
+    }
+
+    const updated = await tx.transaction.update({
+      where: { id: transaction.id },
+      data: { status: lost ? 'REFUNDED' : 'FUNDED' }
+    });
+
+    if (lost) {
+      await postRefund(tx, updated);
+    }
+
+    if (transaction.dispute?.status === 'OPEN') {
+      await tx.dispute.update({
+        where: { id: transaction.dispute.id },
+        data: {
+          status: 'RESOLVED',
+          resolution: lost ? 'REFUND' : null,
+          releaseAmount: 0,
+          refundAmount: lost ? chargeAmount(transaction) : 0,
+          resolutionNote: note,
+          resolvedAt: new Date()
+        }
+      });
+    }
+  }
+
+  await recordAudit(tx, null, {
+    action: 'transaction.chargeback_closed',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    before: { status: transaction.status },
+    after: { status: lost ? 'REFUNDED' : isChargeback ? 'FUNDED' : transaction.status },
+    metadata: { stripeDisputeId: dispute.id, outcome: dispute.status, disputeId: transaction.dispute?.id }
+  });
+};
+
+const handleTransferCreated = async (tx, transfer) => {
+  const transactionId = transfer.metadata?.transactionId;
+  if (!transactionId) {
+    return;
+  }
+
+  await tx.transaction.updateMany({
+    where: { id: transactionId, stripeTransferId: null },
+    data: { stripeTransferId: transfer.id }
+  });
+};
+
+const handleTransferReversed = async (tx, transfer) => {
+  await tx.transaction.updateMany({
+    where: { stripeTransferId: transfer.id },
+    data: { transferReversedAt: new Date() }
+  });
+};
+
+const handlers = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.closed': handleDisputeClosed,
+  'transfer.created': handleTransferCreated,
+  'transfer.reversed': handleTransferReversed
+};
+
+// Apply a verified event exactly once. The event id is recorded in the same
+// database transaction as its effects, so a failed handler can be retried.
+const processEvent = async (event) => {
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.stripeEvent.findUnique({
+      where: { id: event.id }
+    });
+
+    if (existing) {
+      return { duplicate: true };
+    }
+
+    const handler = handlers[event.type];
+    if (handler) {
+      await handler(tx, event.data.object);
+    }
+
+    await tx.stripeEvent.create({
+      data: { id: event.id, type: event.type }
+    });
+
+    return { duplicate: false, handled: Boolean(handler) };
+  });
+};
+
+module.exports = {
+  constructEvent,
+  processEvent
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 30 second steps, 6
+// digits) plus one-time recovery codes. Secrets are stored encrypted with
+// AES-256-GCM under TWO_FACTOR_ENCRYPTION_KEY. A code is accepted once: the
+// last step used is remembered so an intercepted code cannot be replayed.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'TranslateHub';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends Error {
+  constructor(message, { status = 401, code = 'INVALID_TWO_FACTOR_CODE' } = {}) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The step a code belongs to, or null if it matches none in the drift window
+const matchTotp = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const otpauthUrl = (accountName, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Secrets at rest: "<iv>.<auth tag>.<ciphertext>", base64url encoded
+const encryptionKey = () => {
+  const configured = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (configured) {
+    const key = Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+    }
+    return key;
+  }
+  return crypto.createHash('sha256').update(`two-factor:${process.env.JWT_SECRET}`).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Replace a user's recovery codes and return the new ones in plain text.
+// They are shown once and cannot be retrieved again.
+const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.recoveryCode.deleteMany({ where: { userId } });
+  await db.recoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+  });
+
+  return codes;
+};
+
+const useRecoveryCode = async (db, userId, code) => {
+  const { count } = await db.recoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+};
+
+// Accept a TOTP code against a secret, at most once per step
+const acceptTotp = async (db, user, secret, code) => {
+  const step = matchTotp(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await db.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+    },
+    data: { twoFactorLastStep: step }
+  });
+  return count === 1;
+};
+
+// Check a second factor for a user with 2FA enabled: a current TOTP code,
+// or one of their unused recovery codes. Throws TwoFactorError otherwise.
+const verifySecondFactor = async (db, user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabledAt || !user.twoFactorSecret) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', { status: 400, code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  if (recoveryCode) {
+    if (await useRecoveryCode(db, user.id, recoveryCode)) {
+      return { method: 'recovery_code' };
+    }
+    throw new TwoFactorError('Invalid recovery code');
+  }
+
+  if (await acceptTotp(db, user, decryptSecret(user.twoFactorSecret), code)) {
+    return { method: 'totp' };
+  }
+  throw new TwoFactorError('Invalid authentication code');
+};
+
+// A short-lived token proving the password step of a login succeeded
+const createLoginChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor_login' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'two_factor_login') {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded.userId;
+  } catch (error) {
+    throw new TwoFactorError('Login challenge expired, please sign in again', { code: 'CHALLENGE_EXPIRED' });
+  }
+};
+
+module.exports = {
+  TwoFactorError,
+  generateSecret,
+  matchTotp,
+  acceptTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
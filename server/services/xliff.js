@@ -0,0 +1,414 @@
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+// XLIFF, the bilingual exchange format of CAT tools. Uploaded XLIFF 1.2
+// (including Trados .sdlxliff and memoQ .mqxliff) and 2.0 files are split
+// into XliffSegment rows; targets from XLIFF in an accepted delivery are
+// merged into them, and the export writes them back into a copy of the
+// original file. Source and target are kept as XLIFF markup, so inline tags
+// (<g>, <x/>, <bpt>, <pc>, <ph/>, ...) survive untouched.
+//
+// Both reading and writing walk the file with forEachSegment, so segments
+// always line up with the original file by position.
+
+const XLIFF_FILE = /\.(xlf|xliff|sdlxliff|mqxliff)$/i;
+
+// 1.2 inline elements whose text is native code, not translatable text
+const CODE_ELEMENTS = new Set(['bpt', 'ept', 'ph', 'it']);
+
+const XLIFF_20_STATES = new Set(['initial', 'translated', 'reviewed', 'final']);
+
+class XliffError extends Error {
+  constructor(message, { status = 422, code = 'INVALID_XLIFF' } = {}) {
+    super(message);
+    this.name = 'XliffError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+const isXliffFile = (filename) => XLIFF_FILE.test(filename);
+
+// XML text by byte order mark; XLIFF is UTF-8 unless a tool says otherwise
+const decodeXml = (buffer) => {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(buffer);
+};
+
+const parseXml = (text) => {
+  let problem = null;
+  try {
+    return new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') {
+          problem = problem || message;
+          throw new Error(message);
+        }
+      }
+    }).parseFromString(text, 'text/xml');
+  } catch (error) {
+    const reason = (problem || error.message).replace(/^\[xmldom \w+\]\s*/, '').split('\n')[0].trim();
+    throw new XliffError(`Not well-formed XML: ${reason}`);
+  }
+};
+
+const elementChildren = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+
+// An element of the file's XLIFF namespace (or of none, for old 1.2 files)
+const isXliffElement = (element, name) => element.localName === name
+  && element.namespaceURI === element.ownerDocument.documentElement.namespaceURI;
+
+const children = (node, name) => elementChildren(node).filter(element => isXliffElement(element, name));
+
+const child = (node, name) => children(node, name)[0] || null;
+
+// Descendants with a given name in document order, not looking inside
+// matches (units do not nest)
+const descendants = (node, name) => elementChildren(node).flatMap(element => (
+  isXliffElement(element, name) ? [element] : descendants(element, name)
+));
+
+// Segment markers of a 1.2 <seg-source> or <target>
+const segmentMarkers = (node) => descendants(node, 'mrk').filter(mrk => mrk.getAttribute('mtype') === 'seg');
+
+// A segment marker's mid, or its position for a marker without one
+const markerId = (mrk, index) => mrk.getAttribute('mid') || String(index + 1);
+
+// The root element's namespace declarations. Serialized fragments leave them
+// out and parsed fragments get them back, so stored markup stays short.
+const rootNamespaces = (doc) => Array.from(doc.documentElement.attributes)
+  .filter(attribute => attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:'))
+  .map(attribute => `${attribute.name}="${attribute.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`);
+
+const serializeContent = (node, namespaces) => {
+  const serializer = new XMLSerializer();
+  return Array.from(node.childNodes).map(childNode => namespaces.reduce(
+    (markup, declaration) => markup.split(` ${declaration}`).join(''),
+    serializer.serializeToString(childNode)
+  )).join('');
+};
+
+const parseContent = (doc, markup) => {
+  const fragment = parseXml(`<fragment ${rootNamespaces(doc).join(' ')}>${markup}</fragment>`);
+  return Array.from(fragment.documentElement.childNodes).map(node => doc.importNode(node, true));
+};
+
+// Replace an element's content with stored markup
+const setContent = (element, markup) => {
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+  parseContent(element.ownerDocument, markup).forEach(node => element.appendChild(node));
+};
+
+const createElement = (doc, name) => doc.createElementNS(doc.documentElement.namespaceURI, name);
+
+const insertAfter = (element, reference) => {
+  reference.parentNode.insertBefore(element, reference.nextSibling);
+  return element;
+};
+
+// Translatable text, leaving out 1.2 native code
+const plainText = (node) => Array.from(node.childNodes).map(childNode => {
+  if (childNode.nodeType === 3 || childNode.nodeType === 4) {
+    return childNode.nodeValue;
+  }
+  if (childNode.nodeType === 1 && !CODE_ELEMENTS.has(childNode.localName)) {
+    return plainText(childNode);
+  }
+  return '';
+}).join('');
+
+const hasContent = (node) => !!node && node.childNodes.length > 0;
+
+// XLIFF 1.2: a <trans-unit> is one segment, or one per <mrk mtype="seg"> in
+// its <seg-source> when a tool has segmented it
+const forEachSegment12 = (doc, visit) => {
+  for (const file of children(doc.documentElement, 'file')) {
+    const fileRef = file.getAttribute('original') || '';
+
+    for (const unit of descendants(file, 'trans-unit')) {
+      if (unit.getAttribute('translate') === 'no') {
+        continue;
+      }
+
+      const unitId = unit.getAttribute('id');
+      const source = child(unit, 'source');
+      if (!unitId || !source) {
+        throw new XliffError('Every <trans-unit> needs an id and a <source>');
+      }
+
+      const segSource = child(unit, 'seg-source');
+      const markers = segSource ? segmentMarkers(segSource) : [];
+
+      if (markers.length === 0) {
+        const target = child(unit, 'target');
+        visit({
+          fileRef,
+          unitId,
+          segmentId: '#1',
+          source,
+          target: hasContent(target) ? target : null,
+          state: target?.getAttribute('state') || null,
+          setTarget: (markup, state) => {
+            const element = child(unit, 'target') || insertAfter(createElement(doc, 'target'), segSource || source);
+            setContent(element, markup);
+            element.setAttribute('state', state || 'translated');
+          }
+        });
+        continue;
+      }
+
+      markers.forEach((marker, index) => {
+        const segmentId = marker.getAttribute('mid') || `#${index + 1}`;
+        const findTarget = () => {
+          const target = child(unit, 'target');
+          return target && segmentMarkers(target).find((mrk, targetIndex) => (
+            markerId(mrk, targetIndex) === markerId(marker, index)
+          ));
+        };
+        const targetMarker = findTarget();
+
+        visit({
+          fileRef,
+          unitId,
+          segmentId,
+          source: marker,
+          target: hasContent(targetMarker) ? targetMarker : null,
+          state: child(unit, 'target')?.getAttribute('state') || null,
+          setTarget: (markup, state) => {
+            let target = child(unit, 'target');
+            if (!target) {
+              // Same structure as the seg-source, with empty segments
+              target = insertAfter(createElement(doc, 'target'), segSource);
+              Array.from(segSource.childNodes).forEach(node => target.appendChild(node.cloneNode(true)));
+              segmentMarkers(target).forEach(mrk => setContent(mrk, ''));
+            }
+            let element = findTarget();
+            if (!element) {
+              element = createElement(doc, 'mrk');
+              element.setAttribute('mtype', 'seg');
+              element.setAttribute('mid', markerId(marker, index));
+              target.appendChild(element);
+            }
+            setContent(element, markup);
+            target.setAttribute('state', state || 'translated');
+          }
+        });
+      });
+    }
+  }
+};
+
+// XLIFF 2.0: each <segment> of a <unit>; <ignorable> parts are not text to
+// translate
+const forEachSegment20 = (doc, visit) => {
+  for (const file of children(doc.documentElement, 'file')) {
+    const fileRef = file.getAttribute('id') || '';
+
+    for (const unit of descendants(file, 'unit')) {
+      if (unit.getAttribute('translate') === 'no') {
+        continue;
+      }
+
+      const unitId = unit.getAttribute('id');
+      if (!unitId) {
+        throw new XliffError('Every <unit> needs an id');
+      }
+
+      children(unit, 'segment').forEach((segment, index) => {
+        const source = child(segment, 'source');
+        if (!source) {
+          throw new XliffError(`Segment ${index + 1} of unit ${unitId} has no <source>`);
+        }
+        const target = child(segment, 'target');
+
+        visit({
+          fileRef,
+          unitId,
+          segmentId: segment.getAttribute('id') || `#${index + 1}`,
+          source,
+          target: hasContent(target) ? target : null,
+          state: segment.getAttribute('state') || null,
+          setTarget: (markup, state) => {
+            const element = child(segment, 'target') || insertAfter(createElement(doc, 'target'), source);
+            setContent(element, markup);
+            segment.setAttribute('state', XLIFF_20_STATES.has(state) && state !== 'initial' ? state : 'translated');
+          }
+        });
+      });
+    }
+  }
+};
+
+const loadXliff = (buffer) => {
+  const doc = parseXml(decodeXml(buffer));
+  const root = doc.documentElement;
+  const version = root.getAttribute('version') || '';
+
+  if (root.localName !== 'xliff') {
+    throw new XliffError('Not an XLIFF file');
+  }
+  if (version !== '1.2' && !/^2\.\d$/.test(version)) {
+    throw new XliffError(`XLIFF ${version || 'without a version'} is not supported; use 1.2 or 2.0`, {
+      code: 'UNSUPPORTED_XLIFF'
+    });
+  }
+
+  const is12 = version === '1.2';
+  const firstFile = children(root, 'file')[0];
+  return {
+    doc,
+    version,
+    sourceLanguage: (is12 ? firstFile?.getAttribute('source-language') : root.getAttribute('srcLang')) || null,
+    targetLanguage: (is12 ? firstFile?.getAttribute('target-language') : root.getAttribute('trgLang')) || null,
+    forEachSegment: (visit) => (is12 ? forEachSegment12 : forEachSegment20)(doc, visit)
+  };
+};
+
+// Segments of an XLIFF file, in document order
+const parseXliff = (buffer) => {
+  const { doc, version, sourceLanguage, targetLanguage, forEachSegment } = loadXliff(buffer);
+  const namespaces = rootNamespaces(doc);
+  const segments = [];
+
+  forEachSegment(segment => {
+    segments.push({
+      position: segments.length + 1,
+      fileRef: segment.fileRef,
+      unitId: segment.unitId,
+      segmentId: segment.segmentId,
+      source: serializeContent(segment.source, namespaces),
+      sourceText: plainText(segment.source),
+      target: segment.target ? serializeContent(segment.target, namespaces) : null,
+      state: segment.state
+    });
+  });
+
+  if (segments.length === 0) {
+    throw new XliffError('The XLIFF file has no segments to translate');
+  }
+
+  return { version, sourceLanguage, targetLanguage, segments };
+};
+
+// parseXliff for an uploaded file, naming it in errors
+const parseXliffUpload = (buffer, filename) => {
+  try {
+    return parseXliff(buffer);
+  } catch (error) {
+    if (error instanceof XliffError) {
+      throw new XliffError(`${filename}: ${error.message}`, error);
+    }
+    throw error;
+  }
+};
+
+// The source text of an XLIFF file, a segment per line, for word counts
+const xliffToText = (buffer) => parseXliff(buffer).segments.map(segment => segment.sourceText).join('\n');
+
+// The original file with the given segments' targets written in. Segments
+// are matched by position; the rest of the file is left as it is.
+const mergeXliff = (buffer, segments) => {
+  const { doc, forEachSegment } = loadXliff(buffer);
+  const byPosition = new Map(segments.map(segment => [segment.position, segment]));
+  let position = 0;
+
+  forEachSegment(segment => {
+    const stored = byPosition.get(++position);
+    if (stored && stored.target) {
+      segment.setTarget(stored.target, stored.state);
+    }
+  });
+
+  return Buffer.from(new XMLSerializer().serializeToString(doc), 'utf8');
+};
+
+// XliffSegment rows for a parsed upload
+const segmentRows = (parsed) => parsed.segments.map(({ sourceText, ...segment }) => segment);
+
+const segmentKey = (segment) => `${segment.fileRef}\u0000${segment.unitId}\u0000${segment.segmentId}`;
+
+// The project XLIFF file a delivered XLIFF file translates: the one sharing
+// the most segments that have a target. Returns the file's id and those
+// segments, or null if no project file matches.
+const matchDeliveredFile = async (db, projectId, parsed) => {
+  const files = await db.projectFile.findMany({
+    where: { projectId, xliffVersion: { not: null } },
+    select: {
+      id: true,
+      segments: { select: { id: true, fileRef: true, unitId: true, segmentId: true } }
+    }
+  });
+
+  const delivered = new Map(parsed.segments
+    .filter(segment => segment.target !== null)
+    .map(segment => [segmentKey(segment), segment]));
+
+  let best = null;
+  for (const file of files) {
+    const matches = file.segments
+      .filter(segment => delivered.has(segmentKey(segment)))
+      .map(segment => ({ id: segment.id, ...delivered.get(segmentKey(segment)) }));
+    if (matches.length > 0 && (!best || matches.length > best.segments.length)) {
+      best = { projectFileId: file.id, segments: matches };
+    }
+  }
+
+  return best;
+};
+
+// Copy the targets of an accepted delivery's XLIFF file into the matching
+// project file's segments. Run it inside the transaction that accepts the
+// delivery. Returns the file's id and the number of targets taken, or null
+// if no project file matches.
+const mergeDeliveredTargets = async (db, projectId, parsed, deliveryId) => {
+  const match = await matchDeliveredFile(db, projectId, parsed);
+  if (!match) {
+    return null;
+  }
+
+  for (const { id, target, state } of match.segments) {
+    await db.xliffSegment.update({
+      where: { id },
+      data: { target, state, deliveryId }
+    });
+  }
+
+  return { projectFileId: match.projectFileId, targets: match.segments.length };
+};
+
+// Segment and translated-segment counts of XLIFF project files
+const segmentProgress = async (db, fileIds) => {
+  const groups = await db.xliffSegment.groupBy({
+    by: ['projectFileId'],
+    where: { projectFileId: { in: fileIds } },
+    _count: { _all: true, target: true }
+  });
+
+  return new Map(groups.map(group => [group.projectFileId, {
+    segmentCount: group._count._all,
+    translatedCount: group._count.target
+  }]));
+};
+
+module.exports = {
+  XliffError,
+  isXliffFile,
+  parseXliff,
+  parseXliffUpload,
+  xliffToText,
+  mergeXliff,
+  segmentRows,
+  matchDeliveredFile,
+  mergeDeliveredTargets,
+  segmentProgress
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateFees, calculateSplit, chargeAmount, payoutAmount, parseCommissionTiers } = require('../services/fees');
+
+const schedule = {
+  clientFeePercent: 5,
+  clientFeeFixed: 0.3,
+  commissionFixed: 0,
+  commissionTiers: [
+    { upTo: 500, percent: 20 },
+    { upTo: 10000, percent: 10 },
+    { upTo: null, percent: 5 }
+  ]
+};
+
+const cents = (amount) => Math.round(amount * 100);
+
+test('fees are added to the client total and taken from the freelancer net', () => {
+  assert.deepEqual(calculateFees(100, { schedule }), {
+    amount: 100,
+    clientFee: 5.3,
+    clientTotal: 105.3,
+    freelancerFee: 20,
+    freelancerNet: 80,
+    commissionPercent: 20
+  });
+});
+
+test('fees are rounded to whole cents', () => {
+  const fees = calculateFees(33.33, { schedule });
+
+  // 5% of 33.33 is 1.6665, 20% is 6.666
+  assert.equal(fees.clientFee, 1.97);
+  assert.equal(fees.clientTotal, 35.3);
+  assert.equal(fees.freelancerFee, 6.67);
+  assert.equal(fees.freelancerNet, 26.66);
+  assert.equal(calculateFees(0.1 + 0.2, { schedule }).amount, 0.3);
+});
+
+test('fee breakdowns always add up in cents', () => {
+  for (let amountCents = 1; amountCents < 5000; amountCents += 7) {
+    const fees = calculateFees(amountCents / 100, { schedule });
+
+    assert.equal(fees.clientFee, cents(fees.clientFee) / 100);
+    assert.equal(fees.freelancerFee, cents(fees.freelancerFee) / 100);
+    assert.equal(cents(fees.clientTotal), cents(fees.amount) + cents(fees.clientFee));
+    assert.equal(cents(fees.freelancerNet), cents(fees.amount) - cents(fees.freelancerFee));
+  }
+});
+
+test('the commission tier changes at each upper bound', () => {
+  const percentAt = (lifetimeVolume) => calculateFees(100, { lifetimeVolume, schedule }).commissionPercent;
+
+  assert.equal(percentAt(0), 20);
+  assert.equal(percentAt(499.99), 20);
+  assert.equal(percentAt(500), 10);
+  assert.equal(percentAt(9999.99), 10);
+  assert.equal(percentAt(10000), 5);
+  assert.equal(percentAt(1e9), 5);
+});
+
+test('the commission never exceeds the gross amount', () => {
+  const fees = calculateFees(1, { schedule: { ...schedule, commissionFixed: 5 } });
+
+  assert.equal(fees.freelancerFee, 1);
+  assert.equal(fees.freelancerNet, 0);
+});
+
+test('a split charges commission pro rata on the released share', () => {
+  const transaction = { amount: 100, freelancerFee: 10 };
+
+  assert.deepEqual(calculateSplit(transaction, 33.33), {
+    releaseAmount: 33.33,
+    refundAmount: 66.67,
+    freelancerFee: 3.33,
+    freelancerNet: 30
+  });
+});
+
+test('split remainders stay within the escrowed amount', () => {
+  for (const amount of [0.03, 1, 9.99, 33.33, 100, 1234.57]) {
+    const transaction = { amount, ...calculateFees(amount, { schedule }) };
+
+    for (let releaseCents = 1; releaseCents < cents(amount); releaseCents += Math.ceil(cents(amount) / 37)) {
+      const split = calculateSplit(transaction, releaseCents / 100);
+
+      assert.equal(cents(split.releaseAmount) + cents(split.refundAmount), cents(amount));
+      assert.equal(cents(split.freelancerFee) + cents(split.freelancerNet), cents(split.releaseAmount));
+      assert.ok(cents(split.freelancerFee) <= cents(transaction.freelancerFee));
+    }
+  }
+});
+
+test('transactions without a fee breakdown charge and pay the gross amount', () => {
+  assert.equal(chargeAmount({ amount: 50, clientTotal: null }), 50);
+  assert.equal(payoutAmount({ amount: 50, freelancerNet: null }), 50);
+  assert.equal(chargeAmount({ amount: 50, clientTotal: 52.8 }), 52.8);
+  assert.equal(payoutAmount({ amount: 50, freelancerNet: 40 }), 40);
+});
+
+test('commission tiers from the environment are validated', () => {
+  assert.deepEqual(parseCommissionTiers(undefined), schedule.commissionTiers);
+  assert.deepEqual(parseCommissionTiers('[{"upTo":100,"percent":15},{"upTo":null,"percent":8}]'), [
+    { upTo: 100, percent: 15 },
+    { upTo: null, percent: 8 }
+  ]);
+
+  assert.throws(() => parseCommissionTiers('[{upTo:500}]'), /valid JSON/);
+  assert.throws(() => parseCommissionTiers('[]'), /non-empty list/);
+  assert.throws(() => parseCommissionTiers('{"upTo":null,"percent":5}'), /non-empty list/);
+  assert.throws(() => parseCommissionTiers('[{"upTo":null,"percent":"5"}]'), /tier 1: percent/);
+  assert.throws(() => parseCommissionTiers('[{"upTo":null,"percent":120}]'), /tier 1: percent/);
+  assert.throws(() => parseCommissionTiers('[{"upTo":500,"percent":20}]'), /last tier/);
+  assert.throws(() => parseCommissionTiers('[{"upTo":500,"percent":20},{"upTo":500,"percent":10},{"upTo":null,"percent":5}]'), /tier 2: upTo/);
+  assert.throws(() => parseCommissionTiers('[{"upTo":null,"percent":20},{"upTo":null,"percent":5}]'), /tier 1: upTo/);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LedgerError, postEntry, postFunding, postRelease, postRefund } = require('../services/ledger');
+const { calculateSplit } = require('../services/fees');
+
+// The models the ledger writes to, kept in memory. Like the database, it
+// refuses a second entry for the same transaction step.
+const createDb = () => {
+  const accounts = new Map();
+  const entries = [];
+
+  return {
+    entries,
+    ledgerAccount: {
+      upsert: async ({ where, create }) => {
+        if (!accounts.has(where.key)) {
+          accounts.set(where.key, { id: where.key, ...create });
+        }
+        return accounts.get(where.key);
+      }
+    },
+    journalEntry: {
+      create: async ({ data }) => {
+        if (data.transactionId && entries.some(entry => entry.transactionId === data.transactionId && entry.step === data.step)) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+
+        const entry = { ...data, lines: data.lines.create };
+        entries.push(entry);
+        return entry;
+      }
+    }
+  };
+};
+
+// Signed cents on an account, debits positive
+const balance = (db, key) => db.entries
+  .flatMap(entry => entry.lines)
+  .filter(line => line.accountId === key)
+  .reduce((sum, line) => sum + line.amount, 0);
+
+const assertEntriesBalance = (db) => {
+  for (const entry of db.entries) {
+    assert.equal(entry.lines.reduce((sum, line) => sum + line.amount, 0), 0, `${entry.step} is unbalanced`);
+  }
+};
+
+const transaction = {
+  id: 'transaction-1',
+  projectId: 'project-1',
+  clientId: 'client-1',
+  freelancerId: 'freelancer-1',
+  amount: 100,
+  clientFee: 5.3,
+  clientTotal: 105.3,
+  freelancerFee: 20,
+  freelancerNet: 80
+};
+
+test('funding and release leave nothing in escrow', async () => {
+  const db = createDb();
+  await postFunding(db, transaction);
+  await postRelease(db, transaction);
+
+  assertEntriesBalance(db);
+  assert.deepEqual(db.entries.map(entry => entry.step), ['funding', 'service-fee', 'release', 'commission', 'payout']);
+  assert.equal(balance(db, 'STRIPE_CLEARING'), 10530);
+  assert.equal(balance(db, 'CLIENT_ESCROW:client-1'), 0);
+  assert.equal(balance(db, 'FREELANCER_PENDING:freelancer-1'), 0);
+  assert.equal(balance(db, 'FREELANCER_AVAILABLE:freelancer-1'), -8000);
+  assert.equal(balance(db, 'PLATFORM_REVENUE'), -2530);
+});
+
+test('a full refund returns the whole charge, service fee included', async () => {
+  const db = createDb();
+  await postFunding(db, transaction);
+  await postRefund(db, transaction);
+
+  assertEntriesBalance(db);
+  for (const key of ['STRIPE_CLEARING', 'CLIENT_ESCROW:client-1', 'PLATFORM_REVENUE']) {
+    assert.equal(balance(db, key), 0, key);
+  }
+});
+
+test('a split refunds and releases the escrow between them', async () => {
+  const db = createDb();
+  const split = calculateSplit(transaction, 33.33);
+  await postFunding(db, transaction);
+  await postRefund(db, transaction, { refundCents: Math.round(split.refundAmount * 100) });
+  await postRelease(db, transaction, {
+    grossCents: Math.round(split.releaseAmount * 100),
+    commissionCents: Math.round(split.freelancerFee * 100)
+  });
+
+  assertEntriesBalance(db);
+  assert.equal(balance(db, 'CLIENT_ESCROW:client-1'), 0);
+  assert.equal(balance(db, 'STRIPE_CLEARING'), 10530 - 6667);
+  assert.equal(balance(db, 'FREELANCER_AVAILABLE:freelancer-1'), -(3333 - 667));
+  assert.equal(balance(db, 'PLATFORM_REVENUE'), -(530 + 667));
+});
+
+test('unbalanced or fractional entries are refused', async () => {
+  const db = createDb();
+
+  await assert.rejects(postEntry(db, {
+    kind: 'FEE',
+    description: 'Off by a cent',
+    lines: [{ type: 'PLATFORM_REVENUE', amount: -100 }, { type: 'STRIPE_CLEARING', amount: 99 }]
+  }), { code: 'UNBALANCED_ENTRY' });
+  await assert.rejects(postEntry(db, {
+    kind: 'FEE',
+    description: 'Half a cent',
+    lines: [{ type: 'PLATFORM_REVENUE', amount: -0.5 }, { type: 'STRIPE_CLEARING', amount: 0.5 }]
+  }), { code: 'INVALID_AMOUNT' });
+  assert.equal(db.entries.length, 0);
+});
+
+test('entries with no amount are not posted', async () => {
+  const db = createDb();
+  await postFunding(db, { ...transaction, clientFee: 0, clientTotal: 100 });
+
+  assert.deepEqual(db.entries.map(entry => entry.step), ['funding']);
+});
+
+test('posting the same money movement twice fails', async () => {
+  const db = createDb();
+  await postFunding(db, transaction);
+
+  await assert.rejects(postFunding(db, transaction), (error) => {
+    assert.ok(error instanceof LedgerError);
+    assert.equal(error.code, 'DUPLICATE_ENTRY');
+    assert.equal(error.status, 409);
+    return true;
+  });
+  assert.equal(db.entries.length, 2);
+});
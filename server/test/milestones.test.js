@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { allocateBidAmount, parseMilestones, projectStatusFromMilestones } = require('../services/milestones');
+
+const cents = (amount) => Math.round(amount * 100);
+
+// Repeatable amounts for the allocation checks
+const amounts = function* (count) {
+  let seed = 42;
+  for (let i = 0; i < count; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    yield seed;
+  }
+};
+
+test('a bid is split in proportion to the milestone budgets', () => {
+  assert.deepEqual(allocateBidAmount(900, [{ amount: 100 }, { amount: 200 }]), [300, 600]);
+  assert.deepEqual(allocateBidAmount(100, [{ amount: 1 }, { amount: 1 }, { amount: 1 }]), [33.33, 33.34, 33.33]);
+});
+
+test('milestone shares sum exactly to the bid', () => {
+  const random = amounts(3000);
+
+  for (let round = 0; round < 500; round++) {
+    const count = 1 + (random.next().value % 8);
+    const milestones = Array.from({ length: count }, () => ({ amount: 1 + (random.next().value % 50000) / 100 }));
+    const bid = 1 + (random.next().value % 100000) / 100;
+    const shares = allocateBidAmount(bid, milestones);
+
+    assert.equal(shares.length, count);
+    assert.equal(shares.reduce((sum, share) => sum + cents(share), 0), cents(bid));
+    for (const share of shares) {
+      assert.ok(share >= 0, `negative share for a bid of ${bid}`);
+      assert.equal(share, cents(share) / 100);
+    }
+  }
+});
+
+test('small bids over many milestones never go negative', () => {
+  const milestones = [2.77, 0.19, 0.82, 0.09].map(amount => ({ amount }));
+  const shares = allocateBidAmount(0.12, milestones);
+
+  assert.ok(shares.every(share => share >= 0));
+  assert.equal(shares.reduce((sum, share) => sum + cents(share), 0), 12);
+});
+
+test('milestones are parsed from JSON and validated', () => {
+  assert.deepEqual(parseMilestones('[{"title":"Draft","amount":"100.005"}]'), [
+    { position: 1, title: 'Draft', description: null, amount: 100.01, dueDate: null }
+  ]);
+  assert.throws(() => parseMilestones('not json'), /valid JSON/);
+  assert.throws(() => parseMilestones([]), /1-20 items/);
+  assert.throws(() => parseMilestones([{ title: 'Draft', amount: 0.5 }]), /at least \$1/);
+  assert.throws(() => parseMilestones([{ title: 'Draft', amount: 10, dueDate: 'soon' }]), /invalid due date/);
+});
+
+test('the project status follows its milestones', () => {
+  const withStatuses = (...statuses) => statuses.map(status => ({ status }));
+
+  assert.equal(projectStatusFromMilestones(withStatuses('PENDING', 'PENDING')), 'AWAITING_FUNDING');
+  assert.equal(projectStatusFromMilestones(withStatuses('IN_PROGRESS', 'PENDING')), 'IN_PROGRESS');
+  assert.equal(projectStatusFromMilestones(withStatuses('APPROVED', 'RELEASED')), 'COMPLETED');
+  assert.equal(projectStatusFromMilestones(withStatuses('RELEASED', 'CANCELLED')), 'PAID');
+  assert.equal(projectStatusFromMilestones(withStatuses('CANCELLED')), 'CANCELLED');
+});
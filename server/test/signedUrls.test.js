@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const {
+  FILE_URL_TTL_SECONDS,
+  signFileUrl,
+  serializeAttachments,
+  verifyFileSignature
+} = require('../services/projectFiles');
+
+const ALICE = 'user-alice';
+const BOB = 'user-bob';
+
+const paramsOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+test('a signed file URL verifies for its file and user until it expires', () => {
+  const { url, expiresAt } = signFileUrl({ id: 'file-1' }, ALICE);
+  const params = paramsOf(url);
+
+  assert.equal(new URL(url).pathname, '/api/files/file-1');
+  assert.equal(params.user, ALICE);
+  assert.ok(Math.abs(expiresAt.getTime() - (Date.now() + FILE_URL_TTL_SECONDS * 1000)) < 2000);
+  assert.equal(verifyFileSignature('file-1', params), true);
+});
+
+test('a signature does not verify for another file or another user', () => {
+  const params = paramsOf(signFileUrl({ id: 'file-1' }, ALICE).url);
+
+  assert.equal(verifyFileSignature('file-2', params), false);
+  assert.equal(verifyFileSignature('file-1/xliff', params), false);
+  assert.equal(verifyFileSignature('file-1', { ...params, user: BOB }), false);
+  assert.equal(verifyFileSignature('file-1', { ...params, expires: String(Number(params.expires) + 3600) }), false);
+});
+
+test('a tampered or missing signature is refused', () => {
+  const params = paramsOf(signFileUrl({ id: 'file-1' }, ALICE).url);
+  const flipped = `${params.signature[0] === 'A' ? 'B' : 'A'}${params.signature.slice(1)}`;
+
+  assert.equal(verifyFileSignature('file-1', { ...params, signature: flipped }), false);
+  assert.equal(verifyFileSignature('file-1', { ...params, signature: params.signature.slice(1) }), false);
+  assert.equal(verifyFileSignature('file-1', { ...params, signature: undefined }), false);
+  assert.equal(verifyFileSignature('file-1', {}), false);
+});
+
+test('an expired signature is refused', (t) => {
+  const params = paramsOf(signFileUrl({ id: 'file-1' }, ALICE).url);
+  const now = Date.now();
+
+  t.mock.method(Date, 'now', () => now + FILE_URL_TTL_SECONDS * 1000 + 1000);
+  assert.equal(verifyFileSignature('file-1', params), false);
+});
+
+test('attachments from the store get links; older paths do not', () => {
+  const [stored, legacy] = serializeAttachments(['deliveries/1700000000000-abc.txt', 'uploads/old.txt'], ALICE);
+
+  assert.equal(stored.name, '1700000000000-abc.txt');
+  assert.equal(new URL(stored.url).pathname, '/api/files/attachments/deliveries/1700000000000-abc.txt');
+  assert.deepEqual(legacy, { name: 'old.txt', url: null });
+});
+
+test('an attachment link is signed for its key only', () => {
+  const [{ url }] = serializeAttachments(['deliveries/1700000000000-abc.txt'], ALICE);
+  const params = paramsOf(url);
+
+  assert.equal(verifyFileSignature('attachments/deliveries/1700000000000-abc.txt', params), true);
+  assert.equal(verifyFileSignature('attachments/revisions/1700000000000-abc.txt', params), false);
+  assert.equal(verifyFileSignature('attachments/deliveries/1700000000000-abd.txt', params), false);
+  assert.equal(verifyFileSignature('attachments/deliveries/1700000000000-abc.txt', { ...params, user: BOB }), false);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { StorageError, LocalStorage, S3Storage, createStorage } = require('../services/storage');
+
+// A storage root removed again when the test ends
+const tempRoot = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+};
+
+const filesUnder = (dir) => fs.readdirSync(dir, { recursive: true })
+  .filter(name => fs.statSync(path.join(dir, name)).isFile());
+
+const waitForFile = async (dir) => {
+  for (let attempt = 0; attempt < 200 && filesUnder(dir).length === 0; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return filesUnder(dir);
+};
+
+test('local keys cannot escape the storage root', (t) => {
+  const storage = new LocalStorage({ root: tempRoot(t) });
+
+  for (const key of ['../outside.txt', 'projects/../../outside.txt', '/etc/passwd', '', '.', 'projects/..']) {
+    assert.throws(() => storage.pathFor(key), { code: 'INVALID_KEY', status: 400 }, key);
+  }
+  assert.equal(storage.pathFor('projects/a.txt'), path.join(storage.root, 'projects', 'a.txt'));
+});
+
+test('a sibling directory sharing the root prefix is outside it', (t) => {
+  const root = tempRoot(t);
+  const storage = new LocalStorage({ root });
+
+  assert.throws(() => storage.pathFor(`../${path.basename(root)}-other/a.txt`), { code: 'INVALID_KEY' });
+});
+
+test('local files are written under a temporary name and renamed when complete', async (t) => {
+  const root = tempRoot(t);
+  const storage = new LocalStorage({ root });
+  const body = new PassThrough();
+  const writing = storage.put('projects/a.txt', body);
+
+  body.write('half ');
+  const [partial] = await waitForFile(root);
+  assert.match(partial, /a\.txt\.[0-9a-f]{12}\.tmp$/);
+  assert.equal(fs.existsSync(path.join(root, 'projects', 'a.txt')), false);
+
+  body.end('and the rest');
+  assert.deepEqual(await writing, { key: 'projects/a.txt', size: 17 });
+  assert.deepEqual(filesUnder(root), [path.join('projects', 'a.txt')]);
+  assert.equal((await storage.get('projects/a.txt')).toString(), 'half and the rest');
+});
+
+test('a failed local write leaves no file behind', async (t) => {
+  const root = tempRoot(t);
+  const storage = new LocalStorage({ root });
+  const body = new Readable({
+    read() {
+      this.destroy(new Error('connection reset'));
+    }
+  });
+
+  await assert.rejects(storage.put('projects/b.txt', body), /connection reset/);
+  assert.deepEqual(filesUnder(root), []);
+});
+
+test('missing local files are reported and deleting them is fine', async (t) => {
+  const storage = new LocalStorage({ root: tempRoot(t) });
+
+  await assert.rejects(storage.get('projects/missing.txt'), StorageError);
+  await storage.delete('projects/missing.txt');
+  assert.equal(await storage.signedUrl('projects/missing.txt'), null);
+});
+
+test('the storage driver comes from the environment', (t) => {
+  assert.ok(createStorage({ STORAGE_DIR: tempRoot(t) }) instanceof LocalStorage);
+  assert.throws(() => createStorage({ STORAGE_DRIVER: 's3' }), /S3_BUCKET is required/);
+  assert.throws(() => createStorage({ STORAGE_DRIVER: 'ftp' }), /Unknown STORAGE_DRIVER/);
+});
+
+// Runs against a real S3-compatible server when S3_TEST_ENDPOINT is set,
+// e.g. the MinIO container from SETUP.md:
+//   S3_TEST_ENDPOINT=http://localhost:9000 npm test
+const s3Endpoint = process.env.S3_TEST_ENDPOINT;
+
+test('S3 storage stores, presigns and deletes objects', { skip: !s3Endpoint && 'S3_TEST_ENDPOINT is not set' }, async () => {
+  const storage = new S3Storage({
+    bucket: process.env.S3_TEST_BUCKET || 'translatehub',
+    region: 'us-east-1',
+    endpoint: s3Endpoint,
+    forcePathStyle: true,
+    accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+  });
+  const key = `test/${Date.now()}-${process.pid}.txt`;
+
+  try {
+    assert.deepEqual(await storage.put(key, Readable.from(['streamed ', 'body']), { contentType: 'text/plain' }), { key, size: 13 });
+    assert.equal((await storage.get(key)).toString(), 'streamed body');
+
+    const url = await storage.signedUrl(key, { expiresIn: 60, filename: 'résumé.txt' });
+    const response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'streamed body');
+    assert.equal(response.headers.get('content-disposition'), "attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.txt");
+
+    const tampered = new URL(url);
+    tampered.pathname = tampered.pathname.replace(/\.txt$/, '.pdf');
+    assert.equal((await fetch(tampered)).status, 403);
+  } finally {
+    await storage.delete(key);
+  }
+
+  await assert.rejects(storage.get(key), StorageError);
+  await storage.delete(key);
+});
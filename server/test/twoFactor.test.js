@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const {
+  TwoFactorError,
+  matchTotp,
+  acceptTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+
+// The RFC 6238 test key, "12345678901234567890", in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (t, seconds) => t.mock.method(Date, 'now', () => seconds * 1000);
+
+// The user and recovery code tables, kept in memory with the same
+// conditional updates the database applies
+const createDb = (user) => {
+  let codes = [];
+
+  return {
+    user: {
+      updateMany: async ({ where, data }) => {
+        const lastStep = user.twoFactorLastStep;
+        if (where.id !== user.id || (lastStep !== null && lastStep >= where.OR[1].twoFactorLastStep.lt)) {
+          return { count: 0 };
+        }
+        Object.assign(user, data);
+        return { count: 1 };
+      }
+    },
+    recoveryCode: {
+      deleteMany: async () => {
+        codes = [];
+      },
+      createMany: async ({ data }) => {
+        codes.push(...data.map(code => ({ ...code, usedAt: null })));
+      },
+      updateMany: async ({ where, data }) => {
+        const code = codes.find(row => row.codeHash === where.codeHash && row.usedAt === null);
+        if (!code) {
+          return { count: 0 };
+        }
+        Object.assign(code, data);
+        return { count: 1 };
+      }
+    }
+  };
+};
+
+const enabledUser = () => ({
+  id: 'user-1',
+  twoFactorEnabledAt: new Date(),
+  twoFactorSecret: encryptSecret(SECRET),
+  twoFactorLastStep: null
+});
+
+test('codes match the RFC 6238 test vectors', (t) => {
+  at(t, 59);
+  assert.equal(matchTotp(SECRET, '287082'), 1);
+
+  at(t, 1111111109);
+  assert.equal(matchTotp(SECRET, '081804'), 37037036);
+
+  at(t, 1234567890);
+  assert.equal(matchTotp(SECRET, '005 924'), 41152263);
+});
+
+test('a code is accepted one step either side of now and no further', (t) => {
+  // 081804 belongs to step 37037036 (1111111080-1111111109s)
+  for (const seconds of [1111111050, 1111111080, 1111111139]) {
+    at(t, seconds);
+    assert.equal(matchTotp(SECRET, '081804'), 37037036);
+  }
+  for (const seconds of [1111111049, 1111111140]) {
+    at(t, seconds);
+    assert.equal(matchTotp(SECRET, '081804'), null);
+  }
+});
+
+test('malformed codes never match', (t) => {
+  at(t, 59);
+  for (const code of ['', null, '28708', '2870823', 'abcdef']) {
+    assert.equal(matchTotp(SECRET, code), null);
+  }
+});
+
+test('a code cannot be replayed, nor an older one used after it', async (t) => {
+  const user = enabledUser();
+  const db = createDb(user);
+
+  at(t, 59);
+  assert.equal(await acceptTotp(db, user, SECRET, '287082'), true);
+  assert.equal(await acceptTotp(db, user, SECRET, '287082'), false);
+
+  // The step 0 code is still inside the drift window, but older
+  at(t, 45);
+  assert.equal(await acceptTotp(db, user, SECRET, '755224'), false);
+});
+
+test('secrets are encrypted at rest and tampering is detected', () => {
+  const stored = encryptSecret(SECRET);
+
+  assert.notEqual(stored, encryptSecret(SECRET));
+  assert.equal(decryptSecret(stored), SECRET);
+
+  const [iv, tag, ciphertext] = stored.split('.');
+  const flipped = Buffer.from(ciphertext, 'base64url');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptSecret([iv, tag, flipped.toString('base64url')].join('.')));
+});
+
+test('recovery codes work once each and are replaced when regenerated', async () => {
+  const user = enabledUser();
+  const db = createDb(user);
+  const codes = await generateRecoveryCodes(db, user.id);
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.deepEqual(await verifySecondFactor(db, user, { recoveryCode: codes[0].toUpperCase() }), { method: 'recovery_code' });
+  await assert.rejects(verifySecondFactor(db, user, { recoveryCode: codes[0] }), TwoFactorError);
+
+  const replaced = await generateRecoveryCodes(db, user.id);
+  await assert.rejects(verifySecondFactor(db, user, { recoveryCode: codes[1] }), TwoFactorError);
+  assert.deepEqual(await verifySecondFactor(db, user, { recoveryCode: replaced[1] }), { method: 'recovery_code' });
+});
+
+test('second factors are refused for users without 2FA', async () => {
+  const db = createDb({ id: 'user-2' });
+
+  await assert.rejects(
+    verifySecondFactor(db, { id: 'user-2', twoFactorEnabledAt: null, twoFactorSecret: null }, { code: '287082' }),
+    { code: 'TWO_FACTOR_NOT_ENABLED', status: 400 }
+  );
+});
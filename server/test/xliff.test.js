@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { XliffError, parseXliff, mergeXliff, xliffToText } = require('../services/xliff');
+
+// Sample files as written by common CAT tools
+const FIXTURES = {
+  'okapi.xlf': {
+    version: '1.2',
+    languages: ['en-US', 'de-DE'],
+    segments: [['1', '#1'], ['2', '#1'], ['4', '#1']]
+  },
+  'trados.sdlxliff': {
+    version: '1.2',
+    languages: ['en-US', 'fr-FR'],
+    segments: [['a1b2', '1'], ['a1b2', '2'], ['c3d4', '3']]
+  },
+  'memoq.mqxliff': {
+    version: '1.2',
+    languages: ['eng', 'jpn'],
+    segments: [['1', '#1'], ['2', '#1']]
+  },
+  'xliff2.xlf': {
+    version: '2.0',
+    languages: ['en', 'es'],
+    segments: [['u1', 's1'], ['u1', '#2'], ['u3', 's3']]
+  }
+};
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'xliff', name));
+
+// Element names in a piece of markup, to check inline tags survive
+const tagNames = (markup) => (markup.match(/<[\w:-]+/g) || []).map(tag => tag.slice(1));
+
+// A translation that keeps the source's inline tags
+const translate = (source) => `${source} (translated)`;
+
+for (const [name, expected] of Object.entries(FIXTURES)) {
+  test(`${name} parses into segments`, () => {
+    const parsed = parseXliff(fixture(name));
+
+    assert.equal(parsed.version, expected.version);
+    assert.deepEqual([parsed.sourceLanguage, parsed.targetLanguage], expected.languages);
+    assert.deepEqual(
+      parsed.segments.map(segment => [segment.unitId, segment.segmentId]),
+      expected.segments
+    );
+    assert.deepEqual(parsed.segments.map(segment => segment.position), expected.segments.map((_, index) => index + 1));
+  });
+
+  test(`${name} round-trips every target with its inline tags`, () => {
+    const original = fixture(name);
+    const parsed = parseXliff(original);
+    const merged = mergeXliff(original, parsed.segments.map(segment => ({
+      position: segment.position,
+      target: translate(segment.source),
+      state: null
+    })));
+    const reparsed = parseXliff(merged);
+
+    assert.equal(reparsed.version, parsed.version);
+    assert.equal(reparsed.segments.length, parsed.segments.length);
+    reparsed.segments.forEach((segment, index) => {
+      const before = parsed.segments[index];
+      assert.equal(segment.unitId, before.unitId);
+      assert.equal(segment.segmentId, before.segmentId);
+      assert.equal(segment.source, before.source);
+      assert.equal(segment.target, translate(before.source));
+      assert.deepEqual(tagNames(segment.target), tagNames(before.source));
+      assert.equal(segment.state, 'translated');
+    });
+  });
+
+  test(`${name} keeps the targets of segments that were not delivered`, () => {
+    const original = fixture(name);
+    const parsed = parseXliff(original);
+    const [first, ...rest] = parsed.segments;
+    const reparsed = parseXliff(mergeXliff(original, [
+      { position: first.position, target: translate(first.source), state: null }
+    ]));
+
+    assert.equal(reparsed.segments[0].target, translate(first.source));
+    reparsed.segments.slice(1).forEach((segment, index) => {
+      assert.equal(segment.target, rest[index].target);
+    });
+  });
+}
+
+test('a delivered state is written back', () => {
+  const original = fixture('xliff2.xlf');
+  const merged = mergeXliff(original, [{ position: 1, target: 'Hola <pc id="1" dataRefStart="d1" dataRefEnd="d2">mundo</pc>.', state: 'reviewed' }]);
+
+  assert.equal(parseXliff(merged).segments[0].state, 'reviewed');
+});
+
+test('segment markers without a mid are matched by position', () => {
+  const original = Buffer.from(`<?xml version="1.0"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+<file original="a.txt" source-language="en" target-language="de" datatype="plaintext"><body>
+<trans-unit id="1"><source>One. Two.</source><seg-source><mrk mtype="seg">One.</mrk> <mrk mtype="seg">Two.</mrk></seg-source></trans-unit>
+</body></file></xliff>`);
+  const merged = mergeXliff(original, [
+    { position: 1, target: 'Eins.', state: null },
+    { position: 2, target: 'Zwei.', state: null }
+  ]);
+
+  assert.doesNotMatch(merged.toString(), /mid="null"/);
+  assert.deepEqual(
+    parseXliff(merged).segments.map(segment => [segment.segmentId, segment.target, segment.state]),
+    [['#1', 'Eins.', 'translated'], ['#2', 'Zwei.', 'translated']]
+  );
+});
+
+test('source text leaves out native code', () => {
+  assert.equal(xliffToText(fixture('okapi.xlf')), 'Welcome to our shop\nClick here.\nAlready done');
+});
+
+test('files that are not XLIFF 1.2 or 2.0 are refused', () => {
+  assert.throws(() => parseXliff(Buffer.from('<xliff version="1.2"><file>')), XliffError);
+  assert.throws(() => parseXliff(Buffer.from('<html></html>')), { code: 'INVALID_XLIFF' });
+  assert.throws(() => parseXliff(Buffer.from('<xliff version="1.1"/>')), { code: 'UNSUPPORTED_XLIFF' });
+});